@@ -13,7 +13,7 @@
  * 
  * // Swap tokens
  * const swapper = new Swapper(wallet);
- * const result = await swapper.swap('SOL', 'USDC', 1000000000); // 1 SOL
+ * const result = await swapper.swap('SOL', 'USDC', 1); // 1 SOL
  * 
  * // Transfer
  * const transfer = new Transfer(wallet);
@@ -22,15 +22,44 @@
 
 const { Wallet, DEFAULT_RPC } = require('./src/wallet');
 const { Swapper, TOKENS } = require('./src/swap');
+const { SwapProviderError, JupiterProvider, AgentDEXProvider } = require('./src/providers');
+const { SwapGuardError } = require('./src/guards');
+const { DcaScheduler, DcaError } = require('./src/scheduler');
+const { OrderEngine, OrderError } = require('./src/orders');
+const { Portfolio } = require('./src/portfolio');
+const { AccountWatcher } = require('./src/watcher');
+const { PythPriceSource, PriceError } = require('./src/prices');
 const { Transfer } = require('./src/transfer');
-const { Staking, VALIDATORS } = require('./src/stake');
+const { Staking, StakeError, VALIDATORS } = require('./src/stake');
+const { ValidatorDirectory } = require('./src/validators');
+const { Policy, PolicyError } = require('./src/policy');
+const { WalletRegistry } = require('./src/profiles');
+const { TokenRegistry } = require('./src/registry');
 const { AgentDEXClient } = require('./src/integrations/agentdex');
 
 module.exports = {
   Wallet,
   Swapper,
+  SwapProviderError,
+  SwapGuardError,
+  PythPriceSource,
+  PriceError,
+  DcaScheduler,
+  DcaError,
+  OrderEngine,
+  OrderError,
+  JupiterProvider,
+  AgentDEXProvider,
   Transfer,
   Staking,
+  Portfolio,
+  AccountWatcher,
+  StakeError,
+  ValidatorDirectory,
+  Policy,
+  PolicyError,
+  WalletRegistry,
+  TokenRegistry,
   AgentDEXClient,
   TOKENS,
   VALIDATORS,
@@ -0,0 +1,149 @@
+/**
+ * Solana Agent Kit - Stake Activation
+ * Effective, activating and deactivating stake for a delegation, replayed
+ * through warmup and cooldown with the stake history sysvar
+ */
+
+const { SYSVAR_STAKE_HISTORY_PUBKEY } = require('@solana/web3.js');
+
+// deactivationEpoch of a stake that has never been deactivated
+const U64_MAX = '18446744073709551615';
+
+// Share of the cluster's effective stake that may warm up or cool down per epoch
+const WARMUP_COOLDOWN_RATE = 0.09;
+
+/**
+ * Read the stake history sysvar
+ *
+ * @returns {Promise<Map<number, { effective: bigint, activating: bigint, deactivating: bigint }>>} by epoch
+ */
+async function getStakeHistory(connection) {
+  const { value } = await connection.getParsedAccountInfo(SYSVAR_STAKE_HISTORY_PUBKEY);
+  const entries = value?.data?.parsed?.info || [];
+  return new Map(entries.map(({ epoch, stakeHistory }) => [Number(epoch), {
+    effective: BigInt(stakeHistory.effective),
+    activating: BigInt(stakeHistory.activating),
+    deactivating: BigInt(stakeHistory.deactivating)
+  }]));
+}
+
+/**
+ * This delegation's share of the stake the cluster moved in one epoch (at least 1 lamport)
+ */
+function epochShare(remaining, clusterTransient, clusterEffective) {
+  const weight = Number(remaining) / Number(clusterTransient);
+  const moved = Math.floor(weight * Number(clusterEffective) * WARMUP_COOLDOWN_RATE);
+  return moved > 1 ? BigInt(moved) : 1n;
+}
+
+/**
+ * Effective and activating stake at an epoch, ignoring deactivation
+ */
+function stakeAndActivating(delegation, epoch, history) {
+  const stake = BigInt(delegation.stake);
+  const activationEpoch = Number(delegation.activationEpoch);
+  const deactivationEpoch = delegation.deactivationEpoch === U64_MAX ? Infinity : Number(delegation.deactivationEpoch);
+
+  if (activationEpoch === deactivationEpoch || epoch < activationEpoch) {
+    return { effective: 0n, activating: 0n };
+  }
+  if (epoch === activationEpoch) {
+    return { effective: 0n, activating: stake };
+  }
+
+  let cluster = history.get(activationEpoch);
+  if (!cluster) {
+    // Older than the history (or a bootstrap stake): fully warmed up
+    return { effective: stake, activating: 0n };
+  }
+
+  let effective = 0n;
+  let prevEpoch = activationEpoch;
+  for (;;) {
+    const current = prevEpoch + 1;
+    if (cluster.activating === 0n) {
+      break;
+    }
+    effective += epochShare(stake - effective, cluster.activating, cluster.effective);
+    if (effective >= stake) {
+      effective = stake;
+      break;
+    }
+    if (current >= epoch || current >= deactivationEpoch) {
+      break;
+    }
+    cluster = history.get(current);
+    if (!cluster) {
+      break;
+    }
+    prevEpoch = current;
+  }
+  return { effective, activating: stake - effective };
+}
+
+/**
+ * Stake activation for a delegation at an epoch, as the stake program computes it
+ *
+ * @param {object|null} delegation - Parsed delegation { stake, activationEpoch, deactivationEpoch }
+ * @param {number} epoch - Current epoch
+ * @param {Map} history - From getStakeHistory
+ * @returns {{ state: string, effective: bigint, activating: bigint, deactivating: bigint }}
+ *   state is inactive, activating, active or deactivating
+ */
+function stakeActivation(delegation, epoch, history) {
+  const none = { state: 'inactive', effective: 0n, activating: 0n, deactivating: 0n };
+  if (!delegation) {
+    return none;
+  }
+
+  const { effective, activating } = stakeAndActivating(delegation, epoch, history);
+  const deactivationEpoch = delegation.deactivationEpoch === U64_MAX ? Infinity : Number(delegation.deactivationEpoch);
+
+  let result;
+  if (epoch < deactivationEpoch) {
+    result = { effective, activating, deactivating: 0n };
+  } else if (epoch === deactivationEpoch) {
+    result = { effective, activating: 0n, deactivating: effective };
+  } else {
+    let cluster = history.get(deactivationEpoch);
+    if (!cluster) {
+      return none;
+    }
+    let remaining = effective;
+    let prevEpoch = deactivationEpoch;
+    for (;;) {
+      const current = prevEpoch + 1;
+      if (cluster.deactivating === 0n) {
+        break;
+      }
+      const share = epochShare(remaining, cluster.deactivating, cluster.effective);
+      remaining = remaining > share ? remaining - share : 0n;
+      if (remaining === 0n || current >= epoch) {
+        break;
+      }
+      cluster = history.get(current);
+      if (!cluster) {
+        break;
+      }
+      prevEpoch = current;
+    }
+    result = { effective: remaining, activating: 0n, deactivating: remaining };
+  }
+
+  let state = 'active';
+  if (result.deactivating > 0n) {
+    state = 'deactivating';
+  } else if (result.activating > 0n) {
+    state = 'activating';
+  } else if (result.effective === 0n) {
+    state = 'inactive';
+  }
+  return { state, ...result };
+}
+
+module.exports = {
+  getStakeHistory,
+  stakeActivation,
+  U64_MAX,
+  WARMUP_COOLDOWN_RATE
+};
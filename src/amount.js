@@ -0,0 +1,132 @@
+/**
+ * Solana Agent Kit - Amounts
+ * Parse human-readable amounts ("1.5", "1.5 USDC", "raw:1500000") into base
+ * units using on-chain mint decimals and exact BigInt arithmetic
+ */
+
+const { TOKENS, resolveMint } = require('./registry');
+const { getMintInfo } = require('./mint');
+
+const SOL_DECIMALS = 9;
+
+/**
+ * An amount could not be parsed or does not fit the token's decimals
+ */
+class AmountError extends Error {
+  constructor(message, details = {}) {
+    super(message);
+    this.name = 'AmountError';
+    this.code = 'INVALID_AMOUNT';
+    this.details = details;
+  }
+}
+
+// Mint decimals never change, so they are cached for the life of the process
+const decimalsCache = new Map([[TOKENS.SOL, SOL_DECIMALS]]);
+
+/**
+ * Normalize 'SOL' and the wrapped SOL mint to the same address
+ */
+function normalizeMint(mint) {
+  return resolveMint(mint.toString());
+}
+
+/**
+ * Parse an amount without resolving decimals
+ *
+ * @param {string|number|bigint} input - "1.5", "1.5 USDC", "raw:1500000", 1.5 or 1500000n (raw)
+ * @returns {{ raw: bigint|null, value: string|null, symbol: string|null }}
+ */
+function parseAmount(input) {
+  if (typeof input === 'bigint') {
+    if (input < 0n) {
+      throw new AmountError(`Invalid amount: ${input}`);
+    }
+    return { raw: input, value: null, symbol: null };
+  }
+  if (typeof input === 'number') {
+    if (!Number.isFinite(input) || input < 0 || /e/i.test(String(input))) {
+      throw new AmountError(`Invalid amount: ${input} (pass very large or small amounts as strings)`);
+    }
+    return { raw: null, value: String(input), symbol: null };
+  }
+
+  const text = String(input ?? '').trim();
+  const rawMatch = /^raw:(\d+)$/i.exec(text);
+  if (rawMatch) {
+    return { raw: BigInt(rawMatch[1]), value: null, symbol: null };
+  }
+  const match = /^(\d+(?:\.\d*)?|\.\d+)(?:\s+(\S+))?$/.exec(text);
+  if (!match) {
+    throw new AmountError(`Invalid amount "${text}": use e.g. 1.5, "1.5 USDC" or raw:1500000`);
+  }
+  return { raw: null, value: match[1], symbol: match[2] || null };
+}
+
+/**
+ * Convert a decimal string to base units, rejecting excess precision
+ */
+function toRaw(value, decimals) {
+  const [whole, fraction = ''] = value.split('.');
+  if (fraction.length > decimals) {
+    throw new AmountError(`Amount ${value} has more than ${decimals} decimal places`, { decimals });
+  }
+  return BigInt((whole || '0') + fraction.padEnd(decimals, '0'));
+}
+
+/**
+ * Format base units as a decimal string without trailing zeros
+ */
+function toUi(raw, decimals) {
+  const digits = BigInt(raw).toString().padStart(decimals + 1, '0');
+  const whole = digits.slice(0, digits.length - decimals);
+  const fraction = digits.slice(digits.length - decimals).replace(/0+$/, '');
+  return fraction ? `${whole}.${fraction}` : whole;
+}
+
+/**
+ * Decimals for a mint, read on-chain once and cached
+ */
+async function getDecimals(connection, mint) {
+  const address = normalizeMint(mint);
+  if (!decimalsCache.has(address)) {
+    const { decimals } = await getMintInfo(connection, address);
+    decimalsCache.set(address, decimals);
+  }
+  return decimalsCache.get(address);
+}
+
+/**
+ * Resolve an amount for a mint into raw and UI forms
+ *
+ * @param {Connection} connection
+ * @param {string|number|bigint} input - See parseAmount
+ * @param {string} [mint] - Expected mint or symbol; defaults to the amount's symbol
+ * @returns {Promise<{ raw: bigint, ui: string, decimals: number, mint: string }>}
+ */
+async function resolveAmount(connection, input, mint) {
+  const parsed = parseAmount(input);
+  const symbolMint = parsed.symbol ? normalizeMint(parsed.symbol) : null;
+  const address = mint ? normalizeMint(mint) : symbolMint;
+  if (!address) {
+    throw new AmountError(`Amount "${input}" needs a token, e.g. "${input} USDC"`);
+  }
+  if (symbolMint && symbolMint !== address) {
+    throw new AmountError(`Amount is in ${parsed.symbol} but ${mint} was expected`,
+      { symbol: parsed.symbol, expected: address });
+  }
+
+  const decimals = await getDecimals(connection, address);
+  const raw = parsed.raw ?? toRaw(parsed.value, decimals);
+  return { raw, ui: toUi(raw, decimals), decimals, mint: address };
+}
+
+module.exports = {
+  AmountError,
+  parseAmount,
+  resolveAmount,
+  getDecimals,
+  toRaw,
+  toUi,
+  SOL_DECIMALS
+};
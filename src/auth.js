@@ -0,0 +1,107 @@
+/**
+ * Solana Agent Kit - API Key Authentication
+ * Bearer tokens with scopes for the HTTP server, loaded from a local config file
+ */
+
+const crypto = require('crypto');
+const { configPath, readJson } = require('./config');
+
+const API_KEYS_PATH = process.env.SOLANA_AGENT_API_KEYS || configPath('api-keys.json');
+
+const SCOPES = ['read', 'quote', 'trade', 'transfer', 'stake'];
+
+class AuthError extends Error {
+  /**
+   * @param {number} status - 401 (unauthenticated) or 403 (not permitted)
+   */
+  constructor(status, code, message, details = {}) {
+    super(message);
+    this.name = 'AuthError';
+    this.status = status;
+    this.code = code;
+    this.details = details;
+  }
+}
+
+function sha256(value) {
+  return crypto.createHash('sha256').update(value).digest();
+}
+
+class ApiKeys {
+  /**
+   * @param {Array} keys - [{ name, key | keyHash, scopes, wallets? }]
+   */
+  constructor(keys = []) {
+    this.keys = keys.map(entry => {
+      if (!entry.name || (!entry.key && !entry.keyHash)) {
+        throw new Error('Each API key needs a name and a key or keyHash');
+      }
+      for (const scope of entry.scopes || []) {
+        if (scope !== '*' && !SCOPES.includes(scope)) {
+          throw new Error(`Unknown scope "${scope}" for API key ${entry.name}`);
+        }
+      }
+      return {
+        name: entry.name,
+        hash: entry.keyHash ? Buffer.from(entry.keyHash, 'hex') : sha256(entry.key),
+        scopes: entry.scopes || [],
+        wallets: entry.wallets || null
+      };
+    });
+  }
+
+  /**
+   * Load keys from the config file, or null if none is configured
+   */
+  static load(filePath = API_KEYS_PATH) {
+    const data = readJson(filePath);
+    return data ? new ApiKeys(data.keys) : null;
+  }
+
+  /**
+   * Hash a key for storage as keyHash
+   */
+  static hash(key) {
+    return sha256(key).toString('hex');
+  }
+
+  /**
+   * Resolve the key for an Authorization header (throws AuthError 401)
+   */
+  authenticate(authorization) {
+    const match = /^Bearer\s+(\S+)$/i.exec(authorization || '');
+    if (!match) {
+      throw new AuthError(401, 'UNAUTHORIZED', 'Missing bearer token');
+    }
+    const presented = sha256(match[1]);
+    const entry = this.keys.find(k => k.hash.length === presented.length &&
+      crypto.timingSafeEqual(k.hash, presented));
+    if (!entry) {
+      throw new AuthError(401, 'UNAUTHORIZED', 'Invalid API key');
+    }
+    return entry;
+  }
+
+  /**
+   * Whether a key may use a wallet profile (keys without a wallets list may use any)
+   */
+  canUseWallet(entry, walletName) {
+    return !entry.wallets || entry.wallets.includes(walletName);
+  }
+
+  /**
+   * Check a key may use a scope on a wallet profile (throws AuthError 403)
+   */
+  authorize(entry, scope, walletName) {
+    if (!entry.scopes.includes('*') && !entry.scopes.includes(scope)) {
+      throw new AuthError(403, 'FORBIDDEN', `API key ${entry.name} lacks the "${scope}" scope`,
+        { required: scope, scopes: entry.scopes });
+    }
+    if (!this.canUseWallet(entry, walletName)) {
+      throw new AuthError(403, 'FORBIDDEN', `API key ${entry.name} may not use wallet ${walletName}`,
+        { wallet: walletName });
+    }
+  }
+}
+
+module.exports = { ApiKeys, AuthError, SCOPES, API_KEYS_PATH };
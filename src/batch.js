@@ -0,0 +1,235 @@
+/**
+ * Solana Agent Kit - Batch Payouts
+ * Pay recipients from a CSV file with Transfer.sendMany, tracking progress on
+ * disk so an interrupted run resumes without paying anyone twice
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const { readJson, writeJson } = require('./config');
+
+const EXPIRY_POLL_MS = 2000;
+
+/**
+ * Split one CSV line, honoring double-quoted fields
+ */
+function splitCsvLine(line) {
+  const fields = [];
+  let field = '';
+  let quoted = false;
+  for (let i = 0; i < line.length; i++) {
+    const c = line[i];
+    if (quoted) {
+      if (c === '"' && line[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (c === '"') {
+        quoted = false;
+      } else {
+        field += c;
+      }
+    } else if (c === '"') {
+      quoted = true;
+    } else if (c === ',') {
+      fields.push(field.trim());
+      field = '';
+    } else {
+      field += c;
+    }
+  }
+  fields.push(field.trim());
+  return fields;
+}
+
+/**
+ * Parse payout rows: recipient, amount and an optional token column.
+ * A header row (recipient|address|to, amount, token|mint) is optional.
+ *
+ * @param {string} text - CSV contents
+ * @param {object} options - { mint } default token for rows without one
+ * @returns {Array} [{ line, to, amount, mint }]
+ */
+function parsePayoutCsv(text, { mint } = {}) {
+  const lines = text.split(/\r?\n/)
+    .map((raw, i) => ({ line: i + 1, fields: splitCsvLine(raw) }))
+    .filter(l => l.fields.some(Boolean) && !l.fields[0].startsWith('#'));
+
+  let columns = { to: 0, amount: 1, mint: 2 };
+  const header = lines[0]?.fields.map(f => f.toLowerCase());
+  if (header && header.includes('amount')) {
+    const find = names => header.findIndex(h => names.includes(h));
+    columns = { to: find(['recipient', 'address', 'to']), amount: find(['amount']), mint: find(['token', 'mint']) };
+    if (columns.to === -1) {
+      throw new Error('CSV header needs a recipient, address or to column');
+    }
+    lines.shift();
+  }
+
+  return lines.map(({ line, fields }) => {
+    const to = fields[columns.to];
+    const amount = fields[columns.amount];
+    if (!to || !amount) {
+      throw new Error(`CSV line ${line}: expected recipient and amount`);
+    }
+    return { line, to, amount, mint: (columns.mint !== -1 && fields[columns.mint]) || mint || null };
+  });
+}
+
+/**
+ * Per-row payout state persisted next to the CSV
+ */
+class PayoutProgress {
+  /**
+   * @param {string} filePath - Progress file
+   * @param {string} fingerprint - Hash of the payout rows the progress belongs to
+   */
+  constructor(filePath, fingerprint) {
+    this.filePath = filePath;
+    const data = readJson(filePath);
+    if (data && data.fingerprint !== fingerprint) {
+      throw new Error(`Progress file ${filePath} belongs to a different payout list; move it aside to start over`);
+    }
+    this.data = data || { fingerprint, rows: {} };
+  }
+
+  static fingerprint(rows) {
+    return crypto.createHash('sha256').update(JSON.stringify(rows)).digest('hex');
+  }
+
+  get(line) {
+    return this.data.rows[line] || null;
+  }
+
+  set(line, fields) {
+    this.data.rows[line] = { ...this.data.rows[line], ...fields, updatedAt: Date.now() };
+  }
+
+  save() {
+    writeJson(this.filePath, this.data);
+  }
+}
+
+/**
+ * Settle rows left as sent or unknown by an earlier run: confirmed if their
+ * transaction landed, retryable once its blockhash has expired
+ */
+async function reconcile(wallet, rows, progress) {
+  const inFlight = rows.filter(r => ['sent', 'unknown'].includes(progress.get(r.line)?.status) &&
+    progress.get(r.line).signature);
+
+  for (const row of inFlight) {
+    const entry = progress.get(row.line);
+    for (;;) {
+      const { value: [status] } = await wallet.connection.getSignatureStatuses([entry.signature], {
+        searchTransactionHistory: true
+      });
+      if (status && !status.err) {
+        wallet.recordSpend({ action: 'transfer', mint: entry.mint, amount: entry.amountRaw, recipient: row.to },
+          entry.signature);
+        progress.set(row.line, { status: 'confirmed', slot: status.slot, error: null });
+        break;
+      }
+      if (status?.err) {
+        progress.set(row.line, { status: 'failed', error: JSON.stringify(status.err) });
+        break;
+      }
+      const height = await wallet.connection.getBlockHeight('confirmed');
+      if (!entry.lastValidBlockHeight || height > entry.lastValidBlockHeight) {
+        progress.set(row.line, { status: 'expired', error: 'Transaction expired without landing' });
+        break;
+      }
+      // Still valid: it may land, so wait rather than pay again
+      await new Promise(resolve => setTimeout(resolve, EXPIRY_POLL_MS));
+    }
+    progress.save();
+  }
+}
+
+/**
+ * Pay every row that isn't already confirmed in the progress file
+ *
+ * @param {Transfer} transfer
+ * @param {Array} rows - From parsePayoutCsv
+ * @param {object} options - sendMany options plus { progressPath }
+ * @returns {Promise<Array>} per-row report { line, to, amount, amountRaw, mint, status, signature, error }
+ */
+async function runPayouts(transfer, rows, options = {}) {
+  const progress = options.dryRun
+    ? null
+    : new PayoutProgress(options.progressPath, PayoutProgress.fingerprint(rows));
+
+  if (progress) {
+    await reconcile(transfer.wallet, rows, progress);
+  }
+
+  const todo = rows.filter(r => progress?.get(r.line)?.status !== 'confirmed');
+  const results = await transfer.sendMany(todo, {
+    ...options,
+    onProgress: event => {
+      if (!progress) {
+        return;
+      }
+      for (const result of event.results) {
+        progress.set(todo[result.index].line, event.type === 'sent'
+          ? {
+            status: 'sent',
+            signature: event.signature,
+            lastValidBlockHeight: event.lastValidBlockHeight,
+            mint: result.mint,
+            amountRaw: result.amountRaw
+          }
+          : { status: event.status, signature: event.signature, error: event.error });
+      }
+      // Written before broadcasting so a crash leaves the signature on disk
+      progress.save();
+    }
+  });
+
+  const byLine = new Map(results.map(r => [todo[r.index].line, r]));
+  if (progress) {
+    for (const result of results) {
+      const line = todo[result.index].line;
+      progress.set(line, {
+        status: result.status,
+        signature: result.signature || progress.get(line)?.signature || null,
+        mint: result.mint,
+        amountRaw: result.amountRaw,
+        error: result.error || null
+      });
+    }
+    progress.save();
+  }
+
+  return rows.map(row => {
+    const result = byLine.get(row.line);
+    const entry = progress?.get(row.line);
+    return {
+      line: row.line,
+      to: row.to,
+      amount: result?.amount || row.amount,
+      amountRaw: result?.amountRaw || entry?.amountRaw || null,
+      mint: result?.mint || entry?.mint || row.mint || 'SOL',
+      status: result?.status || entry?.status,
+      signature: result?.signature || entry?.signature || null,
+      ...((result?.error || entry?.error) && { error: result?.error || entry.error }),
+      ...(result?.simulation && { simulation: result.simulation })
+    };
+  });
+}
+
+/**
+ * Read a payout CSV from disk
+ */
+function readPayoutCsv(filePath, options = {}) {
+  if (!fs.existsSync(filePath)) {
+    throw new Error(`Payout file not found: ${filePath}`);
+  }
+  return parsePayoutCsv(fs.readFileSync(filePath, 'utf8'), options);
+}
+
+module.exports = {
+  parsePayoutCsv,
+  readPayoutCsv,
+  runPayouts,
+  PayoutProgress
+};
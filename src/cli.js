@@ -4,73 +4,280 @@
  * Command-line interface for AI agents to interact with Solana
  * 
  * Usage:
- *   solana-agent wallet create
+ *   solana-agent wallet create [path] [--encrypt] [--mnemonic]
+ *   solana-agent wallet derive --index <n> [--save <path>]
+ *   solana-agent wallet encrypt|decrypt [path]
  *   solana-agent wallet balance [--address <addr>]
  *   solana-agent wallet tokens
- *   solana-agent swap quote <from> <to> <amount>
- *   solana-agent swap execute <from> <to> <amount>
- *   solana-agent price <token>
+ *   solana-agent wallet history [--limit <n>] [--before <sig>]
+ *   solana-agent wallet watch
+ *   solana-agent swap quote <from> <to> <amount> [--provider <name>] [routing options]
+ *   solana-agent swap execute <from> <to> <amount> [--provider <name>] [routing options] [--min-output <amount>]
+ *     [--max-price-impact <pct>] [--max-quote-age <s>] [--max-deviation <pct>]
+ *     routing options: [--exact-out] [--slippage <bps>] [--dynamic-slippage] [--direct]
+ *     [--dex <a,b>] [--exclude-dex <a,b>] [--max-accounts <n>]
+ *   solana-agent price <token> [--source pyth|quote|best] [--quote <token>]
+ *   solana-agent portfolio [--record] [--no-stake]
+ *   solana-agent portfolio history [--limit <n>] [--since <date>]
  *   solana-agent transfer <to> <amount> [--token <mint>]
+ *   solana-agent transfer batch <file.csv> [--token <mint>] [--progress <path>]
+ *   solana-agent wallet list|add|remove|use
+ *   solana-agent tokens [list|search|add]
+ *   solana-agent dca create <from> <to> <amount> --every <interval> [--runs <n>] [--until <date>]
+ *   solana-agent dca [list|show|pause|resume|cancel|run]
+ *   solana-agent orders take-profit|stop-loss|limit-buy <token> <amount> <price> [--quote <token>] [--expires <7d|date>]
+ *   solana-agent orders oco <token> <amount> --take-profit <price> --stop-loss <price>
+ *   solana-agent orders [list|show|cancel|run]
+ *
+ * Amounts are in whole tokens ("1.5", "1.5 USDC") or base units ("raw:1500000").
+ * Any command accepts --wallet <name> to select a wallet profile.
+ * Write commands (transfer, swap execute, stake) accept --dry-run to simulate
+ * without signing or sending.
  */
 
 const { Wallet } = require('./wallet');
 const { Swapper, TOKENS } = require('./swap');
 const { Transfer } = require('./transfer');
 const { Staking, VALIDATORS } = require('./stake');
-const path = require('path');
+const { WalletRegistry, loadProfile, profilePassphrase, DEFAULT_WALLET_PATH } = require('./profiles');
+const { parseAmount, toUi, SOL_DECIMALS } = require('./amount');
+const { TokenRegistry, resolveMint } = require('./registry');
+const { getMintInfo } = require('./mint');
+const { readPayoutCsv, runPayouts } = require('./batch');
+const { DcaScheduler } = require('./scheduler');
+const { OrderEngine, ORDER_TYPES } = require('./orders');
+const { Portfolio } = require('./portfolio');
+const { AccountWatcher } = require('./watcher');
+const { Connection } = require('@solana/web3.js');
 const fs = require('fs');
+const readline = require('readline');
 
-// Default wallet path
-const DEFAULT_WALLET_PATH = process.env.SOLANA_WALLET_PATH || 
-  path.join(process.env.HOME, '.config', 'solana', 'id.json');
+const registry = new WalletRegistry();
 
 // RPC URL
 const RPC_URL = process.env.SOLANA_RPC_URL || 'https://api.mainnet-beta.solana.com';
 
-async function loadWallet() {
-  if (!fs.existsSync(DEFAULT_WALLET_PATH)) {
-    console.error(`Wallet not found at ${DEFAULT_WALLET_PATH}`);
+/**
+ * Get the value following a flag, e.g. --token <mint>
+ */
+function getOption(args, name) {
+  const idx = args.indexOf(name);
+  return idx !== -1 ? args[idx + 1] : null;
+}
+
+function promptHidden(question) {
+  return new Promise(resolve => {
+    const rl = readline.createInterface({ input: process.stdin, output: process.stderr, terminal: true });
+    process.stderr.write(question);
+    // Don't echo the passphrase
+    rl._writeToOutput = () => {};
+    rl.question('', answer => {
+      rl.close();
+      process.stderr.write('\n');
+      resolve(answer);
+    });
+  });
+}
+
+/**
+ * Get the keystore passphrase from SOLANA_WALLET_PASSPHRASE[_<PROFILE>] or an interactive prompt
+ */
+async function getPassphrase({ confirm = false, profile = 'default' } = {}) {
+  const fromEnv = profilePassphrase(profile);
+  if (fromEnv) {
+    return fromEnv;
+  }
+  if (!process.stdin.isTTY) {
+    throw new Error('Passphrase required: set SOLANA_WALLET_PASSPHRASE or run interactively');
+  }
+  const passphrase = await promptHidden('Wallet passphrase: ');
+  if (!passphrase) {
+    throw new Error('Passphrase cannot be empty');
+  }
+  if (confirm && await promptHidden('Confirm passphrase: ') !== passphrase) {
+    throw new Error('Passphrases do not match');
+  }
+  return passphrase;
+}
+
+/**
+ * Get the seed phrase from SOLANA_WALLET_MNEMONIC or an interactive prompt
+ */
+async function getMnemonic() {
+  if (process.env.SOLANA_WALLET_MNEMONIC) {
+    return process.env.SOLANA_WALLET_MNEMONIC;
+  }
+  if (!process.stdin.isTTY) {
+    throw new Error('Mnemonic required: set SOLANA_WALLET_MNEMONIC or run interactively');
+  }
+  return promptHidden('Mnemonic phrase: ');
+}
+
+/**
+ * Refuse to create a wallet over an existing profile or key file
+ */
+function assertNewWallet(profileName, savePath) {
+  if (profileName && registry.has(profileName)) {
+    throw new Error(`Wallet profile ${profileName} already exists`);
+  }
+  if (savePath && fs.existsSync(savePath)) {
+    throw new Error(`${savePath} already exists; not overwriting it`);
+  }
+}
+
+async function loadWallet(profileName) {
+  const profile = registry.resolve(profileName);
+  if (!fs.existsSync(profile.path)) {
+    console.error(`Wallet not found at ${profile.path}`);
     console.error('Create one with: solana-agent wallet create');
     process.exit(1);
   }
-  return Wallet.fromFile(DEFAULT_WALLET_PATH, RPC_URL);
+  const passphrase = Wallet.isEncryptedFile(profile.path)
+    ? await getPassphrase({ profile: profile.name })
+    : undefined;
+  return loadProfile(profile, { rpcUrl: RPC_URL, passphrase });
 }
 
 async function main() {
   const args = process.argv.slice(2);
+
+  // Global --wallet <name> selects a profile; strip it so positional args stay in place
+  const walletIdx = args.indexOf('--wallet');
+  const profileName = walletIdx !== -1
+    ? args.splice(walletIdx, 2)[1]
+    : process.env.SOLANA_WALLET_PROFILE || null;
+
   const command = args[0];
   const subcommand = args[1];
+  const dryRun = args.includes('--dry-run');
+
+  // Options shared by every command that signs a transaction
+  const txOptions = {
+    dryRun,
+    priorityFee: getOption(args, '--priority-fee'),
+    maxPriorityFee: getOption(args, '--max-priority-fee')
+  };
 
   try {
     switch (command) {
       case 'wallet': {
         switch (subcommand) {
           case 'create': {
-            const wallet = Wallet.create(RPC_URL);
-            const savePath = args[2] || DEFAULT_WALLET_PATH;
-            wallet.save(savePath);
+            const { wallet, mnemonic } = args.includes('--mnemonic')
+              ? Wallet.createWithMnemonic(RPC_URL, { words: getOption(args, '--words') === '24' ? 24 : 12 })
+              : { wallet: Wallet.create(RPC_URL) };
+            const savePath = args[2] && !args[2].startsWith('--')
+              ? args[2]
+              : profileName ? WalletRegistry.walletPath(profileName) : DEFAULT_WALLET_PATH;
+            assertNewWallet(profileName, savePath);
+            const encrypt = args.includes('--encrypt');
+            const passphrase = encrypt
+              ? await getPassphrase({ confirm: true, profile: profileName || 'default' })
+              : undefined;
+            wallet.save(savePath, { passphrase });
+            if (profileName) {
+              registry.add(profileName, { path: savePath });
+            }
             console.log(JSON.stringify({
               success: true,
+              ...(profileName && { profile: profileName }),
               address: wallet.address,
               path: savePath,
-              warning: 'Backup your wallet file! Loss means loss of funds.'
+              encrypted: encrypt,
+              ...(mnemonic && { mnemonic, derivationPath: wallet.derivationPath }),
+              warning: mnemonic
+                ? 'Write down the mnemonic now, it will not be shown again. It controls every derived wallet.'
+                : 'Backup your wallet file! Loss means loss of funds.'
+            }, null, 2));
+            break;
+          }
+
+          case 'derive': {
+            const index = parseInt(getOption(args, '--index') || '0', 10);
+            const change = parseInt(getOption(args, '--change') || '0', 10);
+            if (!Number.isInteger(index) || index < 0 || !Number.isInteger(change) || change < 0) {
+              console.error('Usage: solana-agent wallet derive --index <n> [--change <n>] [--save <path>] [--encrypt]');
+              process.exit(1);
+            }
+            const mnemonic = await getMnemonic();
+            const wallet = Wallet.fromMnemonic(mnemonic, {
+              account: index,
+              change,
+              passphrase: process.env.SOLANA_MNEMONIC_PASSPHRASE
+            }, RPC_URL);
+
+            // --wallet <name> registers the derived account as a profile
+            const savePath = getOption(args, '--save') ||
+              (profileName ? WalletRegistry.walletPath(profileName) : null);
+            assertNewWallet(profileName, savePath);
+            if (savePath) {
+              const passphrase = args.includes('--encrypt')
+                ? await getPassphrase({ confirm: true, profile: profileName || 'default' })
+                : undefined;
+              wallet.save(savePath, { passphrase });
+            }
+            if (profileName) {
+              registry.add(profileName, { path: savePath });
+            }
+            console.log(JSON.stringify({
+              ...(profileName && { profile: profileName }),
+              index,
+              derivationPath: wallet.derivationPath,
+              address: wallet.address,
+              path: savePath
+            }, null, 2));
+            break;
+          }
+
+          case 'encrypt': {
+            const filePath = args[2] || registry.resolve(profileName).path;
+            if (Wallet.isEncryptedFile(filePath)) {
+              throw new Error(`${filePath} is already encrypted`);
+            }
+            const wallet = Wallet.fromFile(filePath, RPC_URL);
+            const passphrase = await getPassphrase({ confirm: true, profile: profileName || 'default' });
+            wallet.save(filePath, { passphrase });
+            console.log(JSON.stringify({
+              success: true,
+              address: wallet.address,
+              path: filePath,
+              encrypted: true
+            }, null, 2));
+            break;
+          }
+
+          case 'decrypt': {
+            const filePath = args[2] || registry.resolve(profileName).path;
+            if (!Wallet.isEncryptedFile(filePath)) {
+              throw new Error(`${filePath} is not encrypted`);
+            }
+            const passphrase = await getPassphrase({ profile: profileName || 'default' });
+            const wallet = Wallet.fromFile(filePath, RPC_URL, { passphrase });
+            wallet.save(filePath);
+            console.log(JSON.stringify({
+              success: true,
+              address: wallet.address,
+              path: filePath,
+              encrypted: false,
+              warning: 'Wallet file is now stored unencrypted.'
             }, null, 2));
             break;
           }
 
           case 'balance': {
-            const wallet = await loadWallet();
-            const balance = await wallet.getBalance();
+            const wallet = await loadWallet(profileName);
+            const lamports = await wallet.getLamports();
             console.log(JSON.stringify({
               address: wallet.address,
-              balance: balance,
+              balance: toUi(lamports, SOL_DECIMALS),
+              lamports: lamports.toString(),
               unit: 'SOL'
             }, null, 2));
             break;
           }
 
           case 'tokens': {
-            const wallet = await loadWallet();
+            const wallet = await loadWallet(profileName);
             const tokens = await wallet.getAllTokenBalances();
             console.log(JSON.stringify({
               address: wallet.address,
@@ -79,38 +286,134 @@ async function main() {
             break;
           }
 
+          case 'history': {
+            const wallet = await loadWallet(profileName);
+            const history = await wallet.getHistory({
+              limit: getOption(args, '--limit'),
+              before: getOption(args, '--before'),
+              until: getOption(args, '--until')
+            });
+            console.log(JSON.stringify({
+              address: wallet.address,
+              ...history
+            }, null, 2));
+            break;
+          }
+
+          case 'watch': {
+            // One event per line until interrupted
+            const wallet = await loadWallet(profileName);
+            const watcher = new AccountWatcher(wallet);
+            watcher.on('event', event => console.log(JSON.stringify(event)));
+            await watcher.start();
+            await new Promise(resolve => process.once('SIGINT', resolve));
+            await watcher.stop();
+            process.exit(0);
+          }
+
           case 'address': {
-            const wallet = await loadWallet();
+            const wallet = await loadWallet(profileName);
             console.log(wallet.address);
             break;
           }
 
+          case 'list': {
+            console.log(JSON.stringify({
+              wallets: registry.list(),
+              active: registry.resolve(profileName).name
+            }, null, 2));
+            break;
+          }
+
+          case 'add': {
+            const [, , name, filePath] = args;
+            if (!name || !filePath || name.startsWith('--') || filePath.startsWith('--')) {
+              console.error('Usage: solana-agent wallet add <name> <path> [--rpc <url>] [--policy <path>]');
+              process.exit(1);
+            }
+            if (!fs.existsSync(filePath)) {
+              throw new Error(`Wallet not found at ${filePath}`);
+            }
+            const profile = registry.add(name, {
+              path: filePath,
+              rpcUrl: getOption(args, '--rpc'),
+              policy: getOption(args, '--policy')
+            });
+            console.log(JSON.stringify({ success: true, ...profile }, null, 2));
+            break;
+          }
+
+          case 'remove': {
+            const name = args[2];
+            if (!name) {
+              console.error('Usage: solana-agent wallet remove <name>');
+              process.exit(1);
+            }
+            registry.remove(name);
+            console.log(JSON.stringify({ success: true, removed: name }, null, 2));
+            break;
+          }
+
+          case 'use': {
+            const name = args[2];
+            if (!name) {
+              console.error('Usage: solana-agent wallet use <name>');
+              process.exit(1);
+            }
+            registry.setDefault(name);
+            console.log(JSON.stringify({ success: true, default: name }, null, 2));
+            break;
+          }
+
           default:
-            console.error('Unknown wallet command. Use: create, balance, tokens, address');
+            console.error('Unknown wallet command. Use: create, derive, encrypt, decrypt, balance, tokens, history, watch, address, list, add, remove, use');
             process.exit(1);
         }
         break;
       }
 
       case 'swap': {
-        const wallet = await loadWallet();
+        const wallet = await loadWallet(profileName);
         const swapper = new Swapper(wallet);
+        const slippageBps = getOption(args, '--slippage') ?? 50;
+        // Provider, swap mode and routing options shared by quote and execute
+        const routeOptions = {
+          provider: getOption(args, '--provider'),
+          swapMode: args.includes('--exact-out') ? 'ExactOut' : 'ExactIn',
+          onlyDirectRoutes: args.includes('--direct'),
+          dexes: getOption(args, '--dex'),
+          excludeDexes: getOption(args, '--exclude-dex'),
+          maxAccounts: getOption(args, '--max-accounts'),
+          dynamicSlippage: args.includes('--dynamic-slippage')
+        };
 
         switch (subcommand) {
           case 'quote': {
             const [, , from, to, amount] = args;
             if (!from || !to || !amount) {
-              console.error('Usage: solana-agent swap quote <from> <to> <amount>');
+              console.error('Usage: solana-agent swap quote <from> <to> <amount> [--provider <name>] [--exact-out] ' +
+                '[--slippage <bps>] [--dynamic-slippage] [--direct] [--dex <a,b>] [--exclude-dex <a,b>] [--max-accounts <n>]');
               process.exit(1);
             }
-            const quote = await swapper.getQuote(from, to, amount);
+            const quote = await swapper.getQuote(from, to, amount, slippageBps, routeOptions);
             console.log(JSON.stringify({
               from: from,
               to: to,
-              inputAmount: quote.inAmount,
-              outputAmount: quote.outAmount,
+              provider: quote.provider,
+              swapMode: quote.swapMode,
+              inputAmount: quote.inAmountUi,
+              inputAmountRaw: quote.inAmount,
+              outputAmount: quote.outAmountUi,
+              outputAmountRaw: quote.outAmount,
+              minimumOutput: quote.minOutAmountUi,
+              maximumInput: quote.maxInAmountUi,
+              slippageBps: quote.slippageBps,
+              routing: quote.routing,
               priceImpact: quote.priceImpactPct,
-              route: quote.routePlan?.map(r => r.swapInfo?.label).filter(Boolean)
+              route: Array.isArray(quote.routePlan)
+                ? quote.routePlan.map(r => r.swapInfo?.label).filter(Boolean)
+                : quote.routePlan,
+              alternatives: quote.alternatives
             }, null, 2));
             break;
           }
@@ -118,16 +421,43 @@ async function main() {
           case 'execute': {
             const [, , from, to, amount] = args;
             if (!from || !to || !amount) {
-              console.error('Usage: solana-agent swap execute <from> <to> <amount>');
+              console.error('Usage: solana-agent swap execute <from> <to> <amount> [--provider <name>] [--exact-out] ' +
+                '[--slippage <bps>] [--dynamic-slippage] [--direct] [--dex <a,b>] [--exclude-dex <a,b>] [--max-accounts <n>] ' +
+                '[--min-output <amount>] [--max-price-impact <pct>] [--max-quote-age <s>] [--max-deviation <pct>] [--dry-run]');
               process.exit(1);
             }
+            const swapOptions = {
+              ...txOptions,
+              ...routeOptions,
+              minOutput: getOption(args, '--min-output'),
+              maxPriceImpact: getOption(args, '--max-price-impact'),
+              maxQuoteAge: getOption(args, '--max-quote-age'),
+              maxPriceDeviation: getOption(args, '--max-deviation')
+            };
+            if (dryRun) {
+              const simulation = await swapper.swap(from, to, amount, slippageBps, swapOptions);
+              console.log(JSON.stringify(simulation, null, 2));
+              break;
+            }
             console.error(`Swapping ${amount} ${from} -> ${to}...`);
-            const result = await swapper.swap(from, to, amount);
+            const result = await swapper.swap(from, to, amount, slippageBps, swapOptions);
             console.log(JSON.stringify({
               success: true,
               signature: result.signature,
-              inputAmount: result.inAmount,
-              outputAmount: result.outAmount,
+              provider: result.provider,
+              inputAmount: result.inAmountUi,
+              inputAmountRaw: result.inAmount,
+              outputAmount: result.outAmountUi,
+              outputAmountRaw: result.outAmount,
+              swapMode: result.swapMode,
+              slippageBps: result.slippageBps,
+              minimumOutput: result.minOutAmountUi,
+              maximumInput: result.maxInAmountUi,
+              routing: result.routing,
+              status: result.status,
+              slot: result.slot,
+              priorityFee: result.priorityFee,
+              guards: result.guards,
               explorer: result.explorerUrl
             }, null, 2));
             break;
@@ -143,70 +473,367 @@ async function main() {
       case 'price': {
         const token = args[1];
         if (!token) {
-          console.error('Usage: solana-agent price <token>');
+          console.error('Usage: solana-agent price <token> [--source pyth|quote|best] [--quote <token>]');
           process.exit(1);
         }
-        const wallet = await loadWallet();
+        const wallet = await loadWallet(profileName);
         const swapper = new Swapper(wallet);
-        const price = await swapper.getPrice(token);
+        const unit = getOption(args, '--quote') || 'USDC';
+        const { price, ...details } = await swapper.getPrice(token, unit, { source: getOption(args, '--source') });
         console.log(JSON.stringify({
           token: token,
           price: price,
-          unit: 'USDC'
+          unit,
+          ...details
         }, null, 2));
         break;
       }
 
+      case 'portfolio': {
+        const wallet = await loadWallet(profileName);
+        const portfolio = new Portfolio();
+
+        if (subcommand === 'history') {
+          console.log(JSON.stringify(portfolio.getHistory(wallet.address, {
+            limit: getOption(args, '--limit'),
+            since: getOption(args, '--since')
+          }), null, 2));
+          break;
+        }
+        if (subcommand && !subcommand.startsWith('--')) {
+          console.error('Unknown portfolio command. Use: portfolio [--record] [--no-stake], portfolio history');
+          process.exit(1);
+        }
+        const snapshot = await portfolio.getSnapshot(wallet, {
+          includeStake: !args.includes('--no-stake'),
+          record: args.includes('--record')
+        });
+        console.log(JSON.stringify(snapshot, null, 2));
+        break;
+      }
+
       case 'transfer': {
-        const wallet = await loadWallet();
+        const wallet = await loadWallet(profileName);
         const transfer = new Transfer(wallet);
         const [, to, amount] = args;
+
+        if (to === 'batch') {
+          const file = args[2];
+          if (!file) {
+            console.error('Usage: solana-agent transfer batch <file.csv> [--token <mint>] [--progress <path>] [--dry-run]');
+            process.exit(1);
+          }
+          const rows = readPayoutCsv(file, { mint: getOption(args, '--token') });
+          const progressPath = getOption(args, '--progress') || `${file}.progress.json`;
+          if (!dryRun) {
+            console.error(`Paying ${rows.length} recipients (progress: ${progressPath})...`);
+          }
+          const report = await runPayouts(transfer, rows, { ...txOptions, progressPath });
+          const summary = report.reduce((counts, r) => ({ ...counts, [r.status]: (counts[r.status] || 0) + 1 }), {});
+          console.log(JSON.stringify({
+            success: report.every(r => r.status === (dryRun ? 'simulated' : 'confirmed')),
+            file,
+            ...(!dryRun && { progress: progressPath }),
+            summary,
+            rows: report
+          }, null, 2));
+          break;
+        }
         
-        // Check for --token flag
-        const tokenIdx = args.indexOf('--token');
-        const tokenMint = tokenIdx !== -1 ? args[tokenIdx + 1] : null;
+        // Check for --token flag, or a token named in the amount ("10 USDC")
+        const symbol = amount && parseAmount(amount).symbol;
+        const tokenMint = getOption(args, '--token') ||
+          (symbol && resolveMint(symbol) !== TOKENS.SOL ? symbol : null);
 
         if (!to || !amount) {
-          console.error('Usage: solana-agent transfer <to> <amount> [--token <mint>]');
+          console.error('Usage: solana-agent transfer <to> <amount> [--token <mint>] [--dry-run]');
           process.exit(1);
         }
 
-        console.error(`Transferring ${amount} ${tokenMint || 'SOL'} to ${to}...`);
+        if (dryRun) {
+          const simulation = tokenMint
+            ? await transfer.sendToken(to, amount, tokenMint, txOptions)
+            : await transfer.sendSol(to, amount, txOptions);
+          console.log(JSON.stringify(simulation, null, 2));
+          break;
+        }
+
+        console.error(`Transferring ${symbol ? amount : `${amount} ${tokenMint || 'SOL'}`} to ${to}...`);
         const result = tokenMint 
-          ? await transfer.sendToken(to, amount, tokenMint)
-          : await transfer.sendSol(to, amount);
+          ? await transfer.sendToken(to, amount, tokenMint, txOptions)
+          : await transfer.sendSol(to, amount, txOptions);
         
         console.log(JSON.stringify({
           success: true,
           signature: result.signature,
           to: to,
-          amount: amount,
-          token: tokenMint || 'SOL',
+          amount: result.amount,
+          amountRaw: result.amountRaw,
+          token: result.mint || 'SOL',
+          ...(tokenMint && { program: result.program, transferFee: result.transferFee }),
+          status: result.status,
+          slot: result.slot,
+          priorityFee: result.priorityFee,
           explorer: result.explorerUrl
         }, null, 2));
         break;
       }
 
+      case 'dca': {
+        const swappers = new Map();
+        const scheduler = new DcaScheduler({
+          // Orders can belong to any profile; `dca run` loads each one on first use
+          getSwapper: async name => {
+            if (!swappers.has(name)) {
+              swappers.set(name, new Swapper(await loadWallet(name)));
+            }
+            return swappers.get(name);
+          },
+          log: message => console.error(message)
+        });
+        const walletName = registry.resolve(profileName).name;
+        const id = args[2];
+
+        switch (subcommand) {
+          case 'create': {
+            const [, , from, to, amount] = args;
+            const interval = getOption(args, '--every');
+            if (!from || !to || !amount || !interval) {
+              console.error('Usage: solana-agent dca create <from> <to> <amount> --every <interval> [--runs <n>] ' +
+                '[--until <date>] [--start <date>] [--catch-up] [--slippage <bps>] [--provider <name>] [--exact-out] ' +
+                '[--max-price-impact <pct>]');
+              process.exit(1);
+            }
+            const order = await scheduler.create(await scheduler.getSwapper(walletName), {
+              wallet: walletName,
+              from,
+              to,
+              amount,
+              interval,
+              maxRuns: getOption(args, '--runs'),
+              endAt: getOption(args, '--until'),
+              startAt: getOption(args, '--start'),
+              catchUp: args.includes('--catch-up'),
+              slippageBps: getOption(args, '--slippage'),
+              provider: getOption(args, '--provider'),
+              swapMode: args.includes('--exact-out') ? 'ExactOut' : null,
+              maxPriceImpact: getOption(args, '--max-price-impact')
+            });
+            console.log(JSON.stringify({ success: true, order }, null, 2));
+            break;
+          }
+
+          case 'list':
+          case undefined:
+            console.log(JSON.stringify({ orders: scheduler.list({ wallet: walletName }) }, null, 2));
+            break;
+
+          case 'show':
+          case 'pause':
+          case 'resume':
+          case 'cancel': {
+            if (!id) {
+              console.error(`Usage: solana-agent dca ${subcommand} <order_id>`);
+              process.exit(1);
+            }
+            const order = subcommand === 'show'
+              ? scheduler.get(id, { wallet: walletName })
+              : scheduler[subcommand](id, { wallet: walletName });
+            console.log(JSON.stringify(order, null, 2));
+            break;
+          }
+
+          case 'run': {
+            // Process due orders once, e.g. from cron; a lock per order keeps it off runs the server is executing
+            await scheduler.tick();
+            console.log(JSON.stringify({ orders: scheduler.list() }, null, 2));
+            break;
+          }
+
+          default:
+            console.error('Unknown dca command. Use: create, list, show, pause, resume, cancel, run');
+            process.exit(1);
+        }
+        break;
+      }
+
+      case 'orders': {
+        const swappers = new Map();
+        const engine = new OrderEngine({
+          // Orders can belong to any profile; `orders run` loads each one on first use
+          getSwapper: async name => {
+            if (!swappers.has(name)) {
+              swappers.set(name, new Swapper(await loadWallet(name)));
+            }
+            return swappers.get(name);
+          },
+          log: message => console.error(message)
+        });
+        const walletName = registry.resolve(profileName).name;
+        const orderOptions = {
+          wallet: walletName,
+          quote: getOption(args, '--quote'),
+          expiresAt: getOption(args, '--expires'),
+          priceMode: args.includes('--unit-price') ? 'unit' : null,
+          maxAttempts: getOption(args, '--attempts'),
+          slippageBps: getOption(args, '--slippage'),
+          provider: getOption(args, '--provider'),
+          maxPriceImpact: getOption(args, '--max-price-impact')
+        };
+
+        if (ORDER_TYPES[subcommand]) {
+          const [, , token, amount, price] = args;
+          if (!token || !amount || !price) {
+            console.error(`Usage: solana-agent orders ${subcommand} <token> <amount> <price> [--quote <token>] ` +
+              '[--expires <7d|date>] [--unit-price] [--attempts <n>] [--slippage <bps>] [--provider <name>] ' +
+              '[--max-price-impact <pct>]');
+            process.exit(1);
+          }
+          const order = await engine.create(await engine.getSwapper(walletName), {
+            ...orderOptions,
+            type: subcommand,
+            token,
+            amount,
+            triggerPrice: price
+          });
+          console.log(JSON.stringify({ success: true, order }, null, 2));
+          break;
+        }
+
+        switch (subcommand) {
+          case 'oco': {
+            const [, , token, amount] = args;
+            const takeProfit = getOption(args, '--take-profit');
+            const stopLoss = getOption(args, '--stop-loss');
+            if (!token || !amount || !takeProfit || !stopLoss) {
+              console.error('Usage: solana-agent orders oco <token> <amount> --take-profit <price> --stop-loss <price> ' +
+                '[--quote <token>] [--expires <7d|date>] [--unit-price] [--attempts <n>] [--slippage <bps>]');
+              process.exit(1);
+            }
+            const pair = await engine.createOco(await engine.getSwapper(walletName), {
+              ...orderOptions,
+              token,
+              amount,
+              takeProfit,
+              stopLoss
+            });
+            console.log(JSON.stringify({ success: true, ...pair }, null, 2));
+            break;
+          }
+
+          case 'list':
+          case undefined:
+            console.log(JSON.stringify({
+              orders: engine.list({ wallet: walletName, status: getOption(args, '--status') })
+            }, null, 2));
+            break;
+
+          case 'show':
+          case 'cancel': {
+            const id = args[2];
+            if (!id) {
+              console.error(`Usage: solana-agent orders ${subcommand} <order_id>`);
+              process.exit(1);
+            }
+            const order = subcommand === 'show'
+              ? engine.get(id, { wallet: walletName })
+              : engine.cancel(id, { wallet: walletName });
+            console.log(JSON.stringify(order, null, 2));
+            break;
+          }
+
+          case 'run': {
+            // Check open orders once, e.g. from cron; a lock per order keeps it off orders the server is executing
+            await engine.tick();
+            console.log(JSON.stringify({ orders: engine.list({ status: 'active' }) }, null, 2));
+            break;
+          }
+
+          default:
+            console.error('Unknown orders command. Use: take-profit, stop-loss, limit-buy, oco, list, show, cancel, run');
+            process.exit(1);
+        }
+        break;
+      }
+
       case 'tokens': {
-        // List known tokens
-        console.log(JSON.stringify(TOKENS, null, 2));
+        const tokens = TokenRegistry.default();
+
+        switch (subcommand) {
+          case undefined:
+          case 'list': {
+            console.log(JSON.stringify(tokens.list(), null, 2));
+            break;
+          }
+
+          case 'search': {
+            const query = args[2];
+            if (!query) {
+              console.error('Usage: solana-agent tokens search <query>');
+              process.exit(1);
+            }
+            console.log(JSON.stringify(tokens.search(query), null, 2));
+            break;
+          }
+
+          case 'add': {
+            const mint = args[2];
+            const symbol = getOption(args, '--symbol');
+            if (!mint || !symbol) {
+              console.error('Usage: solana-agent tokens add <mint> --symbol <symbol> [--decimals <n>] [--name <name>] [--tags <a,b>]');
+              process.exit(1);
+            }
+            const decimalsOption = getOption(args, '--decimals');
+            const decimals = decimalsOption != null
+              ? parseInt(decimalsOption, 10)
+              : (await getMintInfo(new Connection(RPC_URL, 'confirmed'), mint)).decimals;
+            const tags = getOption(args, '--tags');
+            const { token, conflicts } = tokens.add({
+              mint,
+              symbol,
+              decimals,
+              name: getOption(args, '--name'),
+              tags: tags ? tags.split(',') : []
+            });
+            console.log(JSON.stringify({
+              success: true,
+              token,
+              ...(conflicts.length && {
+                warning: `Symbol ${symbol} is now ambiguous; use the mint address for these tokens`,
+                conflicts
+              })
+            }, null, 2));
+            break;
+          }
+
+          default:
+            console.error('Unknown tokens command. Use: list, search, add');
+            process.exit(1);
+        }
         break;
       }
 
       case 'stake': {
-        const wallet = await loadWallet();
+        const wallet = await loadWallet(profileName);
         const staking = new Staking(wallet);
+        // Validator checks for delegate and redelegate
+        const validatorOptions = {
+          force: args.includes('--force'),
+          maxCommission: getOption(args, '--max-commission')
+        };
 
         switch (subcommand) {
           case 'delegate': {
             const [, , validator, amount] = args;
             if (!validator || !amount) {
-              console.error('Usage: solana-agent stake delegate <validator> <amount_sol>');
+              console.error('Usage: solana-agent stake delegate <validator|auto> <amount_sol> [--max-commission <pct>] [--force] [--dry-run]');
               console.error('Validators:', Object.keys(VALIDATORS).join(', '));
               process.exit(1);
             }
-            console.error(`Staking ${amount} SOL to ${validator}...`);
-            const result = await staking.stake(validator, parseFloat(amount));
+            if (!dryRun) {
+              console.error(`Staking ${amount} SOL to ${validator}...`);
+            }
+            const result = await staking.stake(validator, amount, { ...txOptions, ...validatorOptions });
             console.log(JSON.stringify({
               success: true,
               ...result
@@ -215,23 +842,87 @@ async function main() {
           }
 
           case 'list': {
+            if (args.includes('--rewards')) {
+              const rewards = await staking.getStakeRewards({ epochs: getOption(args, '--epochs') });
+              console.log(JSON.stringify({ address: wallet.address, ...rewards }, null, 2));
+              break;
+            }
             const accounts = await staking.getStakeAccounts();
             console.log(JSON.stringify({
               address: wallet.address,
               stakeAccounts: accounts,
-              totalStaked: accounts.reduce((sum, a) => sum + a.sol, 0)
+              totalStaked: toUi(accounts.reduce((sum, a) => sum + BigInt(a.lamports), 0n), SOL_DECIMALS)
             }, null, 2));
             break;
           }
 
           case 'unstake': {
-            const stakeAddr = args[2];
+            const [, , stakeAddr, amount] = args;
             if (!stakeAddr) {
-              console.error('Usage: solana-agent stake unstake <stake_account_address>');
+              console.error('Usage: solana-agent stake unstake <stake_account_address> [amount_sol] [--dry-run]');
+              process.exit(1);
+            }
+            if (!dryRun) {
+              console.error(amount
+                ? `Splitting off and deactivating ${amount} SOL from ${stakeAddr}...`
+                : `Deactivating stake account ${stakeAddr}...`);
+            }
+            const result = await staking.unstake(stakeAddr, { ...txOptions, amount });
+            console.log(JSON.stringify({
+              success: true,
+              ...result
+            }, null, 2));
+            break;
+          }
+
+          case 'split': {
+            const [, , stakeAddr, amount] = args;
+            if (!stakeAddr || !amount) {
+              console.error('Usage: solana-agent stake split <stake_account_address> <amount_sol> [--deactivate] [--dry-run]');
               process.exit(1);
             }
-            console.error(`Deactivating stake account ${stakeAddr}...`);
-            const result = await staking.unstake(stakeAddr);
+            if (!dryRun) {
+              console.error(`Splitting ${amount} SOL from ${stakeAddr}...`);
+            }
+            const result = await staking.split(stakeAddr, amount, {
+              ...txOptions,
+              deactivate: args.includes('--deactivate')
+            });
+            console.log(JSON.stringify({
+              success: true,
+              ...result
+            }, null, 2));
+            break;
+          }
+
+          case 'merge': {
+            const [, , destination, source] = args;
+            if (!destination || !source) {
+              console.error('Usage: solana-agent stake merge <destination_stake_account> <source_stake_account> [--dry-run]');
+              process.exit(1);
+            }
+            if (!dryRun) {
+              console.error(`Merging ${source} into ${destination}...`);
+            }
+            const result = await staking.merge(destination, source, txOptions);
+            console.log(JSON.stringify({
+              success: true,
+              ...result
+            }, null, 2));
+            break;
+          }
+
+          case 'redelegate': {
+            const [, , stakeAddr, validator] = args;
+            if (!stakeAddr || !validator) {
+              console.error('Usage: solana-agent stake redelegate <stake_account_address> <validator|auto> [--force] [--dry-run]');
+              console.error('Validators:', Object.keys(VALIDATORS).join(', '));
+              process.exit(1);
+            }
+            if (!dryRun) {
+              console.error(`Redelegating ${stakeAddr} to ${validator}...`);
+            }
+            const result = await staking.redelegate(stakeAddr, validator, { ...txOptions, ...validatorOptions });
             console.log(JSON.stringify({
               success: true,
               ...result
@@ -240,13 +931,15 @@ async function main() {
           }
 
           case 'withdraw': {
-            const stakeAddr = args[2];
+            const [, , stakeAddr, amount] = args;
             if (!stakeAddr) {
-              console.error('Usage: solana-agent stake withdraw <stake_account_address>');
+              console.error('Usage: solana-agent stake withdraw <stake_account_address> [amount_sol] [--dry-run]');
               process.exit(1);
             }
-            console.error(`Withdrawing from ${stakeAddr}...`);
-            const result = await staking.withdraw(stakeAddr);
+            if (!dryRun) {
+              console.error(`Withdrawing ${amount ? `${amount} SOL ` : ''}from ${stakeAddr}...`);
+            }
+            const result = await staking.withdraw(stakeAddr, { ...txOptions, amount });
             console.log(JSON.stringify({
               success: true,
               ...result
@@ -255,12 +948,21 @@ async function main() {
           }
 
           case 'validators': {
-            console.log(JSON.stringify(VALIDATORS, null, 2));
+            if (!args.includes('--live')) {
+              console.log(JSON.stringify(VALIDATORS, null, 2));
+              break;
+            }
+            const directory = await staking.validators.list({
+              sort: getOption(args, '--sort') || 'score',
+              limit: getOption(args, '--limit') || 20,
+              includeDelinquent: args.includes('--delinquent')
+            });
+            console.log(JSON.stringify(directory, null, 2));
             break;
           }
 
           default:
-            console.error('Unknown stake command. Use: delegate, list, unstake, withdraw, validators');
+            console.error('Unknown stake command. Use: delegate, list, unstake, split, merge, redelegate, withdraw, validators');
             process.exit(1);
         }
         break;
@@ -272,43 +974,172 @@ async function main() {
 Solana Agent Kit - CLI for AI agents
 
 Commands:
-  wallet create              Create a new wallet
+  wallet create [path] [--encrypt]  Create a new wallet
+  wallet create --mnemonic [--words 24]  Create a wallet from a new seed phrase
+  wallet derive --index <n> [--save <path>]  Derive sub-account n from a seed phrase
+  wallet encrypt [path]      Encrypt a solana-keygen wallet file with a passphrase
+  wallet decrypt [path]      Convert an encrypted wallet back to solana-keygen format
   wallet balance             Get SOL balance
   wallet tokens              Get all token balances
+  wallet history [--limit <n>] [--before <sig>] [--until <sig>]
+                             Parsed transaction history, newest first
+  wallet watch               Stream balance, token, stake and transaction events
+                             as NDJSON until interrupted (Ctrl+C)
   wallet address             Print wallet address
+  wallet list                List wallet profiles
+  wallet add <name> <path> [--rpc <url>] [--policy <path>]  Register a wallet profile
+  wallet remove <name>       Remove a wallet profile (keeps the file)
+  wallet use <name>          Set the default wallet profile
 
-  swap quote <from> <to> <amount>     Get swap quote
+  swap quote <from> <to> <amount>     Get swap quote (amount in <from> tokens)
   swap execute <from> <to> <amount>   Execute swap
+                             Both take the best quote across swap providers;
+                             --provider <jupiter|agentdex> forces one (agentdex
+                             swaps from its own account and is only used when named)
+                             --exact-out            amount is the exact output (in <to> tokens)
+                             --slippage <bps>       default 50; the cap with --dynamic-slippage
+                             --dynamic-slippage     let Jupiter choose slippage up to --slippage
+                             --direct               single-hop routes only
+                             --dex <a,b> / --exclude-dex <a,b>  only use / avoid these DEXes
+                             --max-accounts <n>     limit accounts used by the route
+                             Execute is rejected when a guard fails:
+                             --min-output <amount>  minimum output after slippage
+                             --max-price-impact <pct>  default 2
+                             --max-quote-age <s>    default 30
+                             --max-deviation <pct>  from the reference price, default 3
+                             (none disables a limit)
+
+  price <token>              Get token price in USDC (or --quote <token>) with its
+                             source and confidence; --source pyth (on-chain
+                             oracle), quote (1-token swap quote) or best (default:
+                             Pyth, falling back to the quote, with any divergence)
 
-  price <token>              Get token price in USDC
+  portfolio                  SOL, tokens and stake valued in USDC, with
+                             allocations; --record appends the snapshot to the
+                             history file, --no-stake skips stake accounts
+  portfolio history [--limit <n>] [--since <date>]
+                             Recorded snapshots and the change in value
 
   transfer <to> <amount>     Send SOL
   transfer <to> <amount> --token <mint>  Send token
+  transfer <to> "<amount> <symbol>"      Send a known token, e.g. "10 USDC"
+  transfer batch <file.csv> [--token <mint>] [--progress <path>]
+                             Pay every row of a recipient,amount[,token] CSV,
+                             packing transfers; rerun to resume
 
-  stake delegate <validator> <amount>  Stake SOL to validator
-  stake list                           List your stake accounts
-  stake unstake <stake_account>        Start unstaking
-  stake withdraw <stake_account>       Withdraw unstaked SOL
+  stake delegate <validator> <amount>  Stake SOL to validator (name, vote account or
+                                       auto for the best-scoring healthy validator;
+                                       --max-commission <pct> caps auto, default 10)
+  stake list                           List your stake accounts with activation
+                                       state and withdrawable SOL
+  stake list --rewards [--epochs <n>]  Also show rewards for the last n epochs
+                                       (default 5) and an estimated APY
+  stake unstake <stake_account> [amount]  Start unstaking (all, or split off amount)
+  stake split <stake_account> <amount> [--deactivate]
+                                       Move amount into a new stake account
+  stake merge <destination> <source>   Merge source into destination
+  stake redelegate <stake_account> <validator|auto>
+                                       Deactivate, then (once inactive) delegate
+                                       to another validator
+  stake withdraw <stake_account> [amount]  Withdraw unstaked SOL (all, or amount)
   stake validators                     List known validators
+  stake validators --live [--sort score|commission|stake|credits|lag] [--limit <n>] [--delinquent]
+                                       Live validator directory with scores (default: top 20)
+
+  dca create <from> <to> <amount> --every <interval>
+                             Swap amount every interval (30m, 4h, 1d, 2w), from
+                             --start <date> (default now) until --runs <n> fills
+                             or --until <date>; --catch-up runs every missed
+                             run instead of only the latest. Also takes
+                             --slippage, --provider, --exact-out, --max-price-impact
+  dca list                   List DCA orders for the wallet
+  dca show <id>              DCA order with its fills
+  dca pause|resume|cancel <id>
+  dca run                    Execute due orders once (the server runs them continuously)
+
+  orders take-profit <token> <amount> <price>
+                             Sell amount of token once its price reaches price
+  orders stop-loss <token> <amount> <price>
+                             Sell amount of token once its price falls to price
+  orders limit-buy <token> <amount> <price>
+                             Spend amount of the quote token on token once its
+                             price falls to price. Prices are in --quote tokens
+                             (default USDC) per token, from a quote for the
+                             whole amount (--unit-price: for one token). Also
+                             take --expires <7d|date>, --attempts <n> (default 3),
+                             --slippage, --provider, --max-price-impact
+  orders oco <token> <amount> --take-profit <price> --stop-loss <price>
+                             Take-profit and stop-loss pair; when one fills the
+                             other is cancelled
+  orders list [--status <status>]  List orders for the wallet
+  orders show <id>           Order with its execution attempts
+  orders cancel <id>         Cancel an active order
+  orders run                 Check open orders once (the server polls continuously)
+
+  tokens [list]              List known tokens
+  tokens search <query>      Search tokens by symbol, name, mint or tag
+  tokens add <mint> --symbol <symbol> [--decimals <n>] [--name <name>] [--tags <a,b>]
+                             Add a token to the user token list
+
+Amounts:
+  1.5                        Whole tokens, using the mint's on-chain decimals
+  "1.5 USDC"                 Whole tokens of a named token
+  raw:1500000                Base units (lamports, token smallest units)
 
-  tokens                     List known token symbols
+Options:
+  --wallet <name>            Use a named wallet profile (default: the profile set with wallet use)
+  --dry-run                  Simulate transfer, swap execute and stake commands
+                             and print fee, compute units, logs and balance changes
+  --priority-fee <none|auto|n>  Priority fee: none, auto (recent fee percentile)
+                             or n micro-lamports per compute unit
+  --max-priority-fee <lamports>  Cap on the total priority fee (default: 1000000)
+  --force                    Delegate to unknown or delinquent vote accounts
 
 Environment:
-  SOLANA_WALLET_PATH    Path to wallet file (default: ~/.config/solana/id.json)
+  SOLANA_WALLET_PATH    Path to wallet file when no profile is set (default: ~/.config/solana/id.json)
+  SOLANA_WALLET_PROFILE Wallet profile to use when --wallet is not given
+  SOLANA_AGENT_HOME     Config directory (default: ~/.config/solana-agent)
   SOLANA_RPC_URL        RPC endpoint (default: mainnet-beta)
+  SOLANA_WS_URL         RPC websocket endpoint for wallet watch (default: derived from SOLANA_RPC_URL)
+  SOLANA_WALLET_PASSPHRASE  Passphrase for encrypted wallets (prompted if unset)
+  SOLANA_WALLET_MNEMONIC    Seed phrase for wallet derive (prompted if unset)
+  SOLANA_MNEMONIC_PASSPHRASE  Optional BIP39 passphrase for the seed phrase
+  SOLANA_AGENT_POLICY   Spending policy file (default: ~/.config/solana-agent/policy.json)
+  SOLANA_PRIORITY_FEE   Default priority fee: none, auto or micro-lamports (default: none)
+  SOLANA_PRIORITY_FEE_PERCENTILE  Percentile of recent fees used by auto (default: 75)
+  SOLANA_PRIORITY_FEE_MAX  Cap on the total priority fee in lamports (default: 1000000)
+  SOLANA_AGENT_TOKENS   User token list (default: ~/.config/solana-agent/tokens.json)
+  SOLANA_AGENT_DCA      DCA order state (default: ~/.config/solana-agent/dca.json)
+  SOLANA_AGENT_ORDERS   Limit order state (default: ~/.config/solana-agent/orders.json)
+  SOLANA_AGENT_PORTFOLIO  Portfolio snapshot history (default: ~/.config/solana-agent/portfolio.json)
+  SOLANA_PRICE_SOURCE   Default --source for price: pyth, quote or best (default: best)
+  SOLANA_PYTH_MAX_AGE   Oldest Pyth price accepted, in seconds (default: 60)
+  SOLANA_PYTH_MAX_CONFIDENCE  Widest Pyth confidence accepted, percent of the price (default: 1)
+  SOLANA_PYTH_FEEDS     Extra Pyth feeds as TOKEN:feedId pairs, comma-separated
+  SOLANA_SWAP_PROVIDERS Swap providers to query, comma-separated (default: jupiter,
+                        plus agentdex when AGENTDEX_API_KEY is set)
+  SOLANA_SWAP_MAX_PRICE_IMPACT  Default --max-price-impact (default: 2)
+  SOLANA_SWAP_MAX_QUOTE_AGE     Default --max-quote-age in seconds (default: 30)
+  SOLANA_SWAP_MAX_PRICE_DEVIATION  Default --max-deviation (default: 3)
+  AGENTDEX_API_KEY      AgentDEX API key, enables --provider agentdex
 
 Examples:
   solana-agent wallet balance
-  solana-agent swap quote SOL USDC 1000000000
+  solana-agent swap quote SOL USDC 1.5
   solana-agent price SOL
+  solana-agent portfolio --record
   solana-agent transfer 9abc...xyz 0.1
   solana-agent stake delegate jito 1.0
+  solana-agent stake delegate auto 1.0 --max-commission 5
 `);
     }
   } catch (error) {
     console.error(JSON.stringify({
       success: false,
-      error: error.message
+      error: error.message,
+      ...(error.code && { code: error.code }),
+      ...(error.retryable !== undefined && { retryable: error.retryable }),
+      ...(error.details && { details: error.details })
     }, null, 2));
     process.exit(1);
   }
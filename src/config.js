@@ -0,0 +1,126 @@
+/**
+ * Solana Agent Kit - Local Configuration
+ * Shared config directory and JSON state file helpers
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const CONFIG_DIR = process.env.SOLANA_AGENT_HOME ||
+  path.join(process.env.HOME || '.', '.config', 'solana-agent');
+
+// A lockfile still empty after this was left by a process that died while creating it
+const EMPTY_LOCK_GRACE_MS = 5000;
+
+/**
+ * Resolve a path inside the config directory
+ */
+function configPath(...parts) {
+  return path.join(CONFIG_DIR, ...parts);
+}
+
+/**
+ * Read a JSON file, returning the fallback if it does not exist
+ */
+function readJson(filePath, fallback = null) {
+  if (!fs.existsSync(filePath)) {
+    return fallback;
+  }
+  try {
+    return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  } catch (e) {
+    throw new Error(`Invalid JSON in ${filePath}: ${e.message}`);
+  }
+}
+
+/**
+ * Write a JSON file atomically with owner-only permissions
+ */
+function writeJson(filePath, data) {
+  const dir = path.dirname(filePath);
+  if (!fs.existsSync(dir)) {
+    fs.mkdirSync(dir, { recursive: true });
+  }
+  const tmpPath = `${filePath}.${process.pid}.tmp`;
+  fs.writeFileSync(tmpPath, JSON.stringify(data, null, 2), { mode: 0o600 });
+  fs.renameSync(tmpPath, filePath);
+  return filePath;
+}
+
+/**
+ * Whether a process that recorded itself in a state file is still running
+ */
+function isProcessAlive(pid) {
+  try {
+    // Signal 0 only checks that the process exists
+    process.kill(pid, 0);
+    return true;
+  } catch (e) {
+    return e.code === 'EPERM';
+  }
+}
+
+/**
+ * Take a lock shared between processes: a lockfile created exclusively and
+ * holding the owner's pid. A lock left behind by a process that has exited
+ * is taken over.
+ *
+ * @returns {Function|null} release, or null while another live process (or this one) holds it
+ */
+function tryLock(lockPath) {
+  const dir = path.dirname(lockPath);
+  if (!fs.existsSync(dir)) {
+    fs.mkdirSync(dir, { recursive: true });
+  }
+  for (let attempt = 0; attempt < 2; attempt++) {
+    try {
+      const fd = fs.openSync(lockPath, 'wx', 0o600);
+      fs.writeSync(fd, String(process.pid));
+      fs.closeSync(fd);
+      return () => {
+        if (readLockOwner(lockPath)?.pid === process.pid) {
+          fs.rmSync(lockPath, { force: true });
+        }
+      };
+    } catch (e) {
+      if (e.code !== 'EEXIST') {
+        throw e;
+      }
+    }
+    const owner = readLockOwner(lockPath);
+    // An empty lockfile is one being written right now, unless it was left empty by a crash
+    if (owner && (owner.pid ? isProcessAlive(owner.pid) : Date.now() - owner.modifiedAt < EMPTY_LOCK_GRACE_MS)) {
+      return null;
+    }
+    // Moved aside first so that only one process takes over a stale lock
+    const stalePath = `${lockPath}.${process.pid}.stale`;
+    try {
+      fs.renameSync(lockPath, stalePath);
+    } catch (e) {
+      if (e.code !== 'ENOENT') {
+        throw e;
+      }
+    }
+    fs.rmSync(stalePath, { force: true });
+  }
+  return null;
+}
+
+/**
+ * Owner of a lockfile, or null if there is none. pid is 0 while it is still empty.
+ *
+ * @returns {{ pid: number, modifiedAt: number }|null}
+ */
+function readLockOwner(lockPath) {
+  try {
+    const { mtimeMs } = fs.statSync(lockPath);
+    return { pid: Number(fs.readFileSync(lockPath, 'utf8')) || 0, modifiedAt: mtimeMs };
+  } catch (e) {
+    if (e.code === 'ENOENT') {
+      return null;
+    }
+    throw e;
+  }
+}
+
+module.exports = { CONFIG_DIR, configPath, readJson, writeJson, isProcessAlive, tryLock };
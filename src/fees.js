@@ -0,0 +1,156 @@
+/**
+ * Solana Agent Kit - Priority Fees
+ * Compute-budget and priority fee strategies: none, fixed micro-lamports, or
+ * a percentile of recent prioritization fees, capped at a maximum total fee
+ */
+
+const { ComputeBudgetProgram, VersionedTransaction } = require('@solana/web3.js');
+
+const DEFAULT_PERCENTILE = 75;
+const DEFAULT_MAX_FEE_LAMPORTS = 1000000; // 0.001 SOL
+
+// Compute-unit headroom over the simulated usage, plus room for the budget instructions
+const COMPUTE_UNIT_MARGIN = 1.2;
+const COMPUTE_BUDGET_UNITS = 300;
+const FALLBACK_COMPUTE_UNITS = 200000;
+
+// Jupiter sizes the swap's compute limit itself; this is only used to cap the total fee
+const SWAP_COMPUTE_UNITS = 300000;
+
+/**
+ * Resolve a fee strategy from call options, falling back to the environment
+ *
+ * @param {object} options - { priorityFee: 'none' | 'auto' | microLamports, priorityFeePercentile, maxPriorityFee (lamports), computeUnits }
+ */
+function resolveFeeStrategy(options = {}) {
+  const setting = String(options.priorityFee ?? process.env.SOLANA_PRIORITY_FEE ?? 'none').toLowerCase();
+  const percentile = Number(options.priorityFeePercentile ?? process.env.SOLANA_PRIORITY_FEE_PERCENTILE ?? DEFAULT_PERCENTILE);
+  const maxLamports = Number(options.maxPriorityFee ?? process.env.SOLANA_PRIORITY_FEE_MAX ?? DEFAULT_MAX_FEE_LAMPORTS);
+
+  if (!Number.isFinite(maxLamports) || maxLamports < 0) {
+    throw new Error(`Invalid max priority fee: ${options.maxPriorityFee ?? process.env.SOLANA_PRIORITY_FEE_MAX}`);
+  }
+  if (!(percentile >= 0 && percentile <= 100)) {
+    throw new Error(`Invalid priority fee percentile: ${percentile}`);
+  }
+
+  const computeUnits = options.computeUnits ? Number(options.computeUnits) : null;
+  if (setting === 'none' || setting === '0') {
+    return { mode: 'none', microLamports: 0, percentile, maxLamports, computeUnits };
+  }
+  if (setting === 'auto') {
+    return { mode: 'auto', microLamports: null, percentile, maxLamports, computeUnits };
+  }
+  const microLamports = Number(setting);
+  if (!Number.isInteger(microLamports) || microLamports < 0) {
+    throw new Error(`Invalid priority fee "${setting}": use none, auto or micro-lamports per compute unit`);
+  }
+  return { mode: 'fixed', microLamports, percentile, maxLamports, computeUnits };
+}
+
+/**
+ * Estimate the compute-unit price for a strategy from recent fees on the given accounts
+ */
+async function estimatePriorityFee(connection, accounts, strategy) {
+  if (strategy.mode !== 'auto') {
+    return strategy.microLamports;
+  }
+  const recent = await connection.getRecentPrioritizationFees({
+    lockedWritableAccounts: accounts
+  });
+  const fees = recent.map(f => f.prioritizationFee).sort((a, b) => a - b);
+  if (fees.length === 0) {
+    return 0;
+  }
+  const index = Math.min(fees.length - 1, Math.floor((strategy.percentile / 100) * fees.length));
+  return fees[index];
+}
+
+/**
+ * Limit the unit price so units * price stays under the max fee
+ */
+function capMicroLamports(microLamports, computeUnits, maxLamports) {
+  const cap = Math.floor((maxLamports * 1e6) / computeUnits);
+  return Math.min(microLamports, cap);
+}
+
+/**
+ * Simulate a legacy transaction to size its compute-unit limit
+ */
+async function measureComputeUnits(connection, transaction) {
+  try {
+    if (!transaction.recentBlockhash) {
+      transaction.recentBlockhash = (await connection.getLatestBlockhash()).blockhash;
+    }
+    const { value } = await connection.simulateTransaction(
+      new VersionedTransaction(transaction.compileMessage()),
+      { sigVerify: false, replaceRecentBlockhash: true }
+    );
+    if (value.err || !value.unitsConsumed) {
+      return FALLBACK_COMPUTE_UNITS;
+    }
+    return Math.ceil(value.unitsConsumed * COMPUTE_UNIT_MARGIN) + COMPUTE_BUDGET_UNITS;
+  } catch (e) {
+    return FALLBACK_COMPUTE_UNITS;
+  }
+}
+
+/**
+ * Prepend ComputeBudget set-limit/set-price instructions to a legacy transaction
+ *
+ * @returns {object|null} { strategy, microLamports, computeUnits, lamports } or null when disabled
+ */
+async function applyPriorityFee(connection, transaction, payer, options = {}) {
+  const strategy = resolveFeeStrategy(options);
+  if (strategy.mode === 'none') {
+    return null;
+  }
+
+  transaction.feePayer = transaction.feePayer || payer;
+  const writable = [...new Map(transaction.instructions
+    .flatMap(ix => ix.keys.filter(k => k.isWritable).map(k => k.pubkey))
+    .map(k => [k.toBase58(), k])).values()];
+
+  const computeUnits = strategy.computeUnits || await measureComputeUnits(connection, transaction);
+  const estimated = await estimatePriorityFee(connection, writable, strategy);
+  const microLamports = capMicroLamports(estimated, computeUnits, strategy.maxLamports);
+
+  transaction.instructions.unshift(
+    ComputeBudgetProgram.setComputeUnitLimit({ units: computeUnits }),
+    ComputeBudgetProgram.setComputeUnitPrice({ microLamports })
+  );
+
+  return {
+    strategy: strategy.mode,
+    microLamports,
+    computeUnits,
+    lamports: Math.ceil((microLamports * computeUnits) / 1e6)
+  };
+}
+
+/**
+ * Priority fee fields for a Jupiter /swap request
+ *
+ * @returns {object} { params, priorityFee } params to merge into the request body
+ */
+async function jupiterPriorityFee(connection, accounts, options = {}) {
+  const strategy = resolveFeeStrategy(options);
+  if (strategy.mode === 'none') {
+    return { params: {}, priorityFee: null };
+  }
+  const computeUnits = strategy.computeUnits || SWAP_COMPUTE_UNITS;
+  const estimated = await estimatePriorityFee(connection, accounts, strategy);
+  const microLamports = capMicroLamports(estimated, computeUnits, strategy.maxLamports);
+  const lamports = Math.ceil((microLamports * computeUnits) / 1e6);
+  return {
+    params: { dynamicComputeUnitLimit: true, prioritizationFeeLamports: lamports },
+    priorityFee: { strategy: strategy.mode, microLamports, computeUnits, lamports }
+  };
+}
+
+module.exports = {
+  resolveFeeStrategy,
+  estimatePriorityFee,
+  applyPriorityFee,
+  jupiterPriorityFee
+};
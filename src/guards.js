@@ -0,0 +1,161 @@
+/**
+ * Solana Agent Kit - Swap Guards
+ * Checks a swap quote must pass before it is signed: price impact, minimum
+ * output, quote age and deviation from an independent reference price
+ */
+
+const { toUi } = require('./amount');
+
+const DEFAULT_MAX_PRICE_IMPACT = 2; // percent
+const DEFAULT_MAX_QUOTE_AGE = 30; // seconds
+const DEFAULT_MAX_PRICE_DEVIATION = 3; // percent
+
+const JUPITER_PRICE_API = 'https://api.jup.ag/price/v2';
+
+class SwapGuardError extends Error {
+  /**
+   * @param {Array} reasons - Failed checks, each { code, message, limit, actual }; codes are
+   *   PRICE_IMPACT_TOO_HIGH, PRICE_IMPACT_UNKNOWN, OUTPUT_BELOW_MINIMUM, QUOTE_STALE, PRICE_DEVIATION
+   *   and REFERENCE_PRICE_UNAVAILABLE
+   */
+  constructor(reasons, details = {}) {
+    super(`Swap rejected: ${reasons.map(r => r.message).join('; ')}`);
+    this.name = 'SwapGuardError';
+    this.code = 'SWAP_REJECTED';
+    this.details = { reasons, ...details };
+  }
+}
+
+/**
+ * A limit from call options or the environment; 'none' or 'off' disables it
+ */
+function resolveLimit(value, envValue, fallback, label) {
+  const setting = value ?? envValue ?? fallback;
+  if (['none', 'off'].includes(String(setting).toLowerCase())) {
+    return null;
+  }
+  const limit = Number(setting);
+  if (!Number.isFinite(limit) || limit < 0) {
+    throw new Error(`Invalid ${label}: ${setting}`);
+  }
+  return limit;
+}
+
+/**
+ * Resolve guard limits from call options, falling back to the environment
+ *
+ * @param {object} options - { maxPriceImpact (percent), maxQuoteAge (seconds), maxPriceDeviation (percent) }
+ * @returns {{ maxPriceImpact: number|null, maxQuoteAge: number|null, maxPriceDeviation: number|null }}
+ *   null when a check is disabled
+ */
+function resolveGuards(options = {}) {
+  return {
+    maxPriceImpact: resolveLimit(options.maxPriceImpact, process.env.SOLANA_SWAP_MAX_PRICE_IMPACT,
+      DEFAULT_MAX_PRICE_IMPACT, 'max price impact'),
+    maxQuoteAge: resolveLimit(options.maxQuoteAge, process.env.SOLANA_SWAP_MAX_QUOTE_AGE,
+      DEFAULT_MAX_QUOTE_AGE, 'max quote age'),
+    maxPriceDeviation: resolveLimit(options.maxPriceDeviation, process.env.SOLANA_SWAP_MAX_PRICE_DEVIATION,
+      DEFAULT_MAX_PRICE_DEVIATION, 'max price deviation')
+  };
+}
+
+/**
+ * USD prices from the Jupiter price API, used as the reference for quotes
+ *
+ * @param {string[]} mints
+ * @returns {Promise<object>} mint -> price, missing for mints without one
+ */
+async function fetchReferencePrices(mints) {
+  const response = await fetch(`${JUPITER_PRICE_API}?ids=${mints.join(',')}`);
+  if (!response.ok) {
+    throw new Error(`Price request failed (${response.status})`);
+  }
+  const { data } = await response.json();
+  return Object.fromEntries(mints
+    .filter(mint => data?.[mint]?.price)
+    .map(mint => [mint, Number(data[mint].price)]));
+}
+
+/**
+ * Run every enabled check against a quote from Swapper.getQuote. An enabled
+ * check that can't be evaluated (no price impact, no reference price) fails.
+ *
+ * @param {object} quote - Needs inAmountUi, outAmountUi, minOutAmount, priceImpactPct, quotedAt
+ * @param {object} guards - From resolveGuards, plus { minOutput } in output base units
+ * @param {object} context - { outDecimals, getPrices } getPrices(mints) resolves mint -> USD price
+ * @returns {Promise<Array>} checks, each { check, passed, limit, actual }
+ * @throws {SwapGuardError} when any check fails
+ */
+async function checkQuote(quote, guards, { outDecimals, getPrices = fetchReferencePrices } = {}) {
+  const checks = [];
+  const reasons = [];
+  const record = (check, passed, limit, actual, code, message) => {
+    checks.push({ check, passed, limit, actual });
+    if (!passed) {
+      reasons.push({ code, message, limit, actual });
+    }
+  };
+
+  if (guards.maxPriceImpact !== null) {
+    if (quote.priceImpactPct == null) {
+      record('priceImpact', false, guards.maxPriceImpact, null, 'PRICE_IMPACT_UNKNOWN',
+        `${quote.provider} did not report price impact, so the ${guards.maxPriceImpact}% limit can't be checked`);
+    } else {
+      // Providers report impact as a fraction
+      const impact = Number(quote.priceImpactPct) * 100;
+      record('priceImpact', impact <= guards.maxPriceImpact, guards.maxPriceImpact, Number(impact.toFixed(4)),
+        'PRICE_IMPACT_TOO_HIGH', `price impact ${impact.toFixed(2)}% exceeds ${guards.maxPriceImpact}%`);
+    }
+  }
+
+  if (guards.minOutput != null) {
+    const worstCase = BigInt(quote.minOutAmount);
+    const minimum = BigInt(guards.minOutput);
+    record('minOutput', worstCase >= minimum, toUi(minimum, outDecimals), toUi(worstCase, outDecimals),
+      'OUTPUT_BELOW_MINIMUM',
+      `output after slippage ${toUi(worstCase, outDecimals)} is below the minimum ${toUi(minimum, outDecimals)}`);
+  }
+
+  if (guards.maxQuoteAge !== null) {
+    const age = (Date.now() - quote.quotedAt) / 1000;
+    record('quoteAge', age <= guards.maxQuoteAge, guards.maxQuoteAge, Number(age.toFixed(1)),
+      'QUOTE_STALE', `quote is ${age.toFixed(1)}s old, older than ${guards.maxQuoteAge}s`);
+  }
+
+  if (guards.maxPriceDeviation !== null) {
+    let prices = null;
+    let unavailable = null;
+    try {
+      prices = await getPrices([quote.inputMint, quote.outputMint]);
+    } catch (e) {
+      unavailable = e.message;
+    }
+    if (prices && !(prices[quote.inputMint] && prices[quote.outputMint])) {
+      unavailable = 'no reference price for one of the tokens';
+    }
+    if (unavailable) {
+      record('priceDeviation', false, guards.maxPriceDeviation, null, 'REFERENCE_PRICE_UNAVAILABLE',
+        `reference price unavailable (${unavailable}), so the ${guards.maxPriceDeviation}% limit can't be checked`);
+    } else {
+      const quoted = Number(quote.outAmountUi) / Number(quote.inAmountUi);
+      const reference = prices[quote.inputMint] / prices[quote.outputMint];
+      // Only a worse rate than the reference counts
+      const deviation = Math.max(0, (reference - quoted) / reference * 100);
+      record('priceDeviation', deviation <= guards.maxPriceDeviation, guards.maxPriceDeviation,
+        Number(deviation.toFixed(4)), 'PRICE_DEVIATION',
+        `quoted rate ${quoted.toPrecision(6)} is ${deviation.toFixed(2)}% below the reference ${reference.toPrecision(6)}`);
+    }
+  }
+
+  if (reasons.length) {
+    throw new SwapGuardError(reasons, { provider: quote.provider, checks });
+  }
+  return checks;
+}
+
+module.exports = {
+  SwapGuardError,
+  resolveGuards,
+  checkQuote,
+  fetchReferencePrices
+};
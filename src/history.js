@@ -0,0 +1,261 @@
+/**
+ * Solana Agent Kit - Transaction History
+ * Page through a wallet's signatures and parse each transaction into typed
+ * events: SOL and token transfers, swaps and stake operations
+ */
+
+const { PublicKey } = require('@solana/web3.js');
+const { toUi, SOL_DECIMALS } = require('./amount');
+const { TOKENS } = require('./registry');
+
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 100;
+
+const TOKEN_PROGRAMS = ['spl-token', 'spl-token-2022'];
+
+// Programs that make up ordinary transfers; anything else moving two assets is treated as a swap
+const CORE_PROGRAMS = [
+  '11111111111111111111111111111111',
+  'TokenkegQfeZyiNwAJbNbGKPFXCWuBvf9Ss623VQ5DA',
+  'TokenzQdBNbLqP5VEhdkAS6EPFLC1PHnBqCXEpPxuEb',
+  'ATokenGPvbdGVxr1b2hvZbsiqW5xWH25efTNsLJA8knL',
+  'ComputeBudget111111111111111111111111111111',
+  'MemoSq4gqABAXKb96qnH8TysNcWxMyWCqXgDLGmfcHr',
+  'Memo1UhkJRfHyvLMcVucJwxXeuD728EqVDDwQDxFMNo',
+  'Stake11111111111111111111111111111111111111'
+];
+
+function solAmount(lamports) {
+  return { amount: toUi(lamports, SOL_DECIMALS), amountRaw: lamports.toString() };
+}
+
+/**
+ * Net balance changes for the owner, keyed by mint ('SOL' for lamports, excluding the fee)
+ */
+function ownerDeltas(tx, owner, feePaid) {
+  const keys = tx.transaction.message.accountKeys.map(k => k.pubkey.toBase58());
+  const deltas = new Map();
+
+  const index = keys.indexOf(owner);
+  if (index !== -1) {
+    const lamports = BigInt(tx.meta.postBalances[index]) - BigInt(tx.meta.preBalances[index]) + BigInt(feePaid);
+    if (lamports !== 0n) {
+      deltas.set('SOL', { delta: lamports, decimals: SOL_DECIMALS });
+    }
+  }
+
+  const balances = new Map();
+  for (const [side, list] of [['pre', tx.meta.preTokenBalances || []], ['post', tx.meta.postTokenBalances || []]]) {
+    for (const b of list.filter(b => b.owner === owner)) {
+      const entry = balances.get(b.accountIndex) || { mint: b.mint, decimals: b.uiTokenAmount.decimals, pre: 0n, post: 0n };
+      entry[side] = BigInt(b.uiTokenAmount.amount);
+      balances.set(b.accountIndex, entry);
+    }
+  }
+  for (const { mint, decimals, pre, post } of balances.values()) {
+    const key = mint === TOKENS.SOL ? 'SOL' : mint;
+    const current = deltas.get(key)?.delta || 0n;
+    deltas.set(key, { delta: current + post - pre, decimals });
+  }
+
+  for (const [key, { delta }] of deltas) {
+    if (delta === 0n) {
+      deltas.delete(key);
+    }
+  }
+  return deltas;
+}
+
+/**
+ * Detect a swap from the owner's balance changes: one asset out, another in
+ */
+function detectSwap(tx, owner, feePaid) {
+  const programs = tx.transaction.message.instructions.map(ix => ix.programId.toBase58());
+  const router = programs.find(p => !CORE_PROGRAMS.includes(p));
+  if (!router) {
+    return null;
+  }
+
+  const deltas = [...ownerDeltas(tx, owner, feePaid)];
+  const tokens = deltas.filter(([mint]) => mint !== 'SOL');
+  const sol = deltas.find(([mint]) => mint === 'SOL');
+
+  // Prefer token legs; SOL only counts when the other side is a token (SOL also pays rent)
+  let input = tokens.find(([, d]) => d.delta < 0n);
+  let output = tokens.find(([, d]) => d.delta > 0n);
+  if (!input && output && sol?.[1].delta < 0n) {
+    input = sol;
+  }
+  if (!output && input && sol?.[1].delta > 0n) {
+    output = sol;
+  }
+  if (!input || !output) {
+    return null;
+  }
+
+  const [inputMint, inDelta] = input;
+  const [outputMint, outDelta] = output;
+  return {
+    type: 'swap',
+    program: router,
+    inputMint,
+    inAmount: toUi(-inDelta.delta, inDelta.decimals),
+    inAmountRaw: (-inDelta.delta).toString(),
+    outputMint,
+    outAmount: toUi(outDelta.delta, outDelta.decimals),
+    outAmountRaw: outDelta.delta.toString()
+  };
+}
+
+/**
+ * Typed events for the parsed instructions of one transaction
+ */
+function instructionEvents(tx, owner) {
+  const keys = tx.transaction.message.accountKeys.map(k => k.pubkey.toBase58());
+  const tokenAccounts = new Map();
+  for (const b of [...(tx.meta.preTokenBalances || []), ...(tx.meta.postTokenBalances || [])]) {
+    tokenAccounts.set(keys[b.accountIndex], { mint: b.mint, owner: b.owner, decimals: b.uiTokenAmount.decimals });
+  }
+
+  const events = [];
+  const stakeFunding = new Map();
+
+  for (const ix of tx.transaction.message.instructions) {
+    if (!ix.parsed) {
+      continue;
+    }
+    const { type, info } = ix.parsed;
+
+    if (ix.program === 'system') {
+      if (['createAccount', 'createAccountWithSeed'].includes(type) && info.owner === 'Stake11111111111111111111111111111111111111') {
+        stakeFunding.set(info.newAccount, BigInt(info.lamports));
+      } else if (['transfer', 'transferWithSeed'].includes(type)) {
+        const from = info.source || info.from;
+        if (from === owner && info.destination !== owner) {
+          events.push({ type: 'sol_transfer_out', to: info.destination, ...solAmount(BigInt(info.lamports)) });
+        } else if (info.destination === owner && from !== owner) {
+          events.push({ type: 'sol_transfer_in', from, ...solAmount(BigInt(info.lamports)) });
+        }
+      }
+    }
+
+    if (TOKEN_PROGRAMS.includes(ix.program) && ['transfer', 'transferChecked'].includes(type)) {
+      const source = tokenAccounts.get(info.source);
+      const destination = tokenAccounts.get(info.destination);
+      const mint = info.mint || source?.mint || destination?.mint || null;
+      const decimals = info.tokenAmount?.decimals ?? source?.decimals ?? destination?.decimals;
+      const raw = BigInt(info.tokenAmount?.amount ?? info.amount);
+      const amount = { amount: decimals != null ? toUi(raw, decimals) : null, amountRaw: raw.toString() };
+      const outgoing = (info.authority || info.multisigAuthority) === owner || source?.owner === owner;
+      if (outgoing && destination?.owner !== owner) {
+        events.push({ type: 'token_transfer_out', mint, to: destination?.owner || info.destination, ...amount });
+      } else if (!outgoing && destination?.owner === owner) {
+        events.push({ type: 'token_transfer_in', mint, from: source?.owner || info.source, ...amount });
+      }
+    }
+
+    if (ix.program === 'stake') {
+      if (type === 'initialize') {
+        const lamports = stakeFunding.get(info.stakeAccount);
+        events.push({
+          type: 'stake_create',
+          stakeAccount: info.stakeAccount,
+          ...(lamports != null && solAmount(lamports))
+        });
+      } else if (type === 'delegate') {
+        events.push({ type: 'stake_delegate', stakeAccount: info.stakeAccount, validator: info.voteAccount });
+      } else if (type === 'deactivate') {
+        events.push({ type: 'stake_deactivate', stakeAccount: info.stakeAccount });
+      } else if (type === 'withdraw') {
+        events.push({
+          type: 'stake_withdraw',
+          stakeAccount: info.stakeAccount,
+          to: info.destination,
+          ...solAmount(BigInt(info.lamports))
+        });
+      }
+    }
+  }
+
+  return events;
+}
+
+/**
+ * Parse one transaction from getParsedTransactions into a history entry
+ *
+ * @returns {object} { signature, slot, timestamp, success, error, fee, feeSol, events }
+ */
+function parseTransaction(signature, tx, owner) {
+  const feePayer = tx.transaction.message.accountKeys[0].pubkey.toBase58();
+  const fee = feePayer === owner ? tx.meta.fee : 0;
+
+  const swap = tx.meta.err ? null : detectSwap(tx, owner, fee);
+  const events = swap ? [swap] : instructionEvents(tx, owner);
+
+  return {
+    signature,
+    slot: tx.slot,
+    timestamp: tx.blockTime ? new Date(tx.blockTime * 1000).toISOString() : null,
+    success: !tx.meta.err,
+    error: tx.meta.err || null,
+    fee: toUi(fee, SOL_DECIMALS),
+    feeRaw: fee.toString(),
+    events: events.length ? events : [{
+      type: 'unknown',
+      programs: [...new Set(tx.transaction.message.instructions.map(ix => ix.programId.toBase58()))]
+    }]
+  };
+}
+
+/**
+ * Fetch a page of parsed history, newest first
+ *
+ * @param {Wallet} wallet
+ * @param {object} options - { limit, before, until } before/until are signatures
+ * @returns {Promise<{ transactions: Array, nextCursor: string|null }>} pass nextCursor as before for the next page
+ */
+async function getHistory(wallet, { limit = DEFAULT_LIMIT, before, until } = {}) {
+  const pageSize = Math.min(Math.max(parseInt(limit, 10) || DEFAULT_LIMIT, 1), MAX_LIMIT);
+  const owner = wallet.address;
+
+  const signatures = await wallet.connection.getSignaturesForAddress(new PublicKey(owner), {
+    limit: pageSize,
+    ...(before && { before }),
+    ...(until && { until })
+  });
+  const txs = await wallet.connection.getParsedTransactions(
+    signatures.map(s => s.signature),
+    { maxSupportedTransactionVersion: 0, commitment: 'confirmed' }
+  );
+
+  const transactions = signatures.map((s, i) => (txs[i]
+    ? parseTransaction(s.signature, txs[i], owner)
+    : {
+      signature: s.signature,
+      slot: s.slot,
+      timestamp: s.blockTime ? new Date(s.blockTime * 1000).toISOString() : null,
+      success: !s.err,
+      error: s.err || null,
+      events: []
+    }));
+
+  return {
+    transactions,
+    nextCursor: signatures.length === pageSize ? signatures[signatures.length - 1].signature : null
+  };
+}
+
+/**
+ * The owner's swap in one transaction, or null if it isn't a swap (or can't be fetched)
+ *
+ * @returns {Promise<object|null>} { inputMint, inAmount, inAmountRaw, outputMint, outAmount, outAmountRaw, program }
+ */
+async function getSwapEvent(connection, signature, owner) {
+  const tx = await connection.getParsedTransaction(signature, {
+    maxSupportedTransactionVersion: 0,
+    commitment: 'confirmed'
+  });
+  return (tx && parseTransaction(signature, tx, owner).events.find(e => e.type === 'swap')) || null;
+}
+
+module.exports = { getHistory, parseTransaction, getSwapEvent };
@@ -0,0 +1,133 @@
+/**
+ * Solana Agent Kit - Request Journal
+ * On-disk record of idempotent server requests and their outcomes, so a
+ * retried request returns the stored result instead of sending again
+ */
+
+const crypto = require('crypto');
+const { configPath, readJson, writeJson } = require('./config');
+
+const JOURNAL_PATH = process.env.SOLANA_AGENT_JOURNAL || configPath('journal.json');
+
+// Entries are kept this long after their last update before being pruned
+const RETENTION_MS = 7 * 24 * 60 * 60 * 1000;
+
+/**
+ * Stable hash of a request body, used to reject reuse of a key with a different request
+ */
+function fingerprint(body) {
+  return crypto.createHash('sha256').update(JSON.stringify(body || {})).digest('hex');
+}
+
+class JournalError extends Error {
+  /**
+   * @param {string} code - ENTRY_EXISTS
+   */
+  constructor(code, message, details = {}) {
+    super(message);
+    this.name = 'JournalError';
+    this.code = code;
+    this.details = details;
+  }
+}
+
+class RequestJournal {
+  constructor(filePath = JOURNAL_PATH) {
+    this.filePath = filePath;
+    // Entries begun by this process; pending entries from earlier runs were interrupted
+    this.active = new Set();
+  }
+
+  read() {
+    return readJson(this.filePath, {});
+  }
+
+  get(id) {
+    return this.read()[id] || null;
+  }
+
+  /**
+   * Whether a pending entry was left behind by a previous (crashed) run
+   */
+  isInterrupted(entry) {
+    return entry.status === 'pending' && !this.active.has(entry.id);
+  }
+
+  /**
+   * Record a request as pending before any transaction is sent
+   */
+  begin(id, request) {
+    const entries = this.read();
+    const cutoff = Date.now() - RETENTION_MS;
+    for (const [key, entry] of Object.entries(entries)) {
+      // Pending entries of requests still running here are kept however old
+      if (!this.active.has(key) && entry.updatedAt < cutoff) {
+        delete entries[key];
+      }
+    }
+    if (entries[id]) {
+      throw new JournalError('ENTRY_EXISTS', `Journal entry ${id} already exists`, { id });
+    }
+    entries[id] = {
+      id,
+      ...request,
+      status: 'pending',
+      signature: null,
+      response: null,
+      createdAt: Date.now(),
+      updatedAt: Date.now()
+    };
+    writeJson(this.filePath, entries);
+    this.active.add(id);
+    return entries[id];
+  }
+
+  /**
+   * Update fields on an entry (e.g. the signature once the transaction is sent)
+   */
+  update(id, fields) {
+    const entries = this.read();
+    if (!entries[id]) {
+      return null;
+    }
+    entries[id] = { ...entries[id], ...fields, updatedAt: Date.now() };
+    writeJson(this.filePath, entries);
+    return entries[id];
+  }
+
+  /**
+   * Store the final outcome and response for replay
+   *
+   * @param {string} status - 'confirmed' or 'failed'
+   * @param {object} response - { statusCode, body }
+   */
+  complete(id, status, response) {
+    this.active.delete(id);
+    return this.update(id, {
+      status,
+      signature: response.body?.signature || this.get(id)?.signature || null,
+      response
+    });
+  }
+
+  /**
+   * Leave an entry pending once its request has ended without a known
+   * outcome, e.g. an RPC error after the transaction was sent. It is then
+   * treated as interrupted and settled from chain when the key is repeated.
+   */
+  abandon(id) {
+    this.active.delete(id);
+  }
+
+  /**
+   * Forget an entry so the key can be reused (for requests rejected before sending)
+   */
+  release(id) {
+    this.active.delete(id);
+    const entries = this.read();
+    delete entries[id];
+    writeJson(this.filePath, entries);
+  }
+}
+
+module.exports = { RequestJournal, JournalError, fingerprint, JOURNAL_PATH };
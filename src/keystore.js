@@ -0,0 +1,113 @@
+/**
+ * Solana Agent Kit - Encrypted Keystore
+ * Passphrase-protected wallet files (scrypt + AES-256-GCM, versioned JSON envelope)
+ */
+
+const crypto = require('crypto');
+
+const KEYSTORE_FORMAT = 'solana-agent-keystore';
+const KEYSTORE_VERSION = 1;
+
+// scrypt cost parameters (N=2^17, r=8 uses 128 MiB)
+const SCRYPT_PARAMS = { n: 131072, r: 8, p: 1, dklen: 32 };
+
+// Fixed rather than derived from the file, with headroom over the 128 MiB needed
+const SCRYPT_MAXMEM = 256 * SCRYPT_PARAMS.n * SCRYPT_PARAMS.r;
+
+// Full-length GCM tag, the only length written or accepted
+const AUTH_TAG_BYTES = 16;
+
+function deriveKey(passphrase, { n, r, p, dklen, salt }) {
+  return crypto.scryptSync(passphrase.normalize('NFKC'), Buffer.from(salt, 'hex'), dklen, {
+    N: n,
+    r,
+    p,
+    maxmem: SCRYPT_MAXMEM
+  });
+}
+
+/**
+ * Check whether parsed wallet file contents are an encrypted keystore
+ */
+function isKeystore(data) {
+  return !!data && !Array.isArray(data) && data.format === KEYSTORE_FORMAT;
+}
+
+/**
+ * Encrypt a 64-byte secret key into a keystore envelope
+ */
+function encryptSecretKey(secretKey, passphrase, address) {
+  if (!passphrase) {
+    throw new Error('Passphrase is required to encrypt a wallet');
+  }
+
+  const kdfparams = { ...SCRYPT_PARAMS, salt: crypto.randomBytes(32).toString('hex') };
+  const key = deriveKey(passphrase, kdfparams);
+  const iv = crypto.randomBytes(12);
+
+  const cipher = crypto.createCipheriv('aes-256-gcm', key, iv);
+  // Bind the public header to the ciphertext so it cannot be swapped
+  cipher.setAAD(Buffer.from(`${KEYSTORE_FORMAT}:${KEYSTORE_VERSION}:${address}`));
+  const ciphertext = Buffer.concat([cipher.update(Buffer.from(secretKey)), cipher.final()]);
+
+  return {
+    format: KEYSTORE_FORMAT,
+    version: KEYSTORE_VERSION,
+    address,
+    crypto: {
+      kdf: 'scrypt',
+      kdfparams,
+      cipher: 'aes-256-gcm',
+      cipherparams: { iv: iv.toString('hex') },
+      ciphertext: ciphertext.toString('hex'),
+      tag: cipher.getAuthTag().toString('hex')
+    }
+  };
+}
+
+/**
+ * Decrypt a keystore envelope back into the 64-byte secret key
+ */
+function decryptKeystore(keystore, passphrase) {
+  if (!isKeystore(keystore)) {
+    throw new Error('Not an encrypted keystore');
+  }
+  if (keystore.version !== KEYSTORE_VERSION) {
+    throw new Error(`Unsupported keystore version: ${keystore.version}`);
+  }
+  if (!passphrase) {
+    throw new Error('Wallet file is encrypted: a passphrase is required');
+  }
+
+  const { kdf, kdfparams, cipher: algorithm, cipherparams, ciphertext, tag } = keystore.crypto;
+  if (kdf !== 'scrypt' || algorithm !== 'aes-256-gcm') {
+    throw new Error(`Unsupported keystore crypto: ${kdf}/${algorithm}`);
+  }
+  // Only the parameters this module writes: a tampered file could otherwise
+  // ask scrypt for unbounded CPU and memory before the MAC is checked
+  if (!kdfparams || Object.keys(SCRYPT_PARAMS).some(k => kdfparams[k] !== SCRYPT_PARAMS[k]) ||
+    !/^[0-9a-f]{64}$/i.test(kdfparams.salt)) {
+    throw new Error('Unsupported keystore scrypt parameters');
+  }
+  // GCM accepts truncated tags, which would weaken the check that the file is intact
+  if (typeof tag !== 'string' || !/^[0-9a-f]*$/i.test(tag) || tag.length !== AUTH_TAG_BYTES * 2) {
+    throw new Error('Invalid keystore authentication tag');
+  }
+
+  const key = deriveKey(passphrase, kdfparams);
+  const decipher = crypto.createDecipheriv('aes-256-gcm', key, Buffer.from(cipherparams.iv, 'hex'),
+    { authTagLength: AUTH_TAG_BYTES });
+  decipher.setAAD(Buffer.from(`${KEYSTORE_FORMAT}:${keystore.version}:${keystore.address}`));
+  decipher.setAuthTag(Buffer.from(tag, 'hex'));
+
+  try {
+    return Uint8Array.from(Buffer.concat([
+      decipher.update(Buffer.from(ciphertext, 'hex')),
+      decipher.final()
+    ]));
+  } catch (e) {
+    throw new Error('Invalid passphrase or corrupted keystore');
+  }
+}
+
+module.exports = { isKeystore, encryptSecretKey, decryptKeystore, KEYSTORE_VERSION };
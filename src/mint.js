@@ -0,0 +1,93 @@
+/**
+ * Solana Agent Kit - Token Mints
+ * Detect whether a mint belongs to the SPL Token or Token-2022 program and
+ * read the extensions that affect transfers (transfer fee, transfer hook)
+ */
+
+const { PublicKey } = require('@solana/web3.js');
+const {
+  getMint,
+  getAssociatedTokenAddressSync,
+  getTransferFeeConfig,
+  getTransferHook,
+  calculateEpochFee,
+  TOKEN_PROGRAM_ID,
+  TOKEN_2022_PROGRAM_ID
+} = require('@solana/spl-token');
+
+const TOKEN_PROGRAMS = [TOKEN_PROGRAM_ID, TOKEN_2022_PROGRAM_ID];
+
+/**
+ * Short name for a token program, as reported in balances and transfer results
+ */
+function programName(programId) {
+  return programId.equals(TOKEN_2022_PROGRAM_ID) ? 'token-2022' : 'spl-token';
+}
+
+/**
+ * Load a mint and the token program that owns it
+ *
+ * @returns {Promise<{ address, programId, program, decimals, supply, transferFee, transferHook, mint }>}
+ */
+async function getMintInfo(connection, mintAddress) {
+  const address = new PublicKey(mintAddress);
+  const account = await connection.getAccountInfo(address);
+  if (!account) {
+    throw new Error(`Mint not found: ${address.toBase58()}`);
+  }
+  const programId = TOKEN_PROGRAMS.find(p => p.equals(account.owner));
+  if (!programId) {
+    throw new Error(`${address.toBase58()} is not a token mint (owner ${account.owner.toBase58()})`);
+  }
+
+  const mint = await getMint(connection, address, 'confirmed', programId);
+  const feeConfig = getTransferFeeConfig(mint);
+  const hook = getTransferHook(mint);
+
+  return {
+    address: address.toBase58(),
+    programId,
+    program: programName(programId),
+    decimals: mint.decimals,
+    supply: mint.supply.toString(),
+    transferFee: feeConfig ? {
+      basisPoints: feeConfig.newerTransferFee.transferFeeBasisPoints,
+      maximumFee: feeConfig.newerTransferFee.maximumFee.toString()
+    } : null,
+    transferHook: hook && !hook.programId.equals(PublicKey.default) ? hook.programId.toBase58() : null,
+    mint
+  };
+}
+
+/**
+ * Fee withheld by the Token-2022 transfer-fee extension for an amount (base units)
+ *
+ * @returns {bigint} 0n for mints without a transfer fee
+ */
+function transferFeeFor(mintInfo, amount, epoch) {
+  const feeConfig = getTransferFeeConfig(mintInfo.mint);
+  if (!feeConfig) {
+    return 0n;
+  }
+  return calculateEpochFee(feeConfig, BigInt(epoch), BigInt(amount));
+}
+
+/**
+ * Associated token account for an owner, derived with the mint's program
+ */
+function associatedTokenAddress(mintInfo, owner) {
+  return getAssociatedTokenAddressSync(
+    new PublicKey(mintInfo.address),
+    new PublicKey(owner),
+    true,
+    mintInfo.programId
+  );
+}
+
+module.exports = {
+  getMintInfo,
+  transferFeeFor,
+  associatedTokenAddress,
+  programName,
+  TOKEN_PROGRAMS
+};
@@ -0,0 +1,575 @@
+/**
+ * Solana Agent Kit - Limit Orders
+ * Take-profit, stop-loss and limit-buy orders kept in a local state file.
+ * The engine polls prices and executes an order through Swapper.swap once
+ * its trigger is crossed. Executions are recorded as pending before they are
+ * sent, so a restart settles interrupted ones from chain.
+ */
+
+const crypto = require('crypto');
+const { configPath, readJson, writeJson, isProcessAlive, tryLock } = require('./config');
+const { getDecimals, toUi } = require('./amount');
+const { getSwapEvent } = require('./history');
+const { checkSentTransaction, TransactionExpiredError, TransactionFailedError } = require('./sender');
+const { parseInterval } = require('./scheduler');
+
+const ORDERS_PATH = process.env.SOLANA_AGENT_ORDERS || configPath('orders.json');
+
+const POLL_MS = 30 * 1000;
+
+// Executions tried while the trigger holds before the order is marked failed
+const DEFAULT_MAX_ATTEMPTS = 3;
+
+// Prices are in quote tokens per base token. Sells swap base -> quote and
+// buys swap quote -> base, so a buy amount is in the quote token.
+const ORDER_TYPES = {
+  'take-profit': { side: 'sell', triggered: (price, trigger) => price >= trigger },
+  'stop-loss': { side: 'sell', triggered: (price, trigger) => price <= trigger },
+  'limit-buy': { side: 'buy', triggered: (price, trigger) => price <= trigger }
+};
+
+const PRICE_MODES = ['size', 'unit'];
+
+// Swap options an order carries into its execution
+const SWAP_OPTION_KEYS = [
+  'provider', 'onlyDirectRoutes', 'dexes', 'excludeDexes', 'maxAccounts', 'dynamicSlippage',
+  'maxPriceImpact', 'maxPriceDeviation', 'priorityFee', 'maxPriorityFee'
+];
+
+const OPEN_STATUSES = ['active', 'triggered'];
+
+class OrderError extends Error {
+  /**
+   * @param {string} code - ORDER_NOT_FOUND, INVALID_ORDER or INVALID_STATE
+   */
+  constructor(code, message, details = {}) {
+    super(message);
+    this.name = 'OrderError';
+    this.code = code;
+    this.details = details;
+  }
+}
+
+/**
+ * Expiry from a duration (30m, 12h, 7d) counted from now, or a date
+ *
+ * @returns {number|null} timestamp, null for no expiry
+ * @throws {OrderError} INVALID_ORDER
+ */
+function parseExpiry(value, now = Date.now()) {
+  if (value == null || value === '') {
+    return null;
+  }
+  if (/^\d+(?:\.\d+)?\s*[smhdw]$/i.test(String(value).trim())) {
+    try {
+      return now + parseInterval(value);
+    } catch (e) {
+      throw new OrderError('INVALID_ORDER', `Invalid expiry ${value}: durations must be at least 1m`,
+        { expires: value });
+    }
+  }
+  const time = typeof value === 'number' ? value : Date.parse(value);
+  if (!Number.isFinite(time) || time <= now) {
+    throw new OrderError('INVALID_ORDER', `Invalid expiry ${value}: use a duration like 7d or a future date`,
+      { expires: value });
+  }
+  return time;
+}
+
+function parsePrice(value, label) {
+  const price = Number(value);
+  if (!(Number.isFinite(price) && price > 0)) {
+    throw new OrderError('INVALID_ORDER', `Invalid ${label}: ${value}`, { [label]: value });
+  }
+  return price;
+}
+
+/**
+ * Order as returned by list/get, with dates as ISO strings
+ */
+function describeOrder(order) {
+  const iso = time => (time ? new Date(time).toISOString() : null);
+  return {
+    ...order,
+    expiresAt: iso(order.expiresAt),
+    lastCheckedAt: iso(order.lastCheckedAt),
+    triggeredAt: iso(order.triggeredAt),
+    closedAt: iso(order.closedAt),
+    createdAt: iso(order.createdAt),
+    updatedAt: iso(order.updatedAt)
+  };
+}
+
+class OrderEngine {
+  /**
+   * @param {object} options - { filePath, getSwapper(walletName) -> Swapper (or a promise of one), pollMs, log }
+   */
+  constructor({ filePath = ORDERS_PATH, getSwapper, pollMs = POLL_MS, log = () => {} } = {}) {
+    this.filePath = filePath;
+    this.getSwapper = getSwapper;
+    this.pollMs = pollMs;
+    this.log = log;
+    this.timer = null;
+    this.running = false;
+  }
+
+  read() {
+    return readJson(this.filePath, { orders: {} });
+  }
+
+  /**
+   * Apply a change to one order against the latest file contents
+   */
+  update(id, change) {
+    const data = this.read();
+    const order = data.orders[id];
+    if (!order) {
+      throw new OrderError('ORDER_NOT_FOUND', `Order ${id} not found`, { id });
+    }
+    change(order, data.orders);
+    order.updatedAt = Date.now();
+    writeJson(this.filePath, data);
+    return order;
+  }
+
+  /**
+   * Validate an order against a live quote and build its record
+   */
+  async prepare(swapper, params, now) {
+    const spec = ORDER_TYPES[params.type];
+    if (!spec) {
+      throw new OrderError('INVALID_ORDER', `Unknown order type ${params.type}: use ${Object.keys(ORDER_TYPES).join(', ')}`,
+        { type: params.type });
+    }
+    const priceMode = params.priceMode || 'size';
+    if (!PRICE_MODES.includes(priceMode)) {
+      throw new OrderError('INVALID_ORDER', `Unknown price mode ${priceMode}: use ${PRICE_MODES.join(' or ')}`,
+        { priceMode });
+    }
+    const maxAttempts = Number(params.maxAttempts ?? DEFAULT_MAX_ATTEMPTS);
+    if (!(Number.isInteger(maxAttempts) && maxAttempts > 0)) {
+      throw new OrderError('INVALID_ORDER', `Invalid attempt count: ${params.maxAttempts}`,
+        { maxAttempts: params.maxAttempts });
+    }
+    const triggerPrice = parsePrice(params.triggerPrice, 'trigger price');
+    const expiresAt = parseExpiry(params.expiresAt, now);
+
+    const quoteToken = params.quote || 'USDC';
+    const [from, to] = spec.side === 'sell' ? [params.token, quoteToken] : [quoteToken, params.token];
+    const swapOptions = Object.fromEntries(SWAP_OPTION_KEYS
+      .filter(key => params[key] != null)
+      .map(key => [key, params[key]]));
+    if (swapOptions.provider && swapper.isRemote(swapOptions.provider)) {
+      throw new OrderError('INVALID_ORDER', `${swapOptions.provider} executes swaps from its own account, ` +
+        'not this wallet, so it can\'t fill orders', { provider: swapOptions.provider });
+    }
+    // Validates tokens, amount and routing options up front
+    const quote = await swapper.getQuote(from, to, params.amount, params.slippageBps ?? 50, swapOptions);
+    const [inDecimals, outDecimals] = await Promise.all([
+      getDecimals(swapper.wallet.connection, quote.inputMint),
+      getDecimals(swapper.wallet.connection, quote.outputMint)
+    ]);
+
+    return {
+      id: crypto.randomBytes(6).toString('hex'),
+      wallet: params.wallet,
+      type: params.type,
+      side: spec.side,
+      status: 'active',
+      token: params.token,
+      quoteToken,
+      inputMint: quote.inputMint,
+      outputMint: quote.outputMint,
+      inDecimals,
+      outDecimals,
+      amount: quote.inAmountUi,
+      amountRaw: quote.inAmount,
+      triggerPrice,
+      priceMode,
+      slippageBps: quote.slippageBps,
+      swapOptions,
+      expiresAt,
+      ocoGroup: null,
+      lastPrice: this.priceFromQuote(spec.side, quote),
+      lastCheckedAt: now,
+      maxAttempts,
+      attempts: [],
+      execution: null,
+      triggeredAt: null,
+      closedAt: null,
+      cancelReason: null,
+      lastError: null,
+      createdAt: now,
+      updatedAt: now
+    };
+  }
+
+  /**
+   * Quote-token price per base token implied by a quote in the order's direction
+   */
+  priceFromQuote(side, quote) {
+    const inAmount = Number(quote.inAmountUi);
+    const outAmount = Number(quote.outAmountUi);
+    return side === 'sell' ? outAmount / inAmount : inAmount / outAmount;
+  }
+
+  save(orders) {
+    const data = this.read();
+    for (const order of orders) {
+      data.orders[order.id] = order;
+    }
+    writeJson(this.filePath, data);
+    return orders.map(describeOrder);
+  }
+
+  /**
+   * Create an order
+   *
+   * @param {Swapper} swapper - For the wallet the order runs on
+   * @param {object} params - { wallet, type, token, amount, triggerPrice, quote, expiresAt, priceMode, slippageBps,
+   *   maxAttempts, ...swap options } type is take-profit, stop-loss or limit-buy; triggerPrice is in quote tokens
+   *   (default USDC) per token; amount is in the token for sells and in the quote token for limit-buy;
+   *   expiresAt is a duration (7d) or a date; priceMode size (default) prices a quote for the whole amount,
+   *   unit prices one token
+   */
+  async create(swapper, params) {
+    const [order] = this.save([await this.prepare(swapper, params, Date.now())]);
+    return order;
+  }
+
+  /**
+   * Create a take-profit and a stop-loss for the same amount; when one fills the other is cancelled
+   *
+   * @param {object} params - As for create, with takeProfit and stopLoss prices instead of type and triggerPrice
+   */
+  async createOco(swapper, params) {
+    const takeProfit = parsePrice(params.takeProfit, 'take-profit price');
+    const stopLoss = parsePrice(params.stopLoss, 'stop-loss price');
+    if (takeProfit <= stopLoss) {
+      throw new OrderError('INVALID_ORDER', 'The take-profit price must be above the stop-loss price',
+        { takeProfit, stopLoss });
+    }
+    const now = Date.now();
+    const legs = [
+      await this.prepare(swapper, { ...params, type: 'take-profit', triggerPrice: takeProfit }, now),
+      await this.prepare(swapper, { ...params, type: 'stop-loss', triggerPrice: stopLoss }, now)
+    ];
+    const group = crypto.randomBytes(6).toString('hex');
+    for (const leg of legs) {
+      leg.ocoGroup = group;
+    }
+    return { ocoGroup: group, orders: this.save(legs) };
+  }
+
+  /**
+   * @param {object} options - { wallet, status } only orders for this wallet profile or in this status
+   */
+  list({ wallet, status } = {}) {
+    return Object.values(this.read().orders)
+      .filter(o => (!wallet || o.wallet === wallet) && (!status || o.status === status))
+      .sort((a, b) => a.createdAt - b.createdAt)
+      .map(describeOrder);
+  }
+
+  get(id, { wallet } = {}) {
+    const order = this.read().orders[id];
+    if (!order || (wallet && order.wallet !== wallet)) {
+      throw new OrderError('ORDER_NOT_FOUND', `Order ${id} not found`, { id });
+    }
+    return describeOrder(order);
+  }
+
+  /**
+   * Cancel an active order. Only this order is cancelled, not the other leg of an OCO pair.
+   */
+  cancel(id, { wallet } = {}) {
+    this.get(id, { wallet });
+    return describeOrder(this.update(id, order => {
+      if (order.status !== 'active') {
+        throw new OrderError('INVALID_STATE', `Order ${id} is ${order.status}`, { id, status: order.status });
+      }
+      this.close(order, 'cancelled', { cancelReason: 'Cancelled by user' });
+    }));
+  }
+
+  close(order, status, fields = {}) {
+    Object.assign(order, fields, { status, closedAt: Date.now() });
+  }
+
+  /**
+   * Mark an order filled (mutates orders) and cancel the other legs of its OCO pair
+   */
+  fill(order, orders, execution) {
+    order.execution = { ...order.execution, ...execution, status: 'filled', pid: undefined, finishedAt: Date.now() };
+    if (execution.inAmount) {
+      order.execution.inAmountUi = toUi(execution.inAmount, order.inDecimals);
+    }
+    if (execution.outAmount) {
+      order.execution.outAmountUi = toUi(execution.outAmount, order.outDecimals);
+    }
+    this.close(order, 'filled', { lastError: null });
+    if (order.ocoGroup) {
+      for (const sibling of Object.values(orders)) {
+        if (sibling.ocoGroup === order.ocoGroup && sibling.id !== order.id && sibling.status === 'active') {
+          this.close(sibling, 'cancelled', { cancelReason: `Other side of the OCO pair filled (${order.id})` });
+        }
+      }
+    }
+  }
+
+  /**
+   * Record a failed execution (mutates order). The order goes back to active
+   * and is retried while its trigger holds, until maxAttempts failures.
+   */
+  fail(order, error, code) {
+    order.attempts.push({
+      price: order.execution?.price ?? null,
+      signature: order.execution?.signature || null,
+      error,
+      ...(code && { code }),
+      at: Date.now()
+    });
+    order.execution = null;
+    order.lastError = error;
+    if (order.attempts.length >= order.maxAttempts) {
+      this.close(order, 'failed', { lastError: `Failed after ${order.attempts.length} attempts: ${error}` });
+    } else {
+      order.status = 'active';
+    }
+  }
+
+  /**
+   * Settle an execution left pending by an interrupted process
+   *
+   * @returns {Promise<boolean>} whether the execution is settled
+   */
+  async reconcile(order, swapper) {
+    const wallet = swapper.wallet;
+    const execution = order.execution;
+    if (!execution.signature) {
+      // Interrupted before anything was sent: the trigger is checked again
+      this.update(order.id, o => {
+        o.execution = null;
+        o.status = 'active';
+      });
+      return true;
+    }
+
+    const sent = await checkSentTransaction(wallet.connection, { ...execution, sentAt: execution.startedAt });
+    if (sent.state === 'landed') {
+      const swap = await getSwapEvent(wallet.connection, execution.signature, wallet.address);
+      wallet.recordSpend({ action: 'swap', mint: order.inputMint, outputMint: order.outputMint,
+        amount: swap?.inAmountRaw ?? order.amountRaw }, execution.signature);
+      this.update(order.id, (o, orders) => {
+        this.fill(o, orders, {
+          slot: sent.slot,
+          inAmount: swap?.inAmountRaw ?? order.amountRaw,
+          outAmount: swap?.outAmountRaw ?? null,
+          recovered: true
+        });
+      });
+      return true;
+    }
+    if (sent.state === 'failed') {
+      this.update(order.id, o => this.fail(o, `Transaction failed: ${JSON.stringify(sent.err)}`));
+      return true;
+    }
+    if (sent.state === 'expired' && !execution.lastValidBlockHeight) {
+      // No blockhash to prove it can no longer land (a provider's remote swap), so it
+      // isn't retried: the swap may have executed without this wallet seeing it
+      this.update(order.id, o => {
+        o.execution = { ...o.execution, status: 'unknown', pid: undefined, finishedAt: Date.now() };
+        this.close(o, 'failed', { lastError: `Swap ${execution.signature} was not seen on chain and may still ` +
+          'have executed; not retried' });
+      });
+      return true;
+    }
+    if (sent.state === 'expired') {
+      // Never landed: check the trigger again
+      this.update(order.id, o => {
+        o.execution = null;
+        o.status = 'active';
+      });
+      return true;
+    }
+    return false;
+  }
+
+  /**
+   * Current price for an order. Size mode quotes the whole amount (the
+   * quote is reused for the swap); unit mode prices one token via getPrice,
+   * cached for the tick.
+   *
+   * @returns {Promise<{ price: number, quote: object|null }>}
+   */
+  async checkPrice(order, swapper, prices) {
+    if (order.priceMode === 'unit') {
+      const [base, quoteToken] = order.side === 'sell'
+        ? [order.inputMint, order.outputMint]
+        : [order.outputMint, order.inputMint];
+      const key = `${order.wallet}:${base}:${quoteToken}`;
+      if (!prices.has(key)) {
+        prices.set(key, swapper.getPrice(base, quoteToken));
+      }
+      return { price: (await prices.get(key)).price, quote: null };
+    }
+    const quote = await swapper.getQuote(order.inputMint, order.outputMint, BigInt(order.amountRaw),
+      order.slippageBps, order.swapOptions);
+    return { price: this.priceFromQuote(order.side, quote), quote };
+  }
+
+  /**
+   * Execute a triggered order
+   */
+  async execute(order, swapper, price, quote) {
+    this.update(order.id, o => {
+      o.status = 'triggered';
+      o.triggeredAt = o.triggeredAt || Date.now();
+      o.execution = { status: 'pending', price, startedAt: Date.now(), pid: process.pid, signature: null };
+    });
+
+    try {
+      const result = await swapper.swap(order.inputMint, order.outputMint, BigInt(order.amountRaw), order.slippageBps, {
+        ...order.swapOptions,
+        ...(quote && { quote }),
+        onSent: (signature, { lastValidBlockHeight } = {}) => {
+          this.update(order.id, o => {
+            Object.assign(o.execution, { signature, lastValidBlockHeight: lastValidBlockHeight || null });
+          });
+        }
+      });
+      this.update(order.id, (o, orders) => {
+        this.fill(o, orders, {
+          signature: result.signature,
+          provider: result.provider,
+          slot: result.slot,
+          inAmount: result.inAmount,
+          outAmount: result.outAmount
+        });
+      });
+      this.log(`Order ${order.id} (${order.type} at ${order.triggerPrice}) filled: ` +
+        `${result.inAmountUi} -> ${result.outAmountUi} (${result.signature})`);
+    } catch (e) {
+      const signature = this.read().orders[order.id]?.execution?.signature;
+      if (signature && !(e instanceof TransactionFailedError) && !(e instanceof TransactionExpiredError)) {
+        // Sent but the outcome is unknown; it may still land, so reconcile settles it on a later poll
+        this.log(`Order ${order.id}: ${signature} sent, outcome unknown (${e.message}); checking it again later`);
+        return;
+      }
+      this.update(order.id, o => this.fail(o, e.message, e.code));
+      this.log(`Order ${order.id} (${order.type} at ${order.triggerPrice}) failed: ${e.message}`);
+    }
+  }
+
+  /**
+   * Bring one order up to date under a lock shared with other processes
+   * (the server and `orders run` from cron), so only one of them executes it.
+   * Both legs of an OCO pair share a lock, since only one may fill.
+   */
+  async processOrder(id, now, prices) {
+    const { ocoGroup } = this.read().orders[id];
+    const release = tryLock(`${this.filePath}.${ocoGroup || id}.lock`);
+    if (!release) {
+      return;
+    }
+    try {
+      await this.advance(id, now, prices);
+    } finally {
+      release();
+    }
+  }
+
+  /**
+   * Settle an interrupted execution, expire the order, or check its trigger and execute
+   */
+  async advance(id, now, prices) {
+    let order = this.read().orders[id];
+    const swapper = await this.getSwapper(order.wallet);
+
+    if (order.execution?.status === 'pending') {
+      if (order.execution.pid && order.execution.pid !== process.pid && isProcessAlive(order.execution.pid)) {
+        // Another process is executing it
+        return;
+      }
+      if (!await this.reconcile(order, swapper)) {
+        return;
+      }
+      order = this.read().orders[id];
+      if (order.status !== 'active') {
+        return;
+      }
+    }
+
+    if (order.expiresAt !== null && order.expiresAt <= now) {
+      this.update(id, o => this.close(o, 'expired'));
+      return;
+    }
+
+    if (order.ocoGroup && Object.values(this.read().orders)
+      .some(o => o.ocoGroup === order.ocoGroup && o.id !== id && o.status === 'triggered')) {
+      // The other leg is executing
+      return;
+    }
+
+    const { price, quote } = await this.checkPrice(order, swapper, prices);
+    order = this.update(id, o => {
+      o.lastPrice = price;
+      o.lastCheckedAt = Date.now();
+    });
+    if (order.status === 'active' && ORDER_TYPES[order.type].triggered(price, order.triggerPrice)) {
+      await this.execute(order, swapper, price, quote);
+    }
+  }
+
+  /**
+   * Check every open order once
+   */
+  async tick(now = Date.now()) {
+    if (this.running) {
+      return;
+    }
+    this.running = true;
+    // Unit prices fetched this tick, shared by orders on the same pair
+    const prices = new Map();
+    try {
+      for (const order of Object.values(this.read().orders)) {
+        if (!OPEN_STATUSES.includes(order.status)) {
+          continue;
+        }
+        try {
+          await this.processOrder(order.id, now, prices);
+        } catch (e) {
+          this.log(`Order ${order.id}: ${e.message}`);
+          this.update(order.id, o => {
+            o.lastError = e.message;
+          });
+        }
+      }
+    } finally {
+      this.running = false;
+    }
+  }
+
+  /**
+   * Run tick() every pollMs until stop()
+   */
+  start() {
+    if (!this.timer) {
+      this.timer = setInterval(() => this.tick().catch(e => this.log(`Order engine: ${e.message}`)), this.pollMs);
+      this.tick().catch(e => this.log(`Order engine: ${e.message}`));
+    }
+    return this;
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+}
+
+module.exports = {
+  OrderEngine,
+  OrderError,
+  ORDER_TYPES,
+  ORDERS_PATH
+};
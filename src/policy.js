@@ -0,0 +1,235 @@
+/**
+ * Solana Agent Kit - Spending Policy
+ * Per-transaction caps, rolling daily caps, allow/deny lists and a SOL
+ * reserve, enforced before any transaction leaves the wallet
+ */
+
+const { LAMPORTS_PER_SOL } = require('@solana/web3.js');
+const { TOKENS, resolveMint } = require('./registry');
+const { configPath, readJson, writeJson } = require('./config');
+
+const POLICY_PATH = process.env.SOLANA_AGENT_POLICY || configPath('policy.json');
+const LEDGER_PATH = configPath('policy-ledger.json');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Headroom kept for the network fee when checking the SOL reserve
+const FEE_BUFFER_LAMPORTS = 10000n;
+
+class PolicyError extends Error {
+  constructor(code, message, details = {}) {
+    super(message);
+    this.name = 'PolicyError';
+    this.code = code;
+    this.details = details;
+  }
+
+  toJSON() {
+    return { error: this.message, code: this.code, details: this.details };
+  }
+}
+
+/**
+ * Normalize a token key: native and wrapped SOL become 'SOL', symbols become mints
+ */
+function normalizeMint(tokenOrMint) {
+  if (!tokenOrMint || tokenOrMint.toUpperCase() === 'SOL' || tokenOrMint === TOKENS.SOL) {
+    return 'SOL';
+  }
+  return resolveMint(tokenOrMint);
+}
+
+/**
+ * Convert a configured limit to base units (SOL limits are in SOL, token limits in base units)
+ */
+function toBaseUnits(mint, value) {
+  if (mint === 'SOL') {
+    return BigInt(Math.round(Number(value) * LAMPORTS_PER_SOL));
+  }
+  return BigInt(value);
+}
+
+class Policy {
+  /**
+   * @param {object} rules - { minSolReserve, limits, recipients: { allow, deny }, mints: { allow, deny } }
+   * @param {object} options - { ledgerPath }
+   */
+  constructor(rules = {}, options = {}) {
+    this.minSolReserve = rules.minSolReserve ? toBaseUnits('SOL', rules.minSolReserve) : 0n;
+    this.limits = {};
+    for (const [key, limit] of Object.entries(rules.limits || {})) {
+      const mint = normalizeMint(key);
+      this.limits[mint] = {
+        perTransaction: limit.perTransaction != null ? toBaseUnits(mint, limit.perTransaction) : null,
+        daily: limit.daily != null ? toBaseUnits(mint, limit.daily) : null
+      };
+    }
+    this.recipients = {
+      allow: rules.recipients?.allow || null,
+      deny: rules.recipients?.deny || []
+    };
+    this.mints = {
+      allow: rules.mints?.allow ? rules.mints.allow.map(normalizeMint) : null,
+      deny: (rules.mints?.deny || []).map(normalizeMint)
+    };
+    this.ledgerPath = options.ledgerPath || LEDGER_PATH;
+
+    // Outflows that passed check but aren't recorded yet, by address and mint,
+    // so concurrent operations count against the same limits
+    this.reserved = new Map();
+  }
+
+  /**
+   * Load policy from a JSON file, or null if none is configured
+   */
+  static load(filePath = POLICY_PATH) {
+    const rules = readJson(filePath);
+    return rules ? new Policy(rules) : null;
+  }
+
+  /**
+   * Sum of outflows for a mint in the last 24 hours
+   */
+  spentToday(address, mint) {
+    const since = Date.now() - DAY_MS;
+    const entries = readJson(this.ledgerPath, {})[address] || [];
+    return entries
+      .filter(e => e.mint === mint && e.at >= since)
+      .reduce((sum, e) => sum + BigInt(e.amount), 0n);
+  }
+
+  /**
+   * Base units of a mint reserved by checked but unrecorded outflows
+   */
+  reservedFor(address, mint) {
+    return this.reserved.get(`${address}:${mint}`) || 0n;
+  }
+
+  /**
+   * Give back a reservation from check once its operation won't be recorded.
+   * Safe to call more than once, and with null.
+   */
+  release(reservation) {
+    if (!reservation || reservation.released) {
+      return;
+    }
+    reservation.released = true;
+    const remaining = (this.reserved.get(reservation.key) || 0n) - reservation.amount;
+    if (remaining > 0n) {
+      this.reserved.set(reservation.key, remaining);
+    } else {
+      this.reserved.delete(reservation.key);
+    }
+  }
+
+  /**
+   * Check an intended operation, throwing PolicyError on any violation. An
+   * allowed outflow is reserved until it is recorded or released, so other
+   * operations checked in the meantime see it.
+   *
+   * @param {Wallet} wallet
+   * @param {object} intent - { action, mint, amount (base units), recipient?, outputMint?, outflow? }
+   * @returns {Promise<object|null>} the reservation for record or release; null for inflows
+   */
+  async check(wallet, intent) {
+    const mint = normalizeMint(intent.mint);
+    const amount = BigInt(intent.amount);
+    const outflow = intent.outflow !== false;
+    const base = { action: intent.action, mint };
+
+    if (intent.recipient && intent.recipient !== wallet.address) {
+      if (this.recipients.deny.includes(intent.recipient)) {
+        throw new PolicyError('RECIPIENT_DENIED', `Recipient ${intent.recipient} is on the denylist`,
+          { ...base, recipient: intent.recipient });
+      }
+      if (this.recipients.allow && !this.recipients.allow.includes(intent.recipient)) {
+        throw new PolicyError('RECIPIENT_NOT_ALLOWED', `Recipient ${intent.recipient} is not on the allowlist`,
+          { ...base, recipient: intent.recipient });
+      }
+    }
+
+    for (const m of [mint, intent.outputMint && normalizeMint(intent.outputMint)].filter(Boolean)) {
+      if (this.mints.deny.includes(m)) {
+        throw new PolicyError('MINT_DENIED', `Token ${m} is on the denylist`, { ...base, mint: m });
+      }
+      if (this.mints.allow && !this.mints.allow.includes(m)) {
+        throw new PolicyError('MINT_NOT_ALLOWED', `Token ${m} is not on the allowlist`, { ...base, mint: m });
+      }
+    }
+
+    if (!outflow) {
+      return null;
+    }
+    const pending = this.reservedFor(wallet.address, mint);
+
+    const limit = this.limits[mint];
+    if (limit?.perTransaction != null && amount > limit.perTransaction) {
+      throw new PolicyError('PER_TRANSACTION_LIMIT', `Amount exceeds per-transaction limit for ${mint}`,
+        { ...base, amount: amount.toString(), limit: limit.perTransaction.toString() });
+    }
+    if (limit?.daily != null) {
+      const spent = this.spentToday(wallet.address, mint) + pending;
+      if (spent + amount > limit.daily) {
+        throw new PolicyError('DAILY_LIMIT', `Amount exceeds rolling 24h limit for ${mint}`,
+          {
+            ...base,
+            amount: amount.toString(),
+            spent: spent.toString(),
+            limit: limit.daily.toString()
+          });
+      }
+    }
+
+    // Reserved before the balance is read so callers checked meanwhile count it
+    const reservation = { key: `${wallet.address}:${mint}`, amount, released: false };
+    this.reserved.set(reservation.key, pending + amount);
+
+    if (mint === 'SOL' && this.minSolReserve > 0n) {
+      let balance;
+      try {
+        balance = BigInt(await wallet.connection.getBalance(wallet.keypair.publicKey));
+      } catch (e) {
+        this.release(reservation);
+        throw e;
+      }
+      if (balance - pending - amount - FEE_BUFFER_LAMPORTS < this.minSolReserve) {
+        this.release(reservation);
+        throw new PolicyError('MIN_RESERVE', 'Operation would leave less than the minimum SOL reserve',
+          {
+            ...base,
+            amount: amount.toString(),
+            balance: balance.toString(),
+            reserve: this.minSolReserve.toString()
+          });
+      }
+    }
+    return reservation;
+  }
+
+  /**
+   * Record a completed outflow in the rolling ledger, replacing its reservation
+   *
+   * @param {object} options - { unconfirmed } tags an outflow sent with an unknown outcome
+   */
+  record(wallet, intent, signature, reservation, options = {}) {
+    this.release(reservation);
+    if (intent.outflow === false) {
+      return;
+    }
+    const since = Date.now() - DAY_MS;
+    const ledger = readJson(this.ledgerPath, {});
+    const entries = (ledger[wallet.address] || []).filter(e => e.at >= since);
+    entries.push({
+      action: intent.action,
+      mint: normalizeMint(intent.mint),
+      amount: BigInt(intent.amount).toString(),
+      signature: signature || null,
+      ...(options.unconfirmed && { unconfirmed: true }),
+      at: Date.now()
+    });
+    ledger[wallet.address] = entries;
+    writeJson(this.ledgerPath, ledger);
+  }
+}
+
+module.exports = { Policy, PolicyError, POLICY_PATH };
@@ -0,0 +1,212 @@
+/**
+ * Solana Agent Kit - Portfolio
+ * Liquid SOL, SPL tokens and stake valued in USDC, with allocations and an
+ * optional snapshot history for tracking value over time
+ */
+
+const { configPath, readJson, writeJson } = require('./config');
+const { toUi, SOL_DECIMALS } = require('./amount');
+const { TOKENS } = require('./registry');
+const { Swapper } = require('./swap');
+const { Staking } = require('./stake');
+
+const PORTFOLIO_PATH = process.env.SOLANA_AGENT_PORTFOLIO || configPath('portfolio.json');
+
+// Quotes requested at once while pricing positions
+const QUOTE_BATCH_SIZE = 5;
+
+// Snapshots kept per wallet in the history file
+const MAX_SNAPSHOTS = 1000;
+
+const DEFAULT_HISTORY_LIMIT = 30;
+
+const round = (value, digits) => Number(value.toFixed(digits));
+
+/**
+ * Value of each mint's total holding in USDC, from a quote for the whole
+ * amount so the price reflects what selling it would fetch
+ *
+ * @param {Map<string, bigint>} holdings - mint -> raw amount
+ * @returns {Promise<Map<string, { price: number }|{ error: string }>>}
+ */
+async function priceHoldings(swapper, holdings, batchSize = QUOTE_BATCH_SIZE) {
+  const prices = new Map();
+  const pending = [...holdings].filter(([mint]) => {
+    if (mint === TOKENS.USDC) {
+      prices.set(mint, { price: 1 });
+      return false;
+    }
+    return true;
+  });
+
+  for (let i = 0; i < pending.length; i += batchSize) {
+    const batch = pending.slice(i, i + batchSize);
+    const results = await Promise.allSettled(batch.map(([mint, raw]) => swapper.getQuote(mint, TOKENS.USDC, raw)));
+    results.forEach((result, j) => {
+      const [mint] = batch[j];
+      prices.set(mint, result.status === 'fulfilled'
+        ? { price: Number(result.value.outAmountUi) / Number(result.value.inAmountUi) }
+        : { error: result.reason.message });
+    });
+  }
+  return prices;
+}
+
+class Portfolio {
+  /**
+   * @param {object} options - { filePath, batchSize } snapshot history file and quotes per batch
+   */
+  constructor({ filePath = PORTFOLIO_PATH, batchSize = QUOTE_BATCH_SIZE } = {}) {
+    this.filePath = filePath;
+    this.batchSize = batchSize;
+  }
+
+  /**
+   * Every position of a wallet valued in USDC
+   *
+   * @param {Wallet} wallet
+   * @param {object} options - { swapper, staking, includeStake, record } swapper and staking default to new
+   *   instances for the wallet; record appends the snapshot to the history file
+   * @returns {Promise<object>} { wallet, timestamp, totalValue, positions, unpriced } each position has
+   *   type (sol, token or stake), amount, price, value and allocation (percent of the priced total);
+   *   positions that couldn't be priced have priced: false and are listed in unpriced
+   */
+  async getSnapshot(wallet, { swapper, staking, includeStake = true, record = false } = {}) {
+    swapper = swapper || new Swapper(wallet);
+    staking = staking || new Staking(wallet);
+
+    const [lamports, tokens, stakeAccounts] = await Promise.all([
+      wallet.getLamports(),
+      wallet.getAllTokenBalances(),
+      includeStake ? staking.getStakeAccounts() : []
+    ]);
+
+    const positions = [];
+    if (lamports > 0) {
+      positions.push({ type: 'sol', mint: TOKENS.SOL, symbol: 'SOL', name: 'Solana', decimals: SOL_DECIMALS,
+        amountRaw: BigInt(lamports) });
+    }
+    for (const t of tokens) {
+      positions.push({ type: 'token', mint: t.mint, symbol: t.symbol, name: t.name, decimals: t.decimals,
+        program: t.program, amountRaw: BigInt(t.amountRaw) });
+    }
+    if (stakeAccounts.length) {
+      const byState = {};
+      for (const a of stakeAccounts) {
+        byState[a.state] = (byState[a.state] || 0n) + BigInt(a.lamports);
+      }
+      positions.push({
+        type: 'stake',
+        mint: TOKENS.SOL,
+        symbol: 'SOL',
+        name: 'Staked SOL',
+        decimals: SOL_DECIMALS,
+        amountRaw: stakeAccounts.reduce((sum, a) => sum + BigInt(a.lamports), 0n),
+        stakeAccounts: stakeAccounts.length,
+        byState: Object.fromEntries(Object.entries(byState).map(([state, raw]) => [state, toUi(raw, SOL_DECIMALS)]))
+      });
+    }
+
+    // Liquid, wrapped and staked SOL share one quote for their combined amount
+    const holdings = new Map();
+    for (const p of positions) {
+      holdings.set(p.mint, (holdings.get(p.mint) || 0n) + p.amountRaw);
+    }
+    const prices = await priceHoldings(swapper, holdings, this.batchSize);
+
+    let totalValue = 0;
+    for (const p of positions) {
+      const { price, error } = prices.get(p.mint);
+      p.amount = toUi(p.amountRaw, p.decimals);
+      p.amountRaw = p.amountRaw.toString();
+      p.priced = price != null;
+      p.price = p.priced ? round(price, 9) : null;
+      p.value = p.priced ? round(Number(p.amount) * price, 6) : null;
+      if (!p.priced) {
+        p.error = error;
+      }
+      totalValue += p.value || 0;
+    }
+    for (const p of positions) {
+      p.allocation = p.priced && totalValue > 0 ? round(p.value / totalValue * 100, 2) : null;
+    }
+    positions.sort((a, b) => (b.value ?? -1) - (a.value ?? -1));
+
+    const snapshot = {
+      wallet: wallet.address,
+      timestamp: new Date().toISOString(),
+      currency: 'USDC',
+      totalValue: round(totalValue, 6),
+      positions,
+      unpriced: positions.filter(p => !p.priced).map(p => ({ type: p.type, mint: p.mint, symbol: p.symbol,
+        amount: p.amount, reason: p.error }))
+    };
+    if (record) {
+      this.record(snapshot);
+    }
+    return snapshot;
+  }
+
+  /**
+   * Append a snapshot's totals and position values to the history file
+   */
+  record(snapshot) {
+    const data = readJson(this.filePath, { wallets: {} });
+    const entries = data.wallets[snapshot.wallet] || [];
+    entries.push({
+      timestamp: snapshot.timestamp,
+      totalValue: snapshot.totalValue,
+      unpriced: snapshot.unpriced.length,
+      positions: snapshot.positions.map(p => ({ type: p.type, mint: p.mint, symbol: p.symbol, amount: p.amount,
+        value: p.value }))
+    });
+    data.wallets[snapshot.wallet] = entries.slice(-MAX_SNAPSHOTS);
+    writeJson(this.filePath, data);
+  }
+
+  /**
+   * Recorded snapshots for a wallet, oldest first, with the change in value
+   * since the previous one and over the whole range
+   *
+   * @param {string} address - Wallet address
+   * @param {object} options - { limit, since } most recent limit snapshots (default 30), from since (a date)
+   * @returns {object} { wallet, snapshots, pnl } pnl is null with fewer than two snapshots; it
+   *   includes deposits and withdrawals, not only price moves
+   */
+  getHistory(address, { limit = DEFAULT_HISTORY_LIMIT, since } = {}) {
+    const count = Math.max(parseInt(limit, 10) || DEFAULT_HISTORY_LIMIT, 1);
+    const from = since ? Date.parse(since) : null;
+    if (since && !Number.isFinite(from)) {
+      throw new Error(`Invalid date: ${since}`);
+    }
+
+    const entries = (readJson(this.filePath, { wallets: {} }).wallets[address] || [])
+      .filter(e => from === null || Date.parse(e.timestamp) >= from)
+      .slice(-count);
+    const snapshots = entries.map((e, i) => ({
+      ...e,
+      change: i > 0 ? round(e.totalValue - entries[i - 1].totalValue, 6) : null
+    }));
+
+    const first = entries[0];
+    const last = entries[entries.length - 1];
+    return {
+      wallet: address,
+      currency: 'USDC',
+      snapshots,
+      pnl: entries.length > 1 ? {
+        from: first.timestamp,
+        to: last.timestamp,
+        startValue: first.totalValue,
+        endValue: last.totalValue,
+        change: round(last.totalValue - first.totalValue, 6),
+        changePct: first.totalValue > 0 ? round((last.totalValue - first.totalValue) / first.totalValue * 100, 2) : null
+      } : null
+    };
+  }
+}
+
+module.exports = {
+  Portfolio,
+  PORTFOLIO_PATH
+};
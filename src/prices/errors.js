@@ -0,0 +1,18 @@
+/**
+ * Solana Agent Kit - Price Errors
+ */
+
+class PriceError extends Error {
+  /**
+   * @param {string} code - UNKNOWN_SOURCE, NO_FEED, INVALID_PRICE_ACCOUNT, PRICE_UNAVAILABLE, STALE_PRICE
+   *   or PRICE_UNCERTAIN
+   */
+  constructor(code, message, details = {}) {
+    super(message);
+    this.name = 'PriceError';
+    this.code = code;
+    this.details = details;
+  }
+}
+
+module.exports = { PriceError };
@@ -0,0 +1,81 @@
+/**
+ * Solana Agent Kit - Price Sources
+ * A price source has a name and implements
+ *   getPrice(mint, quoteMint) -> { source, price, confidence, publishTime, ... }
+ * with the price in quote tokens per token and confidence null when the
+ * source has no interval. It throws PriceError when it can't price the pair.
+ */
+
+const { PythPriceSource, decodePriceUpdate, priceFeedAddress, FEEDS } = require('./pyth');
+const { QuotePriceSource } = require('./quote');
+const { PriceError } = require('./errors');
+
+const PRICE_SOURCES = ['pyth', 'quote', 'best'];
+
+// Oracle and quote prices further apart than this (percent) are flagged
+const DIVERGENCE_WARNING_PCT = 2;
+
+/**
+ * How far the quote price is from the oracle price
+ */
+function compareSources(oracle, quote) {
+  const differencePct = (quote.price - oracle.price) / oracle.price * 100;
+  return {
+    pyth: oracle.price,
+    quote: quote.price,
+    differencePct: Number(differencePct.toFixed(4)),
+    warning: Math.abs(differencePct) > DIVERGENCE_WARNING_PCT
+      ? `Quote price is ${Math.abs(differencePct).toFixed(2)}% ${differencePct > 0 ? 'above' : 'below'} the Pyth price`
+      : null
+  };
+}
+
+/**
+ * Price a token from one source, or from both with source 'best'. Best uses
+ * Pyth when it has a fresh, precise price and falls back to the quote; the
+ * divergence between the two is reported whenever both are available.
+ *
+ * @param {object} sources - { pyth, quote } price sources
+ * @param {string} source - pyth, quote or best
+ * @returns {Promise<object>} the chosen source's price plus divergence, and pythError or quoteError
+ *   when best couldn't use that source
+ * @throws {PriceError} UNKNOWN_SOURCE, or the source's error (PRICE_UNAVAILABLE when best has neither)
+ */
+async function resolvePrice(sources, mint, quoteMint, source = 'best') {
+  if (!PRICE_SOURCES.includes(source)) {
+    throw new PriceError('UNKNOWN_SOURCE', `Unknown price source ${source}: use ${PRICE_SOURCES.join(', ')}`,
+      { source });
+  }
+  if (source !== 'best') {
+    return { ...await sources[source].getPrice(mint, quoteMint), divergence: null };
+  }
+
+  const [oracle, quote] = await Promise.allSettled([
+    sources.pyth.getPrice(mint, quoteMint),
+    sources.quote.getPrice(mint, quoteMint)
+  ]);
+  if (oracle.status === 'fulfilled') {
+    return {
+      ...oracle.value,
+      divergence: quote.status === 'fulfilled' ? compareSources(oracle.value, quote.value) : null,
+      ...(quote.status === 'rejected' && { quoteError: quote.reason.message })
+    };
+  }
+  if (quote.status === 'fulfilled') {
+    return { ...quote.value, divergence: null, pythError: oracle.reason.message };
+  }
+  throw new PriceError('PRICE_UNAVAILABLE', `Could not price ${mint}: ${oracle.reason.message}; ${quote.reason.message}`,
+    { mint, pyth: oracle.reason.code || oracle.reason.message, quote: quote.reason.message });
+}
+
+module.exports = {
+  resolvePrice,
+  compareSources,
+  PythPriceSource,
+  QuotePriceSource,
+  PriceError,
+  decodePriceUpdate,
+  priceFeedAddress,
+  FEEDS,
+  PRICE_SOURCES
+};
@@ -0,0 +1,199 @@
+/**
+ * Solana Agent Kit - Pyth Price Source
+ * USD prices read from Pyth price feed accounts over RPC and decoded locally,
+ * with publish time, confidence interval and staleness checks
+ */
+
+const { PublicKey } = require('@solana/web3.js');
+const { TOKENS } = require('../registry');
+const { PriceError } = require('./errors');
+
+// Pyth push oracle: sponsored feeds are kept up to date in PDAs of this program
+const PUSH_ORACLE_PROGRAM_ID = new PublicKey('pythWSnswVUd12oZpeFP8e9CVaEqJg25g1Vtc2biRsT');
+
+// Price feed ids (hex) of the built-in tokens, against USD
+const FEEDS = {
+  SOL: 'ef0d8b6fda2ceba41da15d4095d1da392a0d2f8ed0c6c7bc0f4cfac8c280b56d',
+  USDC: 'eaa020c61cc479712813461ce153894a96a6c00b21ed0cfc2798d1f9a9e9c94a',
+  USDT: '2b89b9dc8fdf9f34709a5b106b472f0f39bb6ca9ce04b0fd7f2e971688e2e53b',
+  BONK: '72b021217ca3fe68922a19aaf990109cb9d84e9ad004b4d2025ad6f529314419',
+  JUP: '0a0408d619e9380abad35060f9192039ed5042fa6f82301d0e48bb52be830996',
+  WIF: '4ca4beeca86f0d164160323817a4e42b10010a724c2217c6ee41b54cd4cc61fc',
+  PYTH: '0bbf28e9a841a1cc788f6a361b17ca072d0ea3098a1e5df1c3922d06719579ff'
+};
+
+const DEFAULT_MAX_AGE = 60; // seconds
+const DEFAULT_MAX_CONFIDENCE = 1; // percent of the price
+
+// PriceUpdateV2: 8-byte discriminator, write authority, then a verification
+// level enum (Partial { num_signatures: u8 } or Full) before the price message
+const AUTHORITY_OFFSET = 8;
+const VERIFICATION_OFFSET = 40;
+
+/**
+ * Address of the account holding a feed's price on a push oracle shard
+ */
+function priceFeedAddress(feedId, shard = 0) {
+  const shardSeed = Buffer.alloc(2);
+  shardSeed.writeUInt16LE(shard);
+  return PublicKey.findProgramAddressSync([shardSeed, Buffer.from(feedId, 'hex')], PUSH_ORACLE_PROGRAM_ID)[0];
+}
+
+/**
+ * Decode a PriceUpdateV2 account
+ *
+ * @param {Buffer} data
+ * @returns {object} { feedId, price, confidence, exponent, publishTime, emaPrice, verificationLevel, postedSlot }
+ *   price, confidence and emaPrice are numbers already scaled by the exponent; publishTime is unix seconds
+ * @throws {PriceError} INVALID_PRICE_ACCOUNT
+ */
+function decodePriceUpdate(data) {
+  const level = data.length > VERIFICATION_OFFSET ? data[VERIFICATION_OFFSET] : -1;
+  if (level !== 0 && level !== 1) {
+    throw new PriceError('INVALID_PRICE_ACCOUNT', 'Not a Pyth price update account');
+  }
+  let offset = VERIFICATION_OFFSET + (level === 0 ? 2 : 1);
+  if (data.length < offset + 32 + 8 * 6 + 4 + 8) {
+    throw new PriceError('INVALID_PRICE_ACCOUNT', 'Pyth price update account is truncated');
+  }
+
+  const feedId = data.subarray(offset, offset + 32).toString('hex');
+  offset += 32;
+  const price = data.readBigInt64LE(offset);
+  const conf = data.readBigUInt64LE(offset + 8);
+  const exponent = data.readInt32LE(offset + 16);
+  const publishTime = Number(data.readBigInt64LE(offset + 20));
+  const emaPrice = data.readBigInt64LE(offset + 36);
+  const postedSlot = Number(data.readBigUInt64LE(offset + 52));
+
+  const scale = value => Number(value) * 10 ** exponent;
+  return {
+    feedId,
+    writeAuthority: new PublicKey(data.subarray(AUTHORITY_OFFSET, VERIFICATION_OFFSET)).toBase58(),
+    verificationLevel: level === 1 ? 'full' : 'partial',
+    price: scale(price),
+    confidence: scale(conf),
+    exponent,
+    publishTime,
+    emaPrice: scale(emaPrice),
+    postedSlot
+  };
+}
+
+class PythPriceSource {
+  /**
+   * @param {Connection} connection
+   * @param {object} options - { feeds, maxAge, maxConfidence, shard, env } feeds maps symbols or mints to feed ids
+   *   (added to the built-in ones); maxAge in seconds; maxConfidence as a percent of the price
+   */
+  constructor(connection, { feeds = {}, maxAge, maxConfidence, shard = 0, env = process.env } = {}) {
+    this.name = 'pyth';
+    this.connection = connection;
+    this.shard = shard;
+    this.maxAge = Number(maxAge ?? env.SOLANA_PYTH_MAX_AGE ?? DEFAULT_MAX_AGE);
+    this.maxConfidence = Number(maxConfidence ?? env.SOLANA_PYTH_MAX_CONFIDENCE ?? DEFAULT_MAX_CONFIDENCE);
+
+    // SOLANA_PYTH_FEEDS adds feeds as SYMBOL_OR_MINT:feedId pairs, comma-separated
+    const configured = (env.SOLANA_PYTH_FEEDS || '').split(',').filter(Boolean).map(pair => pair.trim().split(':'));
+    this.feeds = new Map();
+    for (const [token, feedId] of [...Object.entries(FEEDS), ...configured, ...Object.entries(feeds)]) {
+      this.feeds.set(TOKENS[token] || token, feedId.replace(/^0x/, '').toLowerCase());
+    }
+  }
+
+  /**
+   * Feed id for a mint
+   *
+   * @throws {PriceError} NO_FEED
+   */
+  feedFor(mint) {
+    const feedId = this.feeds.get(mint);
+    if (!feedId) {
+      throw new PriceError('NO_FEED', `No Pyth price feed configured for ${mint}`, { mint });
+    }
+    return feedId;
+  }
+
+  /**
+   * Check a decoded price is recent and precise enough to use
+   *
+   * @throws {PriceError} STALE_PRICE, PRICE_UNAVAILABLE or PRICE_UNCERTAIN
+   */
+  checkPrice(mint, update, now) {
+    const age = now - update.publishTime;
+    if (age > this.maxAge) {
+      throw new PriceError('STALE_PRICE', `Pyth price for ${mint} is ${age}s old, older than ${this.maxAge}s`,
+        { mint, publishTime: update.publishTime, age, maxAge: this.maxAge });
+    }
+    if (!(update.price > 0)) {
+      throw new PriceError('PRICE_UNAVAILABLE', `Pyth has no valid price for ${mint}`, { mint });
+    }
+    const confidencePct = update.confidence / update.price * 100;
+    if (confidencePct > this.maxConfidence) {
+      throw new PriceError('PRICE_UNCERTAIN',
+        `Pyth confidence for ${mint} is ±${confidencePct.toFixed(2)}%, wider than ${this.maxConfidence}%`,
+        { mint, price: update.price, confidence: update.confidence, maxConfidence: this.maxConfidence });
+    }
+  }
+
+  /**
+   * Price of a token in a quote token, from both USD feeds in one RPC call
+   *
+   * @returns {Promise<object>} { source, price, confidence, confidencePct, publishTime, age, feeds }
+   *   confidence is the combined interval of both feeds, in quote tokens
+   * @throws {PriceError} NO_FEED, PRICE_UNAVAILABLE, STALE_PRICE or PRICE_UNCERTAIN
+   */
+  async getPrice(mint, quoteMint = TOKENS.USDC) {
+    const mints = mint === quoteMint ? [mint] : [mint, quoteMint];
+    const feedIds = mints.map(m => this.feedFor(m));
+    const addresses = feedIds.map(id => priceFeedAddress(id, this.shard));
+    const accounts = await this.connection.getMultipleAccountsInfo(addresses);
+
+    const now = Math.floor(Date.now() / 1000);
+    const updates = accounts.map((account, i) => {
+      if (!account || !account.owner.equals(PUSH_ORACLE_PROGRAM_ID)) {
+        throw new PriceError('PRICE_UNAVAILABLE', `Pyth price account ${addresses[i].toBase58()} for ${mints[i]} not found`,
+          { mint: mints[i], account: addresses[i].toBase58() });
+      }
+      const update = decodePriceUpdate(account.data);
+      if (update.feedId !== feedIds[i]) {
+        throw new PriceError('INVALID_PRICE_ACCOUNT', `Pyth account for ${mints[i]} holds another feed`,
+          { mint: mints[i], feedId: update.feedId });
+      }
+      this.checkPrice(mints[i], update, now);
+      return update;
+    });
+
+    // A token priced in itself is exactly 1
+    const [base, quote = base] = updates;
+    const price = base.price / quote.price;
+    // Relative uncertainties add when dividing one price by another
+    const confidencePct = quote === base ? 0 : (base.confidence / base.price + quote.confidence / quote.price) * 100;
+    const publishTime = Math.min(...updates.map(u => u.publishTime));
+    return {
+      source: this.name,
+      price,
+      confidence: price * confidencePct / 100,
+      confidencePct: Number(confidencePct.toFixed(4)),
+      publishTime: new Date(publishTime * 1000).toISOString(),
+      age: now - publishTime,
+      feeds: updates.map((u, i) => ({
+        mint: mints[i],
+        account: addresses[i].toBase58(),
+        feedId: u.feedId,
+        priceUsd: u.price,
+        confidenceUsd: u.confidence,
+        publishTime: new Date(u.publishTime * 1000).toISOString(),
+        verificationLevel: u.verificationLevel
+      }))
+    };
+  }
+}
+
+module.exports = {
+  PythPriceSource,
+  decodePriceUpdate,
+  priceFeedAddress,
+  PUSH_ORACLE_PROGRAM_ID,
+  FEEDS
+};
@@ -0,0 +1,42 @@
+/**
+ * Solana Agent Kit - Quote Price Source
+ * Prices implied by a swap quote for one whole token, from the best quote
+ * across the swapper's providers
+ */
+
+const { PriceError } = require('./errors');
+
+class QuotePriceSource {
+  /**
+   * @param {Swapper} swapper
+   */
+  constructor(swapper) {
+    this.name = 'quote';
+    this.swapper = swapper;
+  }
+
+  /**
+   * @returns {Promise<object>} { source, price, confidence, publishTime, provider, priceImpactPct }
+   *   confidence is null: a quote has no interval
+   * @throws {PriceError} PRICE_UNAVAILABLE when no provider quotes the pair
+   */
+  async getPrice(mint, quoteMint) {
+    let quote;
+    try {
+      quote = await this.swapper.getQuote(mint, quoteMint, '1');
+    } catch (e) {
+      throw new PriceError('PRICE_UNAVAILABLE', `Could not get a quote price for ${mint}: ${e.message}`,
+        { mint, ...(e.code && { code: e.code }) });
+    }
+    return {
+      source: this.name,
+      price: Number(quote.outAmountUi) / Number(quote.inAmountUi),
+      confidence: null,
+      publishTime: new Date(quote.quotedAt).toISOString(),
+      provider: quote.provider,
+      priceImpactPct: quote.priceImpactPct
+    };
+  }
+}
+
+module.exports = { QuotePriceSource };
@@ -0,0 +1,156 @@
+/**
+ * Solana Agent Kit - Wallet Profiles
+ * Named wallets stored in the config directory, shared by the CLI and server
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { Wallet, DEFAULT_RPC } = require('./wallet');
+const { Policy } = require('./policy');
+const { configPath, readJson, writeJson } = require('./config');
+
+const PROFILES_PATH = configPath('wallets.json');
+
+// Used when no profile is selected and none is marked as default
+const DEFAULT_WALLET_PATH = process.env.SOLANA_WALLET_PATH ||
+  path.join(process.env.HOME || '.', '.config', 'solana', 'id.json');
+
+const NAME_PATTERN = /^[a-zA-Z0-9_-]+$/;
+
+class WalletRegistry {
+  constructor(filePath = PROFILES_PATH) {
+    this.filePath = filePath;
+  }
+
+  read() {
+    return readJson(this.filePath, { default: null, wallets: {} });
+  }
+
+  /**
+   * List all profiles
+   */
+  list() {
+    const data = this.read();
+    return Object.entries(data.wallets).map(([name, profile]) => ({
+      name,
+      ...profile,
+      default: data.default === name
+    }));
+  }
+
+  has(name) {
+    return !!this.read().wallets[name];
+  }
+
+  /**
+   * Get a profile by name
+   */
+  get(name) {
+    const profile = this.read().wallets[name];
+    if (!profile) {
+      throw new Error(`Unknown wallet profile: ${name}`);
+    }
+    return { name, ...profile };
+  }
+
+  /**
+   * Add or replace a profile
+   *
+   * @param {object} profile - { path, rpcUrl?, policy? }
+   */
+  add(name, profile) {
+    if (!NAME_PATTERN.test(name)) {
+      throw new Error('Wallet name may only contain letters, numbers, "-" and "_"');
+    }
+    if (!profile.path) {
+      throw new Error('Wallet profile requires a path');
+    }
+    const data = this.read();
+    data.wallets[name] = {
+      path: path.resolve(profile.path),
+      ...(profile.rpcUrl && { rpcUrl: profile.rpcUrl }),
+      ...(profile.policy && { policy: path.resolve(profile.policy) })
+    };
+    if (!data.default) {
+      data.default = name;
+    }
+    writeJson(this.filePath, data);
+    return this.get(name);
+  }
+
+  /**
+   * Remove a profile (the wallet file itself is left in place)
+   */
+  remove(name) {
+    const data = this.read();
+    if (!data.wallets[name]) {
+      throw new Error(`Unknown wallet profile: ${name}`);
+    }
+    delete data.wallets[name];
+    if (data.default === name) {
+      data.default = Object.keys(data.wallets)[0] || null;
+    }
+    writeJson(this.filePath, data);
+  }
+
+  /**
+   * Mark a profile as the default
+   */
+  setDefault(name) {
+    const data = this.read();
+    if (!data.wallets[name]) {
+      throw new Error(`Unknown wallet profile: ${name}`);
+    }
+    data.default = name;
+    writeJson(this.filePath, data);
+  }
+
+  /**
+   * Resolve a profile by name, falling back to the default profile and then SOLANA_WALLET_PATH
+   */
+  resolve(name) {
+    if (name) {
+      return this.get(name);
+    }
+    const data = this.read();
+    if (data.default && data.wallets[data.default]) {
+      return { name: data.default, ...data.wallets[data.default] };
+    }
+    return { name: 'default', path: DEFAULT_WALLET_PATH };
+  }
+
+  /**
+   * Default location for a new profile's wallet file
+   */
+  static walletPath(name) {
+    return configPath('wallets', `${name}.json`);
+  }
+}
+
+/**
+ * Keystore passphrase for a profile from SOLANA_WALLET_PASSPHRASE_<NAME>, then SOLANA_WALLET_PASSPHRASE
+ */
+function profilePassphrase(name) {
+  const key = `SOLANA_WALLET_PASSPHRASE_${name.toUpperCase().replace(/-/g, '_')}`;
+  return process.env[key] || process.env.SOLANA_WALLET_PASSPHRASE;
+}
+
+/**
+ * Load a profile's wallet with its RPC endpoint and spending policy attached
+ *
+ * @param {object} profile - Resolved profile
+ * @param {object} options - { rpcUrl, passphrase }
+ */
+function loadProfile(profile, options = {}) {
+  if (!fs.existsSync(profile.path)) {
+    throw new Error(`Wallet not found at ${profile.path}`);
+  }
+  if (profile.policy && !fs.existsSync(profile.policy)) {
+    throw new Error(`Policy file not found at ${profile.policy}`);
+  }
+  const rpcUrl = profile.rpcUrl || options.rpcUrl || DEFAULT_RPC;
+  const wallet = Wallet.fromFile(profile.path, rpcUrl, { passphrase: options.passphrase });
+  return wallet.setPolicy(profile.policy ? Policy.load(profile.policy) : Policy.load());
+}
+
+module.exports = { WalletRegistry, loadProfile, profilePassphrase, DEFAULT_WALLET_PATH, PROFILES_PATH };
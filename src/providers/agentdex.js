@@ -0,0 +1,89 @@
+/**
+ * Solana Agent Kit - AgentDEX Swap Provider
+ * Quotes from the AgentDEX API. AgentDEX executes swaps on its side for the
+ * agent its API key belongs to, so there is no transaction to sign locally.
+ */
+
+const AGENTDEX_API = 'https://api.agentdex.com';
+
+class AgentDEXProvider {
+  /**
+   * @param {object} options - { apiKey, baseUrl, agentId }
+   */
+  constructor({ apiKey, baseUrl = AGENTDEX_API, agentId } = {}) {
+    if (!apiKey) {
+      throw new Error('AgentDEX: apiKey is required (e.g. "adx_xxx")');
+    }
+    this.name = 'agentdex';
+    this.apiKey = apiKey;
+    this.baseUrl = baseUrl.replace(/\/$/, '');
+    this.agentId = agentId;
+  }
+
+  async request(method, path, body) {
+    const response = await fetch(`${this.baseUrl}${path}`, {
+      method,
+      headers: {
+        Authorization: `Bearer ${this.apiKey}`,
+        'Content-Type': 'application/json'
+      },
+      ...(body !== undefined && { body: JSON.stringify(body) })
+    });
+    if (!response.ok) {
+      const text = await response.text().catch(() => '');
+      throw new Error(`AgentDEX API ${method} ${path} failed (${response.status}): ${text}`);
+    }
+    return response.json();
+  }
+
+  /**
+   * @param {object} request - { inputMint, outputMint, amount (base units), slippageBps, swapMode, ... }
+   * @returns {Promise<object>} { inAmount, outAmount, priceImpactPct, routePlan, raw }
+   * @throws when ExactOut or routing options are requested, which AgentDEX doesn't offer
+   */
+  async getQuote({ inputMint, outputMint, amount, slippageBps, swapMode, onlyDirectRoutes, dexes = [],
+    excludeDexes = [], maxAccounts }) {
+    if (swapMode === 'ExactOut') {
+      throw new Error('AgentDEX does not support ExactOut swaps');
+    }
+    if (onlyDirectRoutes || dexes.length || excludeDexes.length || maxAccounts) {
+      throw new Error('AgentDEX does not support routing options');
+    }
+    const params = new URLSearchParams({
+      inputMint,
+      outputMint,
+      amount: amount.toString(),
+      slippageBps: slippageBps.toString()
+    });
+    const quote = await this.request('GET', `/api/v1/quote?${params}`);
+    return {
+      inAmount: String(quote.inAmount),
+      outAmount: String(quote.outAmount),
+      priceImpactPct: quote.priceImpactPct,
+      routePlan: quote.route ?? null,
+      raw: quote
+    };
+  }
+
+  /**
+   * Execute a quoted swap through the AgentDEX API
+   *
+   * @returns {Promise<{ signature, inAmount, outAmount }>} outAmount is null unless AgentDEX reports it
+   */
+  async execute(quote, { slippageBps }) {
+    const result = await this.request('POST', '/api/v1/swap', {
+      inputMint: quote.inputMint,
+      outputMint: quote.outputMint,
+      amount: quote.inAmount,
+      slippageBps,
+      agentId: this.agentId
+    });
+    return {
+      signature: result.signature,
+      inAmount: String(result.inAmount ?? quote.inAmount),
+      outAmount: result.outAmount != null ? String(result.outAmount) : null
+    };
+  }
+}
+
+module.exports = { AgentDEXProvider, AGENTDEX_API };
@@ -0,0 +1,71 @@
+/**
+ * Solana Agent Kit - Swap Providers
+ * A swap provider has a name and implements
+ *   getQuote({ inputMint, outputMint, amount, slippageBps, swapMode, onlyDirectRoutes, dexes, excludeDexes,
+ *     maxAccounts }) -> { inAmount, outAmount, priceImpactPct, routePlan, raw }
+ * plus either
+ *   buildSwap(quote, { connection, userPublicKey, options }) -> { transaction, lastValidBlockHeight, priorityFee }
+ * returning a transaction for the wallet to sign, or
+ *   execute(quote, { slippageBps }) -> { signature, inAmount, outAmount }
+ * when the provider executes the swap itself, from its own account. Those
+ * remote providers are only used when named explicitly: best-quote routing
+ * only compares providers that build transactions for the wallet. Amounts are base-unit strings;
+ * with swapMode ExactOut the request amount is the output. A provider that
+ * can't honor the swap mode or a routing option throws from getQuote.
+ */
+
+const { JupiterProvider } = require('./jupiter');
+const { AgentDEXProvider } = require('./agentdex');
+
+const PROVIDER_NAMES = ['jupiter', 'agentdex'];
+
+class SwapProviderError extends Error {
+  /**
+   * @param {string} code - UNKNOWN_PROVIDER, NO_QUOTE, INVALID_SWAP_OPTIONS or QUOTE_MISMATCH
+   */
+  constructor(code, message, details = {}) {
+    super(message);
+    this.name = 'SwapProviderError';
+    this.code = code;
+    this.details = details;
+  }
+}
+
+/**
+ * Create a provider by name, configured from the environment
+ */
+function createProvider(name, env = process.env) {
+  switch (name) {
+    case 'jupiter':
+      return new JupiterProvider();
+    case 'agentdex':
+      return new AgentDEXProvider({
+        apiKey: env.AGENTDEX_API_KEY,
+        baseUrl: env.AGENTDEX_BASE_URL || undefined
+      });
+    default:
+      throw new SwapProviderError('UNKNOWN_PROVIDER', `Unknown swap provider ${name}: use ${PROVIDER_NAMES.join(', ')}`,
+        { provider: name });
+  }
+}
+
+/**
+ * Providers named in SOLANA_SWAP_PROVIDERS (comma-separated), or Jupiter plus
+ * AgentDEX when AGENTDEX_API_KEY is set (AgentDEX executes remotely, so it is
+ * only used when requested by name)
+ */
+function defaultProviders(env = process.env) {
+  const names = env.SOLANA_SWAP_PROVIDERS
+    ? env.SOLANA_SWAP_PROVIDERS.split(',').map(n => n.trim().toLowerCase()).filter(Boolean)
+    : ['jupiter', ...(env.AGENTDEX_API_KEY ? ['agentdex'] : [])];
+  return names.map(name => createProvider(name, env));
+}
+
+module.exports = {
+  createProvider,
+  defaultProviders,
+  SwapProviderError,
+  JupiterProvider,
+  AgentDEXProvider,
+  PROVIDER_NAMES
+};
@@ -0,0 +1,103 @@
+/**
+ * Solana Agent Kit - Jupiter Swap Provider
+ * Quotes and unsigned swap transactions from the Jupiter v6 aggregator API
+ */
+
+const { VersionedTransaction } = require('@solana/web3.js');
+const { jupiterPriorityFee } = require('../fees');
+
+const JUPITER_API = 'https://quote-api.jup.ag/v6';
+
+class JupiterProvider {
+  /**
+   * @param {object} options - { baseUrl }
+   */
+  constructor({ baseUrl = JUPITER_API } = {}) {
+    this.name = 'jupiter';
+    this.baseUrl = baseUrl.replace(/\/$/, '');
+  }
+
+  /**
+   * @param {object} request - { inputMint, outputMint, amount (base units), slippageBps, swapMode,
+   *   onlyDirectRoutes, dexes, excludeDexes, maxAccounts }
+   * @returns {Promise<object>} { inAmount, outAmount, priceImpactPct, routePlan, raw }
+   */
+  async getQuote({ inputMint, outputMint, amount, slippageBps, swapMode = 'ExactIn', onlyDirectRoutes,
+    dexes = [], excludeDexes = [], maxAccounts }) {
+    const params = new URLSearchParams({
+      inputMint,
+      outputMint,
+      amount: amount.toString(),
+      slippageBps: slippageBps.toString(),
+      swapMode
+    });
+    if (onlyDirectRoutes) {
+      params.set('onlyDirectRoutes', 'true');
+    }
+    if (dexes.length) {
+      params.set('dexes', dexes.join(','));
+    }
+    if (excludeDexes.length) {
+      params.set('excludeDexes', excludeDexes.join(','));
+    }
+    if (maxAccounts) {
+      params.set('maxAccounts', maxAccounts.toString());
+    }
+
+    const response = await fetch(`${this.baseUrl}/quote?${params}`);
+    if (!response.ok) {
+      const error = await response.text();
+      throw new Error(`Quote failed: ${error}`);
+    }
+
+    const quote = await response.json();
+    return {
+      inAmount: quote.inAmount,
+      outAmount: quote.outAmount,
+      priceImpactPct: quote.priceImpactPct,
+      routePlan: quote.routePlan,
+      raw: quote
+    };
+  }
+
+  /**
+   * Fetch a swap transaction for the wallet to sign
+   *
+   * With dynamic slippage Jupiter picks the slippage when building the
+   * transaction, up to the quote's slippageBps, and reports what it chose.
+   *
+   * @param {object} quote - From getQuote
+   * @param {object} context - { connection, userPublicKey, options } options carry the priority fee strategy
+   * @returns {Promise<{ transaction: VersionedTransaction, lastValidBlockHeight, priorityFee, slippageBps }>}
+   */
+  async buildSwap(quote, { connection, userPublicKey, options = {} }) {
+    const { params: feeParams, priorityFee } = await jupiterPriorityFee(connection, [userPublicKey], options);
+
+    const swapResponse = await fetch(`${this.baseUrl}/swap`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({
+        quoteResponse: quote.raw,
+        userPublicKey: userPublicKey.toBase58(),
+        wrapAndUnwrapSol: true,
+        ...(quote.routing?.dynamicSlippage && { dynamicSlippage: { maxBps: quote.slippageBps } }),
+        ...feeParams
+      })
+    });
+
+    if (!swapResponse.ok) {
+      const error = await swapResponse.text();
+      throw new Error(`Swap transaction failed: ${error}`);
+    }
+
+    const { swapTransaction, lastValidBlockHeight, dynamicSlippageReport } = await swapResponse.json();
+    return {
+      transaction: VersionedTransaction.deserialize(Buffer.from(swapTransaction, 'base64')),
+      lastValidBlockHeight,
+      priorityFee,
+      slippageBps: dynamicSlippageReport?.slippageBps ?? quote.slippageBps
+    };
+  }
+}
+
+module.exports = { JupiterProvider, JUPITER_API };
@@ -0,0 +1,182 @@
+/**
+ * Solana Agent Kit - Token Registry
+ * Symbol, mint, decimals, name and tags from the built-in token list, extended
+ * with user-added tokens from ~/.config/solana-agent/tokens.json
+ */
+
+const path = require('path');
+const { PublicKey } = require('@solana/web3.js');
+const { configPath, readJson, writeJson } = require('./config');
+
+const BUILTIN_LIST_PATH = path.join(__dirname, 'tokenlist.json');
+const TOKENS_PATH = process.env.SOLANA_AGENT_TOKENS || configPath('tokens.json');
+
+// Symbol -> mint for the built-in tokens
+const TOKENS = Object.fromEntries(
+  require('./tokenlist.json').tokens.map(t => [t.symbol, t.address])
+);
+
+class TokenError extends Error {
+  /**
+   * @param {string} code - UNKNOWN_TOKEN, AMBIGUOUS_SYMBOL, INVALID_MINT or DUPLICATE_TOKEN
+   */
+  constructor(code, message, details = {}) {
+    super(message);
+    this.name = 'TokenError';
+    this.code = code;
+    this.details = details;
+  }
+}
+
+/**
+ * Whether a string is a canonical base58 public key
+ */
+function isMintAddress(value) {
+  try {
+    return new PublicKey(value).toBase58() === value;
+  } catch (e) {
+    return false;
+  }
+}
+
+/**
+ * Validate a token-list entry ({ address | mint, symbol, decimals, name?, tags? })
+ */
+function normalizeToken(entry, source) {
+  const mint = entry.mint || entry.address;
+  if (!isMintAddress(mint)) {
+    throw new TokenError('INVALID_MINT', `Invalid mint address for ${entry.symbol || 'token'}: ${mint}`, { mint });
+  }
+  if (!entry.symbol) {
+    throw new Error(`Token ${mint} needs a symbol`);
+  }
+  if (!Number.isInteger(entry.decimals) || entry.decimals < 0 || entry.decimals > 255) {
+    throw new Error(`Token ${entry.symbol} needs integer decimals`);
+  }
+  return {
+    symbol: entry.symbol,
+    mint,
+    decimals: entry.decimals,
+    name: entry.name || entry.symbol,
+    tags: entry.tags || [],
+    source
+  };
+}
+
+let defaultRegistry = null;
+
+class TokenRegistry {
+  constructor(tokens = [], { userPath = TOKENS_PATH } = {}) {
+    this.tokens = tokens;
+    this.userPath = userPath;
+  }
+
+  /**
+   * Load the built-in list and the user's additions (user entries win on the same mint)
+   */
+  static load({ listPath = BUILTIN_LIST_PATH, userPath = TOKENS_PATH } = {}) {
+    const builtin = readJson(listPath, { tokens: [] }).tokens.map(t => normalizeToken(t, 'builtin'));
+    const user = readJson(userPath, { tokens: [] }).tokens.map(t => normalizeToken(t, 'user'));
+    const userMints = new Set(user.map(t => t.mint));
+    return new TokenRegistry([...builtin.filter(t => !userMints.has(t.mint)), ...user], { userPath });
+  }
+
+  /**
+   * Shared registry, loaded on first use
+   */
+  static default() {
+    if (!defaultRegistry) {
+      defaultRegistry = TokenRegistry.load();
+    }
+    return defaultRegistry;
+  }
+
+  list() {
+    return this.tokens;
+  }
+
+  byMint(mint) {
+    return this.tokens.find(t => t.mint === mint.toString()) || null;
+  }
+
+  bySymbol(symbol) {
+    return this.tokens.filter(t => t.symbol.toUpperCase() === symbol.toUpperCase());
+  }
+
+  /**
+   * Resolve a symbol or mint address to a mint address
+   *
+   * @throws {TokenError} AMBIGUOUS_SYMBOL, or UNKNOWN_TOKEN for strings that are neither
+   */
+  resolve(symbolOrMint) {
+    const value = symbolOrMint.toString().trim();
+    const matches = this.bySymbol(value);
+    if (matches.length === 1) {
+      return matches[0].mint;
+    }
+    if (matches.length > 1) {
+      throw new TokenError('AMBIGUOUS_SYMBOL', `Symbol ${value} matches ${matches.length} tokens; use the mint address`, {
+        symbol: value,
+        candidates: matches.map(t => ({ mint: t.mint, name: t.name, source: t.source }))
+      });
+    }
+    if (isMintAddress(value)) {
+      return value;
+    }
+    throw new TokenError('UNKNOWN_TOKEN', `Unknown token ${value}: not a known symbol or a valid mint address`, { token: value });
+  }
+
+  /**
+   * Case-insensitive search over symbol, name, mint and tags; exact symbol matches first
+   */
+  search(query) {
+    const q = query.trim().toLowerCase();
+    return this.tokens
+      .filter(t => t.symbol.toLowerCase().includes(q) ||
+        t.name.toLowerCase().includes(q) ||
+        t.mint.toLowerCase() === q ||
+        t.tags.some(tag => tag.toLowerCase().includes(q)))
+      .sort((a, b) => (b.symbol.toLowerCase() === q) - (a.symbol.toLowerCase() === q));
+  }
+
+  /**
+   * Add a token to the user's list
+   *
+   * @param {object} token - { mint, symbol, decimals, name?, tags? }
+   * @returns {object} { token, conflicts } conflicts lists other tokens with the same symbol
+   */
+  add(token) {
+    const entry = normalizeToken(token, 'user');
+    const existing = this.byMint(entry.mint);
+    if (existing) {
+      throw new TokenError('DUPLICATE_TOKEN', `Mint ${entry.mint} is already registered as ${existing.symbol}`,
+        { mint: entry.mint, symbol: existing.symbol });
+    }
+    const conflicts = this.bySymbol(entry.symbol);
+
+    const data = readJson(this.userPath, { tokens: [] });
+    // Stored in token-list format
+    const { source, mint, ...rest } = entry;
+    data.tokens.push({ address: mint, ...rest });
+    writeJson(this.userPath, data);
+    this.tokens.push(entry);
+
+    return { token: entry, conflicts };
+  }
+}
+
+/**
+ * Resolve a symbol or mint address with the shared registry
+ */
+function resolveMint(symbolOrMint) {
+  return TokenRegistry.default().resolve(symbolOrMint);
+}
+
+module.exports = {
+  TokenRegistry,
+  TokenError,
+  TOKENS,
+  TOKENS_PATH,
+  resolveMint,
+  isMintAddress
+};
@@ -0,0 +1,555 @@
+/**
+ * Solana Agent Kit - DCA Scheduler
+ * Recurring swap orders kept in a local state file and executed through
+ * Swapper.swap. Each run is recorded as pending before it is sent, so a
+ * restart settles interrupted runs from chain before scheduling more.
+ */
+
+const crypto = require('crypto');
+const { configPath, readJson, writeJson, isProcessAlive, tryLock } = require('./config');
+const { getDecimals, toUi } = require('./amount');
+const { getSwapEvent } = require('./history');
+const { checkSentTransaction, TransactionExpiredError, TransactionFailedError } = require('./sender');
+
+const DCA_PATH = process.env.SOLANA_AGENT_DCA || configPath('dca.json');
+
+const TICK_MS = 15 * 1000;
+const MIN_INTERVAL_MS = 60 * 1000;
+
+// Orders pause after this many failed runs in a row
+const MAX_CONSECUTIVE_FAILURES = 3;
+
+// A failed run is retried after this, doubled for each failure in a row, unless its next run comes first
+const RETRY_BASE_MS = 60 * 1000;
+
+// Fills kept per order; older ones only survive in the totals
+const MAX_FILLS = 100;
+
+const INTERVAL_UNITS = { s: 1000, m: 60 * 1000, h: 60 * 60 * 1000, d: 24 * 60 * 60 * 1000, w: 7 * 24 * 60 * 60 * 1000 };
+
+// Swap options an order may carry into every run
+const SWAP_OPTION_KEYS = [
+  'provider', 'swapMode', 'onlyDirectRoutes', 'dexes', 'excludeDexes', 'maxAccounts', 'dynamicSlippage',
+  'maxPriceImpact', 'maxPriceDeviation', 'priorityFee', 'maxPriorityFee'
+];
+
+class DcaError extends Error {
+  /**
+   * @param {string} code - ORDER_NOT_FOUND, INVALID_INTERVAL, INVALID_DATE, INVALID_END, INVALID_PROVIDER
+   *   or INVALID_STATE
+   */
+  constructor(code, message, details = {}) {
+    super(message);
+    this.name = 'DcaError';
+    this.code = code;
+    this.details = details;
+  }
+}
+
+/**
+ * Parse an interval like 30m, 4h, 1d or 2w (a bare number is seconds)
+ *
+ * @returns {number} milliseconds
+ * @throws {DcaError} INVALID_INTERVAL
+ */
+function parseInterval(value) {
+  const match = String(value).trim().match(/^(\d+(?:\.\d+)?)\s*([smhdw]?)$/i);
+  const ms = match ? Number(match[1]) * INTERVAL_UNITS[(match[2] || 's').toLowerCase()] : NaN;
+  if (!(ms >= MIN_INTERVAL_MS)) {
+    throw new DcaError('INVALID_INTERVAL', `Invalid interval ${value}: use e.g. 30m, 4h, 1d or 2w (at least 1m)`,
+      { interval: value });
+  }
+  return Math.round(ms);
+}
+
+function parseDate(value, label) {
+  if (value == null || value === '') {
+    return null;
+  }
+  const time = typeof value === 'number' ? value : Date.parse(value);
+  if (!Number.isFinite(time)) {
+    throw new DcaError('INVALID_DATE', `Invalid ${label}: ${value}`, { [label]: value });
+  }
+  return time;
+}
+
+/**
+ * Order as returned by list/get: UI totals and the average rate, without the full fill list
+ */
+function describeOrder(order, { fills = false } = {}) {
+  const { fills: all, inDecimals, outDecimals, totals, ...rest } = order;
+  const totalIn = BigInt(totals.inAmount);
+  const totalOut = BigInt(totals.outAmount);
+  return {
+    ...rest,
+    startAt: new Date(order.startAt).toISOString(),
+    nextRunAt: ['active', 'paused'].includes(order.status) ? new Date(order.nextRunAt).toISOString() : null,
+    retryAt: order.retryAt && ['active', 'paused'].includes(order.status) ? new Date(order.retryAt).toISOString() : null,
+    endAt: order.endAt ? new Date(order.endAt).toISOString() : null,
+    totals: {
+      ...totals,
+      inAmountUi: toUi(totalIn, inDecimals),
+      outAmountUi: toUi(totalOut, outDecimals),
+      // Output tokens per input token across all fills
+      averageRate: totalIn > 0n
+        ? Number(toUi(totalOut, outDecimals)) / Number(toUi(totalIn, inDecimals))
+        : null
+    },
+    ...(fills ? { fills: all } : { lastFill: all[all.length - 1] || null })
+  };
+}
+
+class DcaScheduler {
+  /**
+   * @param {object} options - { filePath, getSwapper(walletName) -> Swapper (or a promise of one), tickMs, log }
+   */
+  constructor({ filePath = DCA_PATH, getSwapper, tickMs = TICK_MS, log = () => {} } = {}) {
+    this.filePath = filePath;
+    this.getSwapper = getSwapper;
+    this.tickMs = tickMs;
+    this.log = log;
+    this.timer = null;
+    this.running = false;
+  }
+
+  read() {
+    return readJson(this.filePath, { orders: {} });
+  }
+
+  /**
+   * Apply a change to one order against the latest file contents
+   */
+  update(id, change) {
+    const data = this.read();
+    const order = data.orders[id];
+    if (!order) {
+      throw new DcaError('ORDER_NOT_FOUND', `DCA order ${id} not found`, { id });
+    }
+    change(order);
+    order.updatedAt = Date.now();
+    writeJson(this.filePath, data);
+    return order;
+  }
+
+  updateFill(id, run, fields) {
+    return this.update(id, order => {
+      const fill = order.fills.find(f => f.run === run);
+      Object.assign(fill, fields);
+    });
+  }
+
+  /**
+   * Create a recurring order
+   *
+   * @param {Swapper} swapper - For the wallet the order runs on
+   * @param {object} params - { wallet, from, to, amount, interval, startAt, maxRuns, endAt, slippageBps, catchUp,
+   *   ...swap options } amount is per run (in output tokens for swapMode ExactOut); runs stop after maxRuns
+   *   fills or at endAt, whichever comes first; catchUp executes every run missed while stopped
+   *   instead of only the latest
+   */
+  async create(swapper, params) {
+    const interval = parseInterval(params.interval);
+    const startAt = parseDate(params.startAt, 'startAt') ?? Date.now();
+    const endAt = parseDate(params.endAt, 'endAt');
+    const maxRuns = params.maxRuns != null ? Number(params.maxRuns) : null;
+    if (maxRuns !== null && !(Number.isInteger(maxRuns) && maxRuns > 0)) {
+      throw new DcaError('INVALID_END', `Invalid run count: ${params.maxRuns}`, { maxRuns: params.maxRuns });
+    }
+    if (endAt !== null && endAt <= startAt) {
+      throw new DcaError('INVALID_END', 'The end date must be after the start', { startAt, endAt });
+    }
+
+    const swapOptions = Object.fromEntries(SWAP_OPTION_KEYS
+      .filter(key => params[key] != null)
+      .map(key => [key, params[key]]));
+    if (swapOptions.provider && swapper.isRemote(swapOptions.provider)) {
+      throw new DcaError('INVALID_PROVIDER', `${swapOptions.provider} executes swaps from its own account, ` +
+        'not this wallet, so it can\'t run DCA orders', { provider: swapOptions.provider });
+    }
+    // Validates tokens, amount and routing options up front
+    const quote = await swapper.getQuote(params.from, params.to, params.amount, params.slippageBps ?? 50, swapOptions);
+    const exactOut = quote.swapMode === 'ExactOut';
+    const [inDecimals, outDecimals] = await Promise.all([
+      getDecimals(swapper.wallet.connection, quote.inputMint),
+      getDecimals(swapper.wallet.connection, quote.outputMint)
+    ]);
+
+    const id = crypto.randomBytes(6).toString('hex');
+    const order = {
+      id,
+      wallet: params.wallet,
+      status: 'active',
+      from: params.from,
+      to: params.to,
+      inputMint: quote.inputMint,
+      outputMint: quote.outputMint,
+      amount: exactOut ? quote.outAmountUi : quote.inAmountUi,
+      amountRaw: exactOut ? quote.outAmount : quote.inAmount,
+      inDecimals,
+      outDecimals,
+      slippageBps: quote.slippageBps,
+      swapOptions,
+      interval: params.interval,
+      intervalMs: interval,
+      startAt,
+      nextRunAt: startAt,
+      retryAt: null,
+      endAt,
+      maxRuns,
+      catchUp: !!params.catchUp,
+      totals: { runs: 0, failed: 0, missed: 0, inAmount: '0', outAmount: '0' },
+      consecutiveFailures: 0,
+      lastError: null,
+      fills: [],
+      createdAt: Date.now(),
+      updatedAt: Date.now()
+    };
+
+    const data = this.read();
+    data.orders[id] = order;
+    writeJson(this.filePath, data);
+    return describeOrder(order);
+  }
+
+  /**
+   * @param {object} options - { wallet } only orders for this wallet profile
+   */
+  list({ wallet } = {}) {
+    return Object.values(this.read().orders)
+      .filter(o => !wallet || o.wallet === wallet)
+      .sort((a, b) => a.createdAt - b.createdAt)
+      .map(o => describeOrder(o));
+  }
+
+  /**
+   * One order with all its recorded fills
+   */
+  get(id, { wallet } = {}) {
+    const order = this.read().orders[id];
+    if (!order || (wallet && order.wallet !== wallet)) {
+      throw new DcaError('ORDER_NOT_FOUND', `DCA order ${id} not found`, { id });
+    }
+    return describeOrder(order, { fills: true });
+  }
+
+  setStatus(id, status, allowed, { wallet } = {}) {
+    this.get(id, { wallet });
+    return describeOrder(this.update(id, order => {
+      if (!allowed.includes(order.status)) {
+        throw new DcaError('INVALID_STATE', `DCA order ${id} is ${order.status}`, { id, status: order.status });
+      }
+      order.status = status;
+      if (status === 'active') {
+        order.consecutiveFailures = 0;
+      }
+    }));
+  }
+
+  pause(id, options) {
+    return this.setStatus(id, 'paused', ['active'], options);
+  }
+
+  /**
+   * Resume a paused order. Runs missed while paused are handled like missed runs after a restart.
+   */
+  resume(id, options) {
+    return this.setStatus(id, 'active', ['paused'], options);
+  }
+
+  cancel(id, options) {
+    return this.setStatus(id, 'cancelled', ['active', 'paused'], options);
+  }
+
+  /**
+   * Whether the order has all its fills or its next run falls after the end date
+   */
+  isFinished(order) {
+    return (order.maxRuns !== null && order.totals.runs >= order.maxRuns) ||
+      (order.endAt !== null && order.nextRunAt > order.endAt);
+  }
+
+  /**
+   * Settle a run left pending by an interrupted process. Runs that never
+   * landed are retried; landed ones count as filled. A run with no blockhash
+   * to prove it can no longer land is settled as unknown and not retried.
+   *
+   * @returns {Promise<boolean>} whether the run is settled
+   */
+  async reconcile(order, fill, swapper) {
+    const wallet = swapper.wallet;
+    if (!fill.signature) {
+      // Interrupted before anything was sent: run it again
+      this.update(order.id, o => {
+        o.fills = o.fills.filter(f => f.run !== fill.run);
+      });
+      return true;
+    }
+
+    const sent = await checkSentTransaction(wallet.connection, { ...fill, sentAt: fill.startedAt });
+    if (sent.state === 'landed') {
+      const swap = await getSwapEvent(wallet.connection, fill.signature, wallet.address);
+      const inAmount = swap?.inAmountRaw ?? (order.swapOptions.swapMode === 'ExactOut' ? null : order.amountRaw);
+      const outAmount = swap?.outAmountRaw ?? null;
+      if (inAmount) {
+        wallet.recordSpend({ action: 'swap', mint: order.inputMint, outputMint: order.outputMint, amount: inAmount },
+          fill.signature);
+      }
+      this.update(order.id, o => {
+        const f = o.fills.find(x => x.run === fill.run);
+        this.settle(o, f, { status: 'filled', slot: sent.slot, inAmount, outAmount, recovered: true });
+      });
+      return true;
+    }
+    if (sent.state === 'failed') {
+      this.update(order.id, o => {
+        const f = o.fills.find(x => x.run === fill.run);
+        this.settle(o, f, { status: 'failed', error: `Transaction failed: ${JSON.stringify(sent.err)}` });
+      });
+      return true;
+    }
+    if (sent.state === 'expired' && !fill.lastValidBlockHeight) {
+      this.update(order.id, o => {
+        const f = o.fills.find(x => x.run === fill.run);
+        this.settle(o, f, { status: 'unknown',
+          error: `Swap ${fill.signature} was not seen on chain and may still have executed; not retried` });
+      });
+      return true;
+    }
+    if (sent.state === 'expired') {
+      // Never landed: drop it so the run is retried
+      this.update(order.id, o => {
+        o.fills = o.fills.filter(f => f.run !== fill.run);
+      });
+      return true;
+    }
+    return false;
+  }
+
+  /**
+   * Record a finished run on the order (mutates order and fill) and schedule the next one.
+   * A failed run is retried with backoff while that comes before the next scheduled run;
+   * otherwise it is consumed.
+   */
+  settle(order, fill, fields) {
+    Object.assign(fill, fields, { pid: undefined, finishedAt: Date.now() });
+    if (fill.inAmount) {
+      fill.inAmountUi = toUi(fill.inAmount, order.inDecimals);
+    }
+    if (fill.outAmount) {
+      fill.outAmountUi = toUi(fill.outAmount, order.outDecimals);
+    }
+
+    if (fields.status === 'filled') {
+      order.totals.runs++;
+      // A recovered run whose amounts couldn't be read stays out of the totals and average rate
+      if (fill.inAmount && fill.outAmount) {
+        order.totals.inAmount = (BigInt(order.totals.inAmount) + BigInt(fill.inAmount)).toString();
+        order.totals.outAmount = (BigInt(order.totals.outAmount) + BigInt(fill.outAmount)).toString();
+      }
+      order.consecutiveFailures = 0;
+      order.lastError = null;
+    } else {
+      order.totals.failed++;
+      order.consecutiveFailures++;
+      order.lastError = fields.error;
+      if (order.consecutiveFailures >= MAX_CONSECUTIVE_FAILURES && order.status === 'active') {
+        order.status = 'paused';
+        order.lastError = `Paused after ${order.consecutiveFailures} failed runs in a row: ${fields.error}`;
+      }
+    }
+
+    const retryAt = Date.now() + RETRY_BASE_MS * 2 ** (order.consecutiveFailures - 1);
+    if (fields.status === 'failed' && order.status === 'active' && retryAt < fill.scheduledAt + order.intervalMs) {
+      order.nextRunAt = fill.scheduledAt;
+      order.retryAt = retryAt;
+    } else {
+      order.nextRunAt = fill.scheduledAt + order.intervalMs;
+      order.retryAt = null;
+    }
+    if (order.status === 'active' && this.isFinished(order)) {
+      order.status = 'completed';
+    }
+    order.fills = order.fills.slice(-MAX_FILLS);
+  }
+
+  /**
+   * Execute the run scheduled at order.nextRunAt
+   */
+  async execute(order, swapper) {
+    const run = (order.fills[order.fills.length - 1]?.run || 0) + 1;
+    this.update(order.id, o => {
+      o.fills.push({ run, status: 'pending', scheduledAt: o.nextRunAt, startedAt: Date.now(), pid: process.pid,
+        signature: null });
+    });
+
+    try {
+      const result = await swapper.swap(order.inputMint, order.outputMint, BigInt(order.amountRaw), order.slippageBps, {
+        ...order.swapOptions,
+        onSent: (signature, { lastValidBlockHeight } = {}) => {
+          this.updateFill(order.id, run, { signature, lastValidBlockHeight: lastValidBlockHeight || null });
+        }
+      });
+      this.update(order.id, o => {
+        const fill = o.fills.find(f => f.run === run);
+        this.settle(o, fill, {
+          status: 'filled',
+          signature: result.signature,
+          provider: result.provider,
+          slot: result.slot,
+          inAmount: result.inAmount,
+          outAmount: result.outAmount
+        });
+      });
+      this.log(`DCA ${order.id} run ${run}: ${result.inAmountUi} ${order.from} -> ${result.outAmountUi} ${order.to} (${result.signature})`);
+    } catch (e) {
+      const signature = this.read().orders[order.id]?.fills.find(f => f.run === run)?.signature;
+      if (signature && !(e instanceof TransactionFailedError) && !(e instanceof TransactionExpiredError)) {
+        // Sent but the outcome is unknown; it may still land, so reconcile settles it on a later tick
+        this.log(`DCA ${order.id} run ${run}: ${signature} sent, outcome unknown (${e.message}); checking it again later`);
+        return;
+      }
+      this.update(order.id, o => {
+        const fill = o.fills.find(f => f.run === run);
+        this.settle(o, fill, { status: 'failed', error: e.message, ...(e.code && { code: e.code }) });
+      });
+      this.log(`DCA ${order.id} run ${run} failed: ${e.message}`);
+    }
+  }
+
+  /**
+   * Bring one order up to date under a lock shared with other processes
+   * (the server and `dca run` from cron), so only one of them executes a run
+   */
+  async processOrder(id, now) {
+    const release = tryLock(`${this.filePath}.${id}.lock`);
+    if (!release) {
+      return;
+    }
+    try {
+      await this.advance(id, now);
+    } finally {
+      release();
+    }
+  }
+
+  /**
+   * Settle an interrupted run, account for missed runs and execute what is due
+   */
+  async advance(id, now) {
+    let order = this.read().orders[id];
+    const swapper = await this.getSwapper(order.wallet);
+
+    const pending = order.fills.find(f => f.status === 'pending');
+    if (pending) {
+      if (pending.pid && pending.pid !== process.pid && isProcessAlive(pending.pid)) {
+        // Another process is running it
+        return;
+      }
+      if (!await this.reconcile(order, pending, swapper)) {
+        return;
+      }
+      order = this.read().orders[id];
+    }
+
+    while (order.status === 'active' && order.nextRunAt <= now) {
+      if (this.isFinished(order)) {
+        this.update(id, o => {
+          o.status = 'completed';
+        });
+        return;
+      }
+
+      if (order.retryAt) {
+        if (now < order.retryAt) {
+          return;
+        }
+        if (now >= order.nextRunAt + order.intervalMs) {
+          // The retry window closed while nothing was running: the failed run is consumed,
+          // not counted as missed
+          order = this.update(id, o => {
+            o.nextRunAt += o.intervalMs;
+            o.retryAt = null;
+          });
+          continue;
+        }
+      }
+
+      const due = Math.floor((now - order.nextRunAt) / order.intervalMs) + 1;
+      if (due > 1 && !order.catchUp) {
+        // Only the latest missed run is executed; the rest are recorded as missed
+        const missed = order.endAt !== null
+          ? Math.min(due - 1, Math.max(0, Math.floor((order.endAt - order.nextRunAt) / order.intervalMs) + 1))
+          : due - 1;
+        order = this.update(id, o => {
+          o.fills.push({
+            run: (o.fills[o.fills.length - 1]?.run || 0) + 1,
+            status: 'missed',
+            count: missed,
+            scheduledAt: o.nextRunAt,
+            lastScheduledAt: o.nextRunAt + (missed - 1) * o.intervalMs
+          });
+          o.totals.missed += missed;
+          o.nextRunAt += (due - 1) * o.intervalMs;
+          o.fills = o.fills.slice(-MAX_FILLS);
+        });
+        continue;
+      }
+
+      await this.execute(order, swapper);
+      order = this.read().orders[id];
+      if (order.fills[order.fills.length - 1]?.status === 'pending') {
+        return;
+      }
+    }
+  }
+
+  /**
+   * Process every active order once
+   */
+  async tick(now = Date.now()) {
+    if (this.running) {
+      return;
+    }
+    this.running = true;
+    try {
+      for (const order of Object.values(this.read().orders)) {
+        if (order.status !== 'active') {
+          continue;
+        }
+        try {
+          await this.processOrder(order.id, now);
+        } catch (e) {
+          this.log(`DCA ${order.id}: ${e.message}`);
+          this.update(order.id, o => {
+            o.lastError = e.message;
+          });
+        }
+      }
+    } finally {
+      this.running = false;
+    }
+  }
+
+  /**
+   * Run tick() every tickMs until stop()
+   */
+  start() {
+    if (!this.timer) {
+      this.timer = setInterval(() => this.tick().catch(e => this.log(`DCA scheduler: ${e.message}`)), this.tickMs);
+      this.tick().catch(e => this.log(`DCA scheduler: ${e.message}`));
+    }
+    return this;
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+}
+
+module.exports = {
+  DcaScheduler,
+  DcaError,
+  parseInterval,
+  DCA_PATH
+};
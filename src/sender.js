@@ -0,0 +1,268 @@
+/**
+ * Solana Agent Kit - Transaction Sender
+ * Send, rebroadcast and confirm transactions until they land or their
+ * blockhash expires, distinguishing "expired, safe to retry" from "landed with error"
+ */
+
+const bs58 = require('bs58').default;
+
+const DEFAULT_COMMITMENT = 'confirmed';
+const POLL_INTERVAL_MS = 1000;
+const REBROADCAST_INTERVAL_MS = 2000;
+const DEFAULT_MAX_ATTEMPTS = 3;
+const WAIT_TIMEOUT_MS = 60 * 1000;
+
+// Longer than a blockhash stays valid, so this only trips when expiry can't be observed
+const CONFIRM_TIMEOUT_MS = 2 * 60 * 1000;
+
+// A sent transaction whose blockhash expiry is unknown is given up after this long
+const UNKNOWN_EXPIRY_MS = 5 * 60 * 1000;
+
+/**
+ * The blockhash expired before the transaction landed. It can never land now,
+ * so the operation is safe to retry with a fresh transaction.
+ */
+class TransactionExpiredError extends Error {
+  constructor(signature, lastValidBlockHeight) {
+    super(`Transaction ${signature} expired before confirmation; it did not land and is safe to retry`);
+    this.name = 'TransactionExpiredError';
+    this.code = 'TRANSACTION_EXPIRED';
+    this.retryable = true;
+    this.signature = signature;
+    this.details = { signature, lastValidBlockHeight };
+  }
+}
+
+/**
+ * The transaction landed on chain but failed. Fees were paid; do not blindly retry.
+ */
+class TransactionFailedError extends Error {
+  constructor(signature, slot, err) {
+    super(`Transaction ${signature} landed in slot ${slot} but failed: ${JSON.stringify(err)}`);
+    this.name = 'TransactionFailedError';
+    this.code = 'TRANSACTION_FAILED';
+    this.retryable = false;
+    this.signature = signature;
+    this.details = { signature, slot, err };
+  }
+}
+
+/**
+ * The transaction was sent but not seen confirmed in time. It may still
+ * land, so the operation must not be retried until its outcome is known.
+ */
+class TransactionUnconfirmedError extends Error {
+  /**
+   * @param {object} details - e.g. { slot } when it was only processed, { lastError } when the RPC node failed
+   */
+  constructor(signature, details = {}) {
+    super(`Transaction ${signature} was not confirmed in time; it may still land, check it before retrying`);
+    this.name = 'TransactionUnconfirmedError';
+    this.code = 'TRANSACTION_UNCONFIRMED';
+    this.retryable = false;
+    this.signature = signature;
+    this.details = { signature, ...details };
+  }
+}
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+function isSettled(status, commitment) {
+  if (!status) {
+    return false;
+  }
+  if (commitment === 'finalized') {
+    return status.confirmationStatus === 'finalized';
+  }
+  return status.confirmationStatus === 'confirmed' || status.confirmationStatus === 'finalized';
+}
+
+/**
+ * One status check of a sent transaction, looking it up in history once its
+ * blockhash has expired in case it landed between the two calls
+ *
+ * @returns {Promise<{ status: object|null, expired: boolean }>}
+ */
+async function pollSignature(connection, signature, commitment, lastValidBlockHeight) {
+  const { value: [status] } = await connection.getSignatureStatuses([signature]);
+  if (isSettled(status, commitment)) {
+    return { status, expired: false };
+  }
+  const blockHeight = await connection.getBlockHeight(commitment);
+  if (!(blockHeight > lastValidBlockHeight)) {
+    return { status, expired: false };
+  }
+  const { value: [final] } = await connection.getSignatureStatuses([signature], {
+    searchTransactionHistory: true
+  });
+  return { status: final, expired: true };
+}
+
+/**
+ * Send a signed transaction and rebroadcast it until confirmation or blockhash expiry
+ *
+ * @param {Connection} connection
+ * @param {Transaction|VersionedTransaction} transaction - Already signed
+ * @param {object} options - { lastValidBlockHeight, commitment, timeoutMs,
+ *   onSigned(signature, { lastValidBlockHeight }) before broadcasting, onSent(signature, { lastValidBlockHeight }) after }
+ * @returns {Promise<{ signature, status: 'confirmed' | 'finalized', slot }>}
+ * @throws {TransactionUnconfirmedError} when neither confirmation nor expiry is seen within
+ *   timeoutMs (default 2 minutes), e.g. while the RPC node keeps failing, or the transaction
+ *   was only processed when its blockhash expired
+ */
+async function sendAndConfirm(connection, transaction, options = {}) {
+  const commitment = options.commitment || DEFAULT_COMMITMENT;
+  const { lastValidBlockHeight } = options;
+  const raw = transaction.serialize();
+  if (options.onSigned) {
+    // Legacy transactions expose the fee payer's signature directly; versioned ones only as an array
+    options.onSigned(bs58.encode(transaction.signature || transaction.signatures[0]), { lastValidBlockHeight });
+  }
+
+  // The first send runs preflight so obviously bad transactions fail fast
+  const signature = await connection.sendRawTransaction(raw, {
+    skipPreflight: false,
+    preflightCommitment: commitment,
+    maxRetries: 0
+  });
+  if (options.onSent) {
+    options.onSent(signature, { lastValidBlockHeight });
+  }
+
+  const deadline = Date.now() + (options.timeoutMs || CONFIRM_TIMEOUT_MS);
+  let lastSent = Date.now();
+  let lastError = null;
+  for (;;) {
+    await sleep(POLL_INTERVAL_MS);
+
+    let poll = null;
+    try {
+      poll = await pollSignature(connection, signature, commitment, lastValidBlockHeight);
+    } catch (e) {
+      // A failed RPC call says nothing about the transaction: keep polling until the deadline
+      lastError = e;
+    }
+    if (poll) {
+      const { status, expired } = poll;
+      if (status?.err && (expired || isSettled(status, commitment))) {
+        throw new TransactionFailedError(signature, status.slot, status.err);
+      }
+      if (isSettled(status, commitment)) {
+        return { signature, status: status.confirmationStatus, slot: status.slot };
+      }
+      if (expired) {
+        if (status) {
+          // Only processed: it can still be rolled back, so it hasn't landed yet
+          throw new TransactionUnconfirmedError(signature, { slot: status.slot });
+        }
+        throw new TransactionExpiredError(signature, lastValidBlockHeight);
+      }
+    }
+
+    if (Date.now() >= deadline) {
+      throw new TransactionUnconfirmedError(signature, lastError ? { lastError: lastError.message } : {});
+    }
+    if (Date.now() - lastSent >= REBROADCAST_INTERVAL_MS) {
+      lastSent = Date.now();
+      await connection.sendRawTransaction(raw, { skipPreflight: true, maxRetries: 0 }).catch(() => {});
+    }
+  }
+}
+
+/**
+ * Wait for a transaction someone else sent (e.g. a swap provider that
+ * executes swaps itself) to confirm. Its blockhash is unknown, so this gives
+ * up after a timeout instead of detecting expiry.
+ *
+ * @param {object} options - { commitment, timeoutMs }
+ * @returns {Promise<{ signature, status, slot }>} status is 'unconfirmed' if it wasn't seen in time
+ */
+async function waitForSignature(connection, signature, options = {}) {
+  const commitment = options.commitment || DEFAULT_COMMITMENT;
+  const deadline = Date.now() + (options.timeoutMs || WAIT_TIMEOUT_MS);
+  for (;;) {
+    const { value: [status] } = await connection.getSignatureStatuses([signature], {
+      searchTransactionHistory: true
+    });
+    if (status?.err) {
+      throw new TransactionFailedError(signature, status.slot, status.err);
+    }
+    if (isSettled(status, commitment)) {
+      return { signature, status: status.confirmationStatus, slot: status.slot };
+    }
+    if (Date.now() >= deadline) {
+      return { signature, status: 'unconfirmed', slot: status?.slot ?? null };
+    }
+    await sleep(POLL_INTERVAL_MS);
+  }
+}
+
+/**
+ * Sign a legacy transaction with a fresh blockhash and send it, re-signing
+ * with a new blockhash if it expires
+ *
+ * @param {Wallet} wallet - Fee payer
+ * @param {Transaction} transaction
+ * @param {Keypair[]} signers
+ * @param {object} options - { maxAttempts, commitment, onSigned, onSent }
+ */
+async function signAndSendTransaction(wallet, transaction, signers, options = {}) {
+  const maxAttempts = options.maxAttempts || DEFAULT_MAX_ATTEMPTS;
+  const commitment = options.commitment || DEFAULT_COMMITMENT;
+
+  for (let attempt = 1; ; attempt++) {
+    const { blockhash, lastValidBlockHeight } = await wallet.connection.getLatestBlockhash(commitment);
+    transaction.recentBlockhash = blockhash;
+    transaction.feePayer = wallet.keypair.publicKey;
+    transaction.sign(...signers);
+
+    try {
+      const result = await sendAndConfirm(wallet.connection, transaction, {
+        ...options,
+        lastValidBlockHeight
+      });
+      return { ...result, attempts: attempt };
+    } catch (e) {
+      if (!(e instanceof TransactionExpiredError) || attempt >= maxAttempts) {
+        throw e;
+      }
+    }
+  }
+}
+
+/**
+ * Check on a transaction sent by an earlier, possibly interrupted, process
+ *
+ * @param {object} sent - { signature, lastValidBlockHeight, sentAt } sentAt bounds the wait
+ *   when lastValidBlockHeight is unknown
+ * @returns {Promise<{ state: 'landed' | 'failed' | 'expired' | 'pending', slot, err }>}
+ *   expired means it never landed and no longer can
+ */
+async function checkSentTransaction(connection, { signature, lastValidBlockHeight, sentAt }) {
+  const { value: [status] } = await connection.getSignatureStatuses([signature], {
+    searchTransactionHistory: true
+  });
+  if (status?.err) {
+    return { state: 'failed', slot: status.slot, err: status.err };
+  }
+  if (isSettled(status, DEFAULT_COMMITMENT)) {
+    return { state: 'landed', slot: status.slot, err: null };
+  }
+  const expired = lastValidBlockHeight
+    ? await connection.getBlockHeight(DEFAULT_COMMITMENT) > lastValidBlockHeight
+    : Date.now() - sentAt > UNKNOWN_EXPIRY_MS;
+  return { state: expired ? 'expired' : 'pending', slot: status?.slot ?? null, err: null };
+}
+
+module.exports = {
+  sendAndConfirm,
+  signAndSendTransaction,
+  waitForSignature,
+  checkSentTransaction,
+  TransactionExpiredError,
+  TransactionFailedError,
+  TransactionUnconfirmedError,
+  DEFAULT_MAX_ATTEMPTS
+};
@@ -8,84 +8,442 @@
  *   GET  /wallet/address      - Get wallet address
  *   GET  /wallet/balance      - Get SOL balance
  *   GET  /wallet/tokens       - Get all token balances
- *   POST /swap/quote          - Get swap quote
- *   POST /swap/execute        - Execute swap
+ *   GET  /wallet/history      - Parsed transaction history (?limit=&cursor=)
+ *   GET  /wallet/events       - Live wallet events as Server-Sent Events, or over a WebSocket
+ *                               when the request upgrades (?since=<event id> replays missed ones)
+ *   POST /swap/quote          - Get swap quote (best across providers, or "provider"; ExactIn or ExactOut)
+ *   POST /swap/execute        - Execute swap (rejected with 422 when a swap guard fails)
+ *   GET  /price?token=        - Token price from Pyth or a swap quote (?source=&quote=)
  *   POST /transfer/sol        - Send SOL
  *   POST /transfer/token      - Send SPL token
  *   POST /stake/delegate      - Stake SOL
  *   GET  /stake/list          - List stake accounts
+ *   GET  /stake/rewards       - Stake rewards and estimated APY (?epochs=)
+ *   POST /stake/unstake       - Deactivate a stake account (or split off amount)
+ *   POST /stake/split         - Move part of a stake account to a new one
+ *   POST /stake/merge         - Merge two compatible stake accounts
+ *   POST /stake/redelegate    - Switch a stake account to another validator
+ *   POST /stake/withdraw      - Withdraw unstaked SOL (all, or amount)
+ *   GET  /wallets             - List wallet profiles
+ *   GET  /tokens?query=       - List or search known tokens
+ *   GET  /validators?sort=    - Live validator directory (score, commission, stake, credits, lag)
+ *   GET  /portfolio           - SOL, tokens and stake valued in USDC (?record=true saves a snapshot)
+ *   GET  /portfolio/history   - Recorded portfolio snapshots and the change in value
+ *   GET  /dca                 - List DCA orders
+ *   POST /dca                 - Create a recurring DCA order
+ *   GET  /dca/:id             - DCA order with its fills
+ *   POST /dca/:id/pause       - Pause a DCA order (also /resume and /cancel)
+ *   GET  /orders?status=      - List take-profit, stop-loss and limit-buy orders
+ *   POST /orders              - Create a take-profit, stop-loss or limit-buy order
+ *   POST /orders/oco          - Create a take-profit and stop-loss pair (one cancels the other)
+ *   GET  /orders/:id          - Order with its execution attempts
+ *   POST /orders/:id/cancel   - Cancel an active order
+ *
+ * The server runs the DCA scheduler and the order engine, executing due
+ * DCA orders and triggered limit orders for every wallet profile.
+ *
+ * Any route can be scoped to a named wallet profile with a /wallets/:name
+ * prefix (e.g. /wallets/bot1/balance, /wallets/bot1/swap/execute) or a
+ * ?wallet=<name> query parameter. Without one, the default profile is used.
+ *
+ * When ~/.config/solana-agent/api-keys.json (or SOLANA_AGENT_API_KEYS) exists,
+ * every route except /health requires `Authorization: Bearer <key>` and the
+ * scope listed in ROUTE_SCOPES.
+ *
+ * Amounts accept whole tokens ("1.5", "1.5 USDC") or base units ("raw:1500000").
+ *
+ * POST routes that sign transactions accept `"dryRun": true` in the body to
+ * simulate instead of sending, `priorityFee` / `maxPriorityFee` to set the
+ * fee strategy, and an `Idempotency-Key` header: the outcome
+ * is journaled on disk and a repeated key returns the stored response.
+ * A transaction whose blockhash expires without landing returns 503 with
+ * code TRANSACTION_EXPIRED; one that landed but failed returns 502 with
+ * code TRANSACTION_FAILED; one sent but not seen confirmed or expired in
+ * time returns 504 with code TRANSACTION_UNCONFIRMED.
  */
 
 const http = require('http');
-const { Wallet } = require('./wallet');
-const { Swapper, TOKENS } = require('./swap');
+const WebSocket = require('ws');
+const { Swapper } = require('./swap');
 const { Transfer } = require('./transfer');
-const { Staking, VALIDATORS } = require('./stake');
-const fs = require('fs');
-const path = require('path');
+const { Staking, StakeError, VALIDATORS } = require('./stake');
+const { ValidatorError } = require('./validators');
+const { SwapProviderError } = require('./providers');
+const { SwapGuardError } = require('./guards');
+const { PolicyError } = require('./policy');
+const { WalletRegistry, loadProfile, profilePassphrase } = require('./profiles');
+const { ApiKeys, AuthError } = require('./auth');
+const { RequestJournal, JournalError, fingerprint } = require('./journal');
+const { TransactionExpiredError, TransactionFailedError, TransactionUnconfirmedError,
+  checkSentTransaction } = require('./sender');
+const { AmountError, toUi, SOL_DECIMALS } = require('./amount');
+const { TokenRegistry, TokenError } = require('./registry');
+const { DcaScheduler, DcaError } = require('./scheduler');
+const { OrderEngine, OrderError } = require('./orders');
+const { Portfolio } = require('./portfolio');
+const { PriceError } = require('./prices');
+const { AccountWatcher } = require('./watcher');
 
 const DEFAULT_PORT = process.env.SOLANA_AGENT_PORT || 3030;
-const DEFAULT_WALLET_PATH = process.env.SOLANA_WALLET_PATH || 
-  path.join(process.env.HOME, '.config', 'solana', 'id.json');
+
+// Comment line sent on idle event streams so proxies keep them open
+const HEARTBEAT_MS = 15 * 1000;
 const RPC_URL = process.env.SOLANA_RPC_URL || 'https://api.mainnet-beta.solana.com';
 
-let wallet = null;
-let swapper = null;
-let transfer = null;
-let staking = null;
+const registry = new WalletRegistry();
+
+// Scope required by each route; unlisted GET routes need "read", anything else "*"
+const ROUTE_SCOPES = {
+  'GET /wallets': 'read',
+  'GET /wallet/address': 'read',
+  'GET /wallet/balance': 'read',
+  'GET /wallet/tokens': 'read',
+  'GET /wallet/history': 'read',
+  'GET /wallet/events': 'read',
+  'GET /stake/list': 'read',
+  'GET /stake/rewards': 'read',
+  'GET /tokens': 'read',
+  'GET /validators': 'read',
+  'POST /swap/quote': 'quote',
+  'GET /price': 'quote',
+  'POST /swap/execute': 'trade',
+  'POST /transfer/sol': 'transfer',
+  'POST /transfer/token': 'transfer',
+  'POST /stake/delegate': 'stake',
+  'POST /stake/unstake': 'stake',
+  'POST /stake/split': 'stake',
+  'POST /stake/merge': 'stake',
+  'POST /stake/redelegate': 'stake',
+  'POST /stake/withdraw': 'stake',
+  'POST /dca': 'trade',
+  'POST /orders': 'trade',
+  'POST /orders/oco': 'trade'
+};
+
+function requiredScope(method, pathname) {
+  // Changing a DCA or limit order needs the same scope as creating one
+  if (method === 'POST' && (/^\/dca\/[^/]+\/(pause|resume|cancel)$/.test(pathname) ||
+    /^\/orders\/[^/]+\/cancel$/.test(pathname))) {
+    return 'trade';
+  }
+  return ROUTE_SCOPES[`${method} ${pathname}`] || (method === 'GET' ? 'read' : '*');
+}
+
+// Scopes whose routes sign and send transactions
+const MUTATING_SCOPES = ['trade', 'transfer', 'stake'];
+
+let apiKeys = null;
+const journal = new RequestJournal();
+
+// Runs DCA orders for every wallet profile while the server is up
+const scheduler = new DcaScheduler({
+  getSwapper: name => getContext(name).swapper,
+  log: message => console.log(message)
+});
+
+// Polls prices for limit orders of every wallet profile while the server is up
+const engine = new OrderEngine({
+  getSwapper: name => getContext(name).swapper,
+  log: message => console.log(message)
+});
+
+const portfolio = new Portfolio();
 
-function loadWallet() {
-  if (!fs.existsSync(DEFAULT_WALLET_PATH)) {
-    throw new Error(`Wallet not found at ${DEFAULT_WALLET_PATH}`);
+// Loaded wallets by profile name: { wallet, swapper, transfer, staking, watcher }
+const contexts = new Map();
+
+/**
+ * Get (loading on first use) the wallet and its modules for a profile
+ */
+function getContext(name) {
+  const profile = registry.resolve(name);
+  if (!contexts.has(profile.name)) {
+    const wallet = loadProfile(profile, {
+      rpcUrl: RPC_URL,
+      passphrase: profilePassphrase(profile.name)
+    });
+    const staking = new Staking(wallet);
+    contexts.set(profile.name, {
+      name: profile.name,
+      wallet,
+      swapper: new Swapper(wallet),
+      transfer: new Transfer(wallet),
+      staking,
+      // Subscribes only while an event stream is open
+      watcher: new AccountWatcher(wallet, { staking })
+    });
   }
-  wallet = Wallet.fromFile(DEFAULT_WALLET_PATH, RPC_URL);
-  swapper = new Swapper(wallet);
-  transfer = new Transfer(wallet);
-  staking = new Staking(wallet);
+  return contexts.get(profile.name);
 }
 
 function parseBody(req) {
-  return new Promise((resolve, reject) => {
-    let body = '';
-    req.on('data', chunk => body += chunk);
-    req.on('end', () => {
-      try {
-        resolve(body ? JSON.parse(body) : {});
-      } catch (e) {
-        reject(new Error('Invalid JSON'));
-      }
+  // Memoized so the idempotency check and the route handler can both read it
+  if (!req.bodyPromise) {
+    req.bodyPromise = new Promise((resolve, reject) => {
+      let body = '';
+      req.on('data', chunk => body += chunk);
+      req.on('end', () => {
+        try {
+          resolve(body ? JSON.parse(body) : {});
+        } catch (e) {
+          reject(new Error('Invalid JSON'));
+        }
+      });
+      req.on('error', reject);
     });
-    req.on('error', reject);
-  });
+  }
+  return req.bodyPromise;
 }
 
-function json(res, data, status = 200) {
-  res.writeHead(status, { 'Content-Type': 'application/json' });
+/**
+ * Options shared by every route that signs a transaction. The signature is
+ * journaled as soon as it is sent so an interrupted request can be settled.
+ */
+function txOptions(body, journalId) {
+  return {
+    dryRun: !!body.dryRun,
+    priorityFee: body.priorityFee,
+    maxPriorityFee: body.maxPriorityFee,
+    onSent: journalId
+      ? (signature, { lastValidBlockHeight } = {}) =>
+        journal.update(journalId, { signature, lastValidBlockHeight: lastValidBlockHeight || null })
+      : undefined
+  };
+}
+
+/**
+ * Provider, swap mode and routing options from a /swap/* body
+ */
+function routeOptions(body) {
+  return {
+    provider: body.provider,
+    swapMode: body.swapMode,
+    onlyDirectRoutes: body.onlyDirectRoutes,
+    dexes: body.dexes,
+    excludeDexes: body.excludeDexes,
+    maxAccounts: body.maxAccounts,
+    dynamicSlippage: body.dynamicSlippage
+  };
+}
+
+function json(res, data, status = 200, headers = {}) {
+  // Kept for the request journal
+  res.jsonBody = data;
+  res.writeHead(status, { 'Content-Type': 'application/json', ...headers });
   res.end(JSON.stringify(data));
 }
 
-function error(res, message, status = 400) {
-  json(res, { success: false, error: message }, status);
+function error(res, message, status = 400, extra = {}) {
+  json(res, { success: false, error: message, ...extra }, status);
+}
+
+/**
+ * Respond from the journal if this idempotency key was seen before.
+ * Returns true when a response was sent, false when the request should proceed.
+ */
+async function replayJournaled(res, id, body, wallet) {
+  let entry = journal.get(id);
+  if (!entry) {
+    return false;
+  }
+  if (entry.fingerprint !== fingerprint(body)) {
+    error(res, 'Idempotency-Key was already used with a different request', 422);
+    return true;
+  }
+
+  // A pending entry from a crashed or failed run: settle it from chain if its signature is known
+  if (journal.isInterrupted(entry) && entry.signature) {
+    const { state, err } = await checkSentTransaction(wallet.connection, entry);
+    if (state === 'landed' || state === 'failed') {
+      entry = journal.complete(id, state === 'failed' ? 'failed' : 'confirmed', {
+        statusCode: state === 'failed' ? 500 : 200,
+        body: state === 'failed'
+          ? { success: false, error: `Transaction failed: ${JSON.stringify(err)}`, signature: entry.signature }
+          : { success: true, signature: entry.signature, recovered: true }
+      });
+    } else if (state === 'expired' && entry.lastValidBlockHeight) {
+      // It can no longer land, so the request is safe to run again
+      journal.release(id);
+      return false;
+    }
+  }
+
+  if (entry.status === 'pending') {
+    error(res, journal.isInterrupted(entry)
+      ? 'A previous attempt with this Idempotency-Key was interrupted and its outcome is unknown; check the signature before retrying with a new key'
+      : 'A request with this Idempotency-Key is still in progress', 409,
+    { status: entry.status, signature: entry.signature });
+    return true;
+  }
+
+  json(res, entry.response.body, entry.response.statusCode, { 'Idempotent-Replayed': 'true' });
+  return true;
+}
+
+/**
+ * Route path and wallet profile name of a request URL
+ */
+function resolveRoute(url) {
+  let pathname = url.pathname;
+  let walletName = url.searchParams.get('wallet');
+
+  // /wallets/:name/<route> runs <route> against a named profile;
+  // /wallets/:name/balance etc. are shorthand for /wallet/balance
+  const scoped = pathname.match(/^\/wallets\/([^/]+)(\/.*)?$/);
+  if (scoped) {
+    walletName = decodeURIComponent(scoped[1]);
+    pathname = scoped[2] || '/wallet/address';
+    if (['/address', '/balance', '/tokens', '/history', '/events'].includes(pathname)) {
+      pathname = `/wallet${pathname}`;
+    }
+  }
+  return { pathname, walletName };
+}
+
+/**
+ * Stream wallet events as Server-Sent Events until the client disconnects.
+ * Each event's id is its watcher sequence number, so a reconnecting
+ * EventSource resumes from Last-Event-ID.
+ */
+async function streamEvents(req, res, watcher, since) {
+  const send = event => res.write(`id: ${event.id}\nevent: ${event.type}\ndata: ${JSON.stringify(event)}\n\n`);
+  let buffered = [];
+  const unsubscribe = await watcher.subscribeEvents(event => buffered ? buffered.push(event) : send(event), { since });
+  if (req.socket.destroyed) {
+    return unsubscribe();
+  }
+
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive'
+  });
+  buffered.splice(0).forEach(send);
+  buffered = null;
+
+  const heartbeat = setInterval(() => res.write(': heartbeat\n\n'), HEARTBEAT_MS);
+  req.on('close', () => {
+    clearInterval(heartbeat);
+    unsubscribe();
+  });
+}
+
+const eventSockets = new WebSocket.Server({ noServer: true });
+
+/**
+ * Accept a WebSocket on /wallet/events with the same authentication and
+ * wallet selection as HTTP routes; each event is sent as a JSON message
+ */
+async function handleUpgrade(req, socket, head) {
+  const reject = (status, message) => {
+    socket.end(`HTTP/1.1 ${status} ${http.STATUS_CODES[status]}\r\nContent-Type: application/json\r\n` +
+      `Connection: close\r\n\r\n${JSON.stringify({ success: false, error: message })}`);
+  };
+
+  try {
+    const url = new URL(req.url, `http://${req.headers.host}`);
+    const { pathname, walletName } = resolveRoute(url);
+    if (pathname !== '/wallet/events') {
+      return reject(404, 'Not found');
+    }
+    if (apiKeys) {
+      apiKeys.authorize(apiKeys.authenticate(req.headers.authorization), requiredScope('GET', pathname),
+        registry.resolve(walletName && registry.has(walletName) ? walletName : null).name);
+    }
+    if (walletName && !registry.has(walletName)) {
+      return reject(404, `Unknown wallet: ${walletName}`);
+    }
+
+    const { watcher } = getContext(walletName);
+    const buffered = [];
+    let ws = null;
+    const send = event => ws.readyState === WebSocket.OPEN && ws.send(JSON.stringify(event));
+    const unsubscribe = await watcher.subscribeEvents(event => ws ? send(event) : buffered.push(event),
+      { since: url.searchParams.get('since') ?? undefined });
+    if (socket.destroyed) {
+      return unsubscribe();
+    }
+    socket.once('close', unsubscribe);
+
+    eventSockets.handleUpgrade(req, socket, head, accepted => {
+      ws = accepted;
+      buffered.forEach(send);
+    });
+  } catch (e) {
+    reject(e instanceof AuthError ? e.status : 500, e.message);
+  }
 }
 
 async function handleRequest(req, res) {
   const url = new URL(req.url, `http://${req.headers.host}`);
-  const pathname = url.pathname;
   const method = req.method;
+  const { pathname, walletName } = resolveRoute(url);
+
+  let journalId = null;
 
   try {
     // Health check
     if (pathname === '/health' && method === 'GET') {
       return json(res, { 
         status: 'ok', 
-        wallet: wallet?.address || null,
+        wallet: contexts.get(registry.resolve(null).name)?.wallet.address || null,
         version: '1.0.0'
       });
     }
 
-    // Ensure wallet is loaded for other endpoints
-    if (!wallet) {
-      return error(res, 'Wallet not loaded', 500);
+    // Everything below /health needs a key with the route's scope
+    let apiKey = null;
+    if (apiKeys) {
+      apiKey = apiKeys.authenticate(req.headers.authorization);
+      apiKeys.authorize(apiKey, requiredScope(method, pathname), registry.resolve(
+        walletName && registry.has(walletName) ? walletName : null
+      ).name);
+    }
+
+    if (pathname === '/wallets' && method === 'GET') {
+      return json(res, {
+        // Keys limited to some wallets only see those
+        wallets: registry.list().filter(p => !apiKey || apiKeys.canUseWallet(apiKey, p.name)).map(p => ({
+          name: p.name,
+          default: p.default,
+          loaded: contexts.has(p.name),
+          address: contexts.get(p.name)?.wallet.address || null
+        }))
+      });
+    }
+
+    if (walletName && !registry.has(walletName)) {
+      return error(res, `Unknown wallet: ${walletName}`, 404);
+    }
+
+    // Load the selected wallet for other endpoints
+    let context;
+    try {
+      context = getContext(walletName);
+    } catch (e) {
+      return error(res, `Wallet not loaded: ${e.message}`, 500);
+    }
+    const { wallet, swapper, transfer, staking } = context;
+
+    const idempotencyKey = req.headers['idempotency-key'];
+    if (idempotencyKey && MUTATING_SCOPES.includes(requiredScope(method, pathname))) {
+      const body = await parseBody(req);
+      if (!body.dryRun) {
+        const id = [apiKey?.name || '-', context.name, `${method} ${pathname}`, idempotencyKey].join(':');
+        if (await replayJournaled(res, id, body, wallet)) {
+          return;
+        }
+        try {
+          journal.begin(id, { key: idempotencyKey, route: `${method} ${pathname}`, fingerprint: fingerprint(body) });
+        } catch (e) {
+          if (e instanceof JournalError) {
+            // Begun by a concurrent request with the same key since the lookup above
+            return error(res, 'A request with this Idempotency-Key is still in progress', 409, { status: 'pending' });
+          }
+          throw e;
+        }
+        journalId = id;
+      }
     }
 
     // Wallet endpoints
@@ -93,9 +451,19 @@ async function handleRequest(req, res) {
       return json(res, { address: wallet.address });
     }
 
+    if (pathname === '/wallet/events' && method === 'GET') {
+      const since = req.headers['last-event-id'] ?? url.searchParams.get('since') ?? undefined;
+      return await streamEvents(req, res, context.watcher, since);
+    }
+
     if (pathname === '/wallet/balance' && method === 'GET') {
-      const balance = await wallet.getBalance();
-      return json(res, { address: wallet.address, balance, unit: 'SOL' });
+      const lamports = await wallet.getLamports();
+      return json(res, {
+        address: wallet.address,
+        balance: toUi(lamports, SOL_DECIMALS),
+        lamports: lamports.toString(),
+        unit: 'SOL'
+      });
     }
 
     if (pathname === '/wallet/tokens' && method === 'GET') {
@@ -103,13 +471,23 @@ async function handleRequest(req, res) {
       return json(res, { address: wallet.address, tokens });
     }
 
+    // ?limit=20&before=<cursor> pages backwards; nextCursor is null on the last page
+    if (pathname === '/wallet/history' && method === 'GET') {
+      const history = await wallet.getHistory({
+        limit: url.searchParams.get('limit'),
+        before: url.searchParams.get('cursor') || url.searchParams.get('before'),
+        until: url.searchParams.get('until')
+      });
+      return json(res, { address: wallet.address, ...history });
+    }
+
     // Swap endpoints
     if (pathname === '/swap/quote' && method === 'POST') {
       const body = await parseBody(req);
       if (!body.from || !body.to || !body.amount) {
         return error(res, 'Missing required fields: from, to, amount');
       }
-      const quote = await swapper.getQuote(body.from, body.to, body.amount, body.slippage || 50);
+      const quote = await swapper.getQuote(body.from, body.to, body.amount, body.slippage ?? 50, routeOptions(body));
       return json(res, { success: true, quote });
     }
 
@@ -118,7 +496,15 @@ async function handleRequest(req, res) {
       if (!body.from || !body.to || !body.amount) {
         return error(res, 'Missing required fields: from, to, amount');
       }
-      const result = await swapper.swap(body.from, body.to, body.amount, body.slippage || 50);
+      const result = await swapper.swap(body.from, body.to, body.amount, body.slippage ?? 50, {
+        ...txOptions(body, journalId),
+        ...routeOptions(body),
+        quote: body.quote,
+        minOutput: body.minOutput,
+        maxPriceImpact: body.maxPriceImpact,
+        maxQuoteAge: body.maxQuoteAge,
+        maxPriceDeviation: body.maxPriceDeviation
+      });
       return json(res, { success: true, ...result });
     }
 
@@ -127,8 +513,27 @@ async function handleRequest(req, res) {
       if (!token) {
         return error(res, 'Missing token parameter');
       }
-      const price = await swapper.getPrice(token);
-      return json(res, { token, price, unit: 'USDC' });
+      const unit = url.searchParams.get('quote') || 'USDC';
+      const { price, ...details } = await swapper.getPrice(token, unit, { source: url.searchParams.get('source') });
+      return json(res, { token, price, unit, ...details });
+    }
+
+    // Portfolio endpoints
+    if (pathname === '/portfolio' && method === 'GET') {
+      return json(res, await portfolio.getSnapshot(wallet, {
+        swapper,
+        staking,
+        includeStake: url.searchParams.get('stake') !== 'false',
+        record: url.searchParams.get('record') === 'true'
+      }));
+    }
+
+    if (pathname === '/portfolio/history' && method === 'GET') {
+      const since = url.searchParams.get('since');
+      if (since && !Number.isFinite(Date.parse(since))) {
+        return error(res, `Invalid since date: ${since}`);
+      }
+      return json(res, portfolio.getHistory(wallet.address, { limit: url.searchParams.get('limit'), since }));
     }
 
     // Transfer endpoints
@@ -137,16 +542,16 @@ async function handleRequest(req, res) {
       if (!body.to || !body.amount) {
         return error(res, 'Missing required fields: to, amount');
       }
-      const result = await transfer.sendSol(body.to, parseFloat(body.amount));
+      const result = await transfer.sendSol(body.to, body.amount, txOptions(body, journalId));
       return json(res, { success: true, ...result });
     }
 
     if (pathname === '/transfer/token' && method === 'POST') {
       const body = await parseBody(req);
-      if (!body.to || !body.amount || !body.mint) {
-        return error(res, 'Missing required fields: to, amount, mint');
+      if (!body.to || !body.amount) {
+        return error(res, 'Missing required fields: to, amount (and mint unless the amount names the token)');
       }
-      const result = await transfer.sendToken(body.to, body.amount, body.mint);
+      const result = await transfer.sendToken(body.to, body.amount, body.mint, txOptions(body, journalId));
       return json(res, { success: true, ...result });
     }
 
@@ -156,7 +561,11 @@ async function handleRequest(req, res) {
       if (!body.validator || !body.amount) {
         return error(res, 'Missing required fields: validator, amount');
       }
-      const result = await staking.stake(body.validator, parseFloat(body.amount));
+      const result = await staking.stake(body.validator, body.amount, {
+        ...txOptions(body, journalId),
+        force: body.force === true,
+        maxCommission: body.maxCommission
+      });
       return json(res, { success: true, ...result });
     }
 
@@ -165,16 +574,55 @@ async function handleRequest(req, res) {
       return json(res, { 
         address: wallet.address, 
         stakeAccounts: accounts,
-        totalStaked: accounts.reduce((sum, a) => sum + a.sol, 0)
+        totalStaked: toUi(accounts.reduce((sum, a) => sum + BigInt(a.lamports), 0n), SOL_DECIMALS)
       });
     }
 
+    if (pathname === '/stake/rewards' && method === 'GET') {
+      const rewards = await staking.getStakeRewards({ epochs: url.searchParams.get('epochs') });
+      return json(res, { address: wallet.address, ...rewards });
+    }
+
     if (pathname === '/stake/unstake' && method === 'POST') {
       const body = await parseBody(req);
       if (!body.stakeAccount) {
         return error(res, 'Missing required field: stakeAccount');
       }
-      const result = await staking.unstake(body.stakeAccount);
+      const result = await staking.unstake(body.stakeAccount, { ...txOptions(body, journalId), amount: body.amount });
+      return json(res, { success: true, ...result });
+    }
+
+    if (pathname === '/stake/split' && method === 'POST') {
+      const body = await parseBody(req);
+      if (!body.stakeAccount || !body.amount) {
+        return error(res, 'Missing required fields: stakeAccount, amount');
+      }
+      const result = await staking.split(body.stakeAccount, body.amount, {
+        ...txOptions(body, journalId),
+        deactivate: body.deactivate === true
+      });
+      return json(res, { success: true, ...result });
+    }
+
+    if (pathname === '/stake/merge' && method === 'POST') {
+      const body = await parseBody(req);
+      if (!body.destination || !body.source) {
+        return error(res, 'Missing required fields: destination, source');
+      }
+      const result = await staking.merge(body.destination, body.source, txOptions(body, journalId));
+      return json(res, { success: true, ...result });
+    }
+
+    if (pathname === '/stake/redelegate' && method === 'POST') {
+      const body = await parseBody(req);
+      if (!body.stakeAccount || !body.validator) {
+        return error(res, 'Missing required fields: stakeAccount, validator');
+      }
+      const result = await staking.redelegate(body.stakeAccount, body.validator, {
+        ...txOptions(body, journalId),
+        force: body.force === true,
+        maxCommission: body.maxCommission
+      });
       return json(res, { success: true, ...result });
     }
 
@@ -183,18 +631,111 @@ async function handleRequest(req, res) {
       if (!body.stakeAccount) {
         return error(res, 'Missing required field: stakeAccount');
       }
-      const result = await staking.withdraw(body.stakeAccount);
+      const result = await staking.withdraw(body.stakeAccount, { ...txOptions(body, journalId), amount: body.amount });
       return json(res, { success: true, ...result });
     }
 
-    // Token list
+    // Token registry, optionally filtered with ?query=
     if (pathname === '/tokens' && method === 'GET') {
-      return json(res, TOKENS);
+      const tokens = TokenRegistry.default();
+      const query = url.searchParams.get('query');
+      return json(res, { tokens: query ? tokens.search(query) : tokens.list() });
     }
 
-    // Validators list
+    // Known validators, or the live directory with ?live=true or ?sort=
     if (pathname === '/validators' && method === 'GET') {
-      return json(res, VALIDATORS);
+      const sort = url.searchParams.get('sort');
+      if (!sort && url.searchParams.get('live') !== 'true') {
+        return json(res, VALIDATORS);
+      }
+      return json(res, await staking.validators.list({
+        sort: sort || 'score',
+        limit: url.searchParams.get('limit') || 50,
+        includeDelinquent: url.searchParams.get('delinquent') === 'true'
+      }));
+    }
+
+    // DCA orders for the selected wallet
+    if (pathname === '/dca' && method === 'GET') {
+      return json(res, { orders: scheduler.list({ wallet: context.name }) });
+    }
+
+    if (pathname === '/dca' && method === 'POST') {
+      const body = await parseBody(req);
+      if (!body.from || !body.to || !body.amount || !body.interval) {
+        return error(res, 'Missing required fields: from, to, amount, interval');
+      }
+      const order = await scheduler.create(swapper, {
+        ...routeOptions(body),
+        wallet: context.name,
+        from: body.from,
+        to: body.to,
+        amount: body.amount,
+        interval: body.interval,
+        startAt: body.startAt,
+        endAt: body.endAt,
+        maxRuns: body.maxRuns,
+        catchUp: body.catchUp,
+        slippageBps: body.slippage,
+        maxPriceImpact: body.maxPriceImpact,
+        maxPriceDeviation: body.maxPriceDeviation
+      });
+      return json(res, { success: true, order });
+    }
+
+    const dcaRoute = pathname.match(/^\/dca\/([^/]+)(?:\/(pause|resume|cancel))?$/);
+    if (dcaRoute && method === (dcaRoute[2] ? 'POST' : 'GET')) {
+      const [, id, action] = dcaRoute;
+      if (!action) {
+        return json(res, scheduler.get(id, { wallet: context.name }));
+      }
+      return json(res, { success: true, order: scheduler[action](id, { wallet: context.name }) });
+    }
+
+    // Take-profit, stop-loss and limit-buy orders for the selected wallet
+    if (pathname === '/orders' && method === 'GET') {
+      return json(res, { orders: engine.list({ wallet: context.name, status: url.searchParams.get('status') }) });
+    }
+
+    if ((pathname === '/orders' || pathname === '/orders/oco') && method === 'POST') {
+      const body = await parseBody(req);
+      const oco = pathname === '/orders/oco';
+      const missing = oco
+        ? !body.token || !body.amount || !body.takeProfit || !body.stopLoss
+        : !body.type || !body.token || !body.amount || !body.price;
+      if (missing) {
+        return error(res, `Missing required fields: ${oco ? 'token, amount, takeProfit, stopLoss' : 'type, token, amount, price'}`);
+      }
+      const params = {
+        ...routeOptions(body),
+        wallet: context.name,
+        token: body.token,
+        amount: body.amount,
+        quote: body.quote,
+        expiresAt: body.expiresAt,
+        priceMode: body.priceMode,
+        maxAttempts: body.maxAttempts,
+        slippageBps: body.slippage,
+        maxPriceImpact: body.maxPriceImpact,
+        maxPriceDeviation: body.maxPriceDeviation
+      };
+      if (oco) {
+        return json(res, {
+          success: true,
+          ...await engine.createOco(swapper, { ...params, takeProfit: body.takeProfit, stopLoss: body.stopLoss })
+        });
+      }
+      const order = await engine.create(swapper, { ...params, type: body.type, triggerPrice: body.price });
+      return json(res, { success: true, order });
+    }
+
+    const orderRoute = pathname.match(/^\/orders\/([^/]+)(\/cancel)?$/);
+    if (orderRoute && method === (orderRoute[2] ? 'POST' : 'GET')) {
+      const [, id, cancel] = orderRoute;
+      if (!cancel) {
+        return json(res, engine.get(id, { wallet: context.name }));
+      }
+      return json(res, { success: true, order: engine.cancel(id, { wallet: context.name }) });
     }
 
     // 404
@@ -202,20 +743,95 @@ async function handleRequest(req, res) {
 
   } catch (e) {
     console.error('Error:', e.message);
+    if (e instanceof AuthError) {
+      return json(res, { success: false, error: e.message, code: e.code, details: e.details }, e.status,
+        e.status === 401 ? { 'WWW-Authenticate': 'Bearer' } : {});
+    }
+    if (e instanceof PolicyError) {
+      return error(res, e.message, 403, { code: e.code, details: e.details });
+    }
+    if (e instanceof AmountError || e instanceof TokenError || e instanceof StakeError ||
+      e instanceof ValidatorError) {
+      return error(res, e.message, 400, { code: e.code, details: e.details });
+    }
+    if (e instanceof DcaError || e instanceof OrderError) {
+      return error(res, e.message, e.code === 'ORDER_NOT_FOUND' ? 404 : 400, { code: e.code, details: e.details });
+    }
+    if (e instanceof SwapGuardError) {
+      return error(res, e.message, 422, { code: e.code, details: e.details });
+    }
+    if (e instanceof PriceError) {
+      // Unusable oracle data or no quote is an upstream problem
+      return error(res, e.message, ['UNKNOWN_SOURCE', 'NO_FEED'].includes(e.code) ? 400 : 502,
+        { code: e.code, details: e.details });
+    }
+    if (e instanceof SwapProviderError) {
+      // Every provider failing to quote is an upstream outage
+      return error(res, e.message, e.code === 'NO_QUOTE' ? 502 : 400, { code: e.code, details: e.details });
+    }
+    if (e instanceof TransactionExpiredError) {
+      return error(res, e.message, 503, { code: e.code, retryable: true, details: e.details });
+    }
+    if (e instanceof TransactionFailedError) {
+      return error(res, e.message, 502, { code: e.code, retryable: false, details: e.details });
+    }
+    if (e instanceof TransactionUnconfirmedError) {
+      return error(res, e.message, 504, { code: e.code, retryable: false, details: e.details });
+    }
     return error(res, e.message, 500);
+  } finally {
+    if (journalId) {
+      // Requests rejected before sending (4xx), that failed before anything was sent
+      // (e.g. an RPC or quote outage), or whose transaction expired without landing
+      // free the key for a retry
+      const sent = Boolean(journal.get(journalId)?.signature);
+      if ((res.statusCode >= 400 && res.statusCode < 500) || (res.statusCode >= 500 && !sent) ||
+        res.jsonBody?.code === 'TRANSACTION_EXPIRED') {
+        journal.release(journalId);
+      } else if (res.statusCode >= 500 && res.jsonBody?.code !== 'TRANSACTION_FAILED') {
+        // Sent, but the error left the outcome unknown: a repeat settles it from chain
+        journal.abandon(journalId);
+      } else {
+        journal.complete(journalId, res.statusCode < 400 ? 'confirmed' : 'failed', {
+          statusCode: res.statusCode,
+          body: res.jsonBody
+        });
+      }
+    }
   }
 }
 
 function startServer(port = DEFAULT_PORT) {
+  apiKeys = ApiKeys.load();
+  if (apiKeys) {
+    console.log(`API key authentication enabled (${apiKeys.keys.length} keys)`);
+  } else {
+    console.error('Warning: no API keys configured, the server is unauthenticated.');
+  }
+
   try {
-    loadWallet();
-    console.log(`Wallet loaded: ${wallet.address}`);
+    const { name, wallet } = getContext(null);
+    console.log(`Wallet loaded: ${wallet.address} (${name})`);
+    if (wallet.policy) {
+      console.log('Spending policy enabled');
+    }
+    if (registry.list().length > 1) {
+      console.log('Other wallet profiles load on first use: /wallets/:name/...');
+    }
   } catch (e) {
     console.error(`Warning: ${e.message}`);
     console.error('Server will start but wallet operations will fail.');
   }
 
+  const activeOrders = scheduler.list().filter(o => o.status === 'active').length;
+  scheduler.start();
+  console.log(`DCA scheduler running (${activeOrders} active orders)`);
+  const openOrders = engine.list().filter(o => ['active', 'triggered'].includes(o.status)).length;
+  engine.start();
+  console.log(`Order engine running (${openOrders} open orders)`);
+
   const server = http.createServer(handleRequest);
+  server.on('upgrade', handleUpgrade);
   
   server.listen(port, () => {
     console.log(`Solana Agent Kit server running on http://localhost:${port}`);
@@ -225,6 +841,8 @@ function startServer(port = DEFAULT_PORT) {
     console.log('  GET  /wallet/address      Get wallet address');
     console.log('  GET  /wallet/balance      Get SOL balance');
     console.log('  GET  /wallet/tokens       Get all token balances');
+    console.log('  GET  /wallet/history      Transaction history');
+    console.log('  GET  /wallet/events       Live wallet events (SSE or WebSocket)');
     console.log('  POST /swap/quote          Get swap quote');
     console.log('  POST /swap/execute        Execute swap');
     console.log('  GET  /price?token=SOL     Get token price');
@@ -232,8 +850,27 @@ function startServer(port = DEFAULT_PORT) {
     console.log('  POST /transfer/token      Send SPL token');
     console.log('  POST /stake/delegate      Stake SOL');
     console.log('  GET  /stake/list          List stake accounts');
+    console.log('  GET  /stake/rewards       Stake rewards and APY');
     console.log('  POST /stake/unstake       Start unstaking');
+    console.log('  POST /stake/split         Split a stake account');
+    console.log('  POST /stake/merge         Merge stake accounts');
+    console.log('  POST /stake/redelegate    Switch validator');
     console.log('  POST /stake/withdraw      Withdraw unstaked');
+    console.log('  GET  /wallets             List wallet profiles');
+    console.log('  GET  /tokens?query=       List or search known tokens');
+    console.log('  GET  /validators?sort=    Live validator directory');
+    console.log('  GET  /portfolio           Portfolio valued in USDC');
+    console.log('  GET  /portfolio/history   Recorded portfolio snapshots');
+    console.log('  GET  /dca                 List DCA orders');
+    console.log('  POST /dca                 Create a DCA order');
+    console.log('  GET  /dca/:id             DCA order with its fills');
+    console.log('  POST /dca/:id/pause       Pause (or /resume, /cancel) a DCA order');
+    console.log('  GET  /orders              List limit orders');
+    console.log('  POST /orders              Create a take-profit, stop-loss or limit-buy order');
+    console.log('  POST /orders/oco          Create a take-profit/stop-loss pair');
+    console.log('  GET  /orders/:id          Order with its execution attempts');
+    console.log('  POST /orders/:id/cancel   Cancel an order');
+    console.log('  *    /wallets/:name/...   Any route for a named wallet');
   });
 
   return server;
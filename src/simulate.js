@@ -0,0 +1,87 @@
+/**
+ * Solana Agent Kit - Transaction Simulation
+ * Dry-run a transaction and report its fee, compute usage, logs and balance deltas
+ */
+
+const { Transaction, VersionedTransaction, PublicKey, LAMPORTS_PER_SOL } = require('@solana/web3.js');
+
+// SPL token account layout: mint (0..32), owner (32..64), amount (64..72)
+const TOKEN_AMOUNT_OFFSET = 64;
+
+function decodeAccount(account) {
+  if (!account) {
+    return null;
+  }
+  const data = Array.isArray(account.data)
+    ? Buffer.from(account.data[0], 'base64')
+    : Buffer.from(account.data);
+  return { lamports: BigInt(account.lamports), data };
+}
+
+function tokenAmount(account) {
+  if (!account || account.data.length < TOKEN_AMOUNT_OFFSET + 8) {
+    return 0n;
+  }
+  return account.data.readBigUInt64LE(TOKEN_AMOUNT_OFFSET);
+}
+
+/**
+ * Simulate a legacy or versioned transaction without signing or sending it
+ *
+ * @param {Wallet} wallet - Fee payer and owner of the watched accounts
+ * @param {Transaction|VersionedTransaction} transaction
+ * @param {object} options - { tokenAccounts: [{ address, mint }] } wallet token accounts to diff
+ */
+async function simulateTransaction(wallet, transaction, { tokenAccounts = [] } = {}) {
+  const connection = wallet.connection;
+
+  let versioned = transaction;
+  if (transaction instanceof Transaction) {
+    transaction.feePayer = transaction.feePayer || wallet.keypair.publicKey;
+    if (!transaction.recentBlockhash) {
+      transaction.recentBlockhash = (await connection.getLatestBlockhash()).blockhash;
+    }
+    versioned = new VersionedTransaction(transaction.compileMessage());
+  }
+
+  const watched = [
+    { address: wallet.address, mint: 'SOL' },
+    ...tokenAccounts.map(t => ({ address: t.address.toString(), mint: t.mint.toString() }))
+  ];
+  const addresses = watched.map(w => w.address);
+
+  const preAccounts = await connection.getMultipleAccountsInfo(addresses.map(a => new PublicKey(a)));
+  const { value } = await connection.simulateTransaction(versioned, {
+    sigVerify: false,
+    replaceRecentBlockhash: true,
+    accounts: { encoding: 'base64', addresses }
+  });
+  const { value: fee } = await connection.getFeeForMessage(versioned.message);
+
+  const balanceChanges = watched.map((w, i) => {
+    const pre = decodeAccount(preAccounts[i]);
+    const post = decodeAccount(value.accounts?.[i]);
+    const preAmount = w.mint === 'SOL' ? (pre?.lamports || 0n) : tokenAmount(pre);
+    const postAmount = w.mint === 'SOL' ? (post?.lamports || 0n) : tokenAmount(post);
+    return {
+      account: w.address,
+      mint: w.mint,
+      pre: preAmount.toString(),
+      post: postAmount.toString(),
+      delta: (postAmount - preAmount).toString()
+    };
+  });
+
+  return {
+    dryRun: true,
+    success: !value.err,
+    error: value.err || null,
+    fee,
+    feeSol: fee != null ? fee / LAMPORTS_PER_SOL : null,
+    unitsConsumed: value.unitsConsumed ?? null,
+    logs: value.logs || [],
+    balanceChanges
+  };
+}
+
+module.exports = { simulateTransaction };
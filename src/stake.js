@@ -1,6 +1,7 @@
 /**
  * Solana Agent Kit - Staking Module
- * Native SOL staking to validators
+ * Native SOL staking to validators: delegate, split, merge, redelegate,
+ * unstake and withdraw, with stake state checked before anything is sent
  */
 
 const {
@@ -9,40 +10,250 @@ const {
   StakeProgram,
   Authorized,
   Lockup,
-  LAMPORTS_PER_SOL,
-  sendAndConfirmTransaction,
   Keypair
 } = require('@solana/web3.js');
+const { simulateTransaction } = require('./simulate');
+const { applyPriorityFee } = require('./fees');
+const { signAndSendTransaction } = require('./sender');
+const { resolveAmount, toUi, SOL_DECIMALS } = require('./amount');
+const { getStakeHistory, stakeActivation, U64_MAX } = require('./activation');
+const { ValidatorDirectory, VALIDATORS } = require('./validators');
 
-// Popular validators (can be expanded)
-const VALIDATORS = {
-  'jito': 'J1to1yufRnoWn81KYg1XkTWzmKjnYSnmE2VY8DGUJ9Qv',
-  'marinade': 'mrgn28BhocwdAUEenen3Sw2MR9cPKDpLkDvzDdR7DBD',
-  'solflare': 'SoLFLaReRVNagJzYYGppSkqzkhmHZ5ZR8EUpzqLEAaL',
-  'everstake': 'EverSFw9uN5t1V8kS3ficHUcKffSjwpGzUSGd7mgmSks'
-};
+const DEFAULT_REWARD_EPOCHS = 5;
+const MAX_REWARD_EPOCHS = 20;
+
+// Used for epoch length when the RPC has no performance samples
+const DEFAULT_SLOT_SECONDS = 0.4;
+const SECONDS_PER_YEAR = 365.25 * 24 * 60 * 60;
+
+/**
+ * A stake account is missing, not ours, or in the wrong state for an operation
+ */
+class StakeError extends Error {
+  /**
+   * @param {string} code - STAKE_ACCOUNT_NOT_FOUND, NOT_STAKE_ACCOUNT, NOT_AUTHORIZED,
+   *   INVALID_STAKE_STATE, INSUFFICIENT_STAKE, LOCKUP_IN_FORCE or INCOMPATIBLE_STAKE_ACCOUNTS
+   */
+  constructor(code, message, details = {}) {
+    super(message);
+    this.name = 'StakeError';
+    this.code = code;
+    this.details = details;
+  }
+}
+
+/**
+ * Parse a stake account and compute its activation at an epoch
+ *
+ * @returns {object} { address, lamports, rentExemptReserve, staker, withdrawer, lockup, voter,
+ *   delegatedStake, effectiveStake, activatingStake, deactivatingStake, activationEpoch,
+ *   deactivationEpoch, state, epoch } amounts as bigint lamports
+ * @throws {StakeError} NOT_STAKE_ACCOUNT
+ */
+function parseStakeAccount(pubkey, account, epoch, history) {
+  const parsed = account.data?.parsed;
+  if (!account.owner.equals(StakeProgram.programId) || !['initialized', 'delegated'].includes(parsed?.type)) {
+    throw new StakeError('NOT_STAKE_ACCOUNT', `${pubkey.toBase58()} is not an initialized stake account`,
+      { stakeAccount: pubkey.toBase58(), owner: account.owner.toBase58() });
+  }
+
+  const { meta, stake } = parsed.info;
+  const delegation = parsed.type === 'delegated' ? stake.delegation : null;
+  const activation = stakeActivation(delegation, epoch, history);
+  return {
+    address: pubkey.toBase58(),
+    lamports: BigInt(account.lamports),
+    rentExemptReserve: BigInt(meta.rentExemptReserve),
+    staker: meta.authorized.staker,
+    withdrawer: meta.authorized.withdrawer,
+    lockup: meta.lockup,
+    voter: delegation?.voter || null,
+    delegatedStake: delegation ? BigInt(delegation.stake) : 0n,
+    effectiveStake: activation.effective,
+    activatingStake: activation.activating,
+    deactivatingStake: activation.deactivating,
+    activationEpoch: delegation ? Number(delegation.activationEpoch) : null,
+    deactivationEpoch: delegation && delegation.deactivationEpoch !== U64_MAX
+      ? Number(delegation.deactivationEpoch)
+      : null,
+    state: activation.state,
+    epoch
+  };
+}
+
+/**
+ * Lamports the stake program lets the withdrawer take now. Until deactivation
+ * the whole delegation is locked; after it, whatever hasn't cooled down yet.
+ * With nothing locked the account can be emptied and closed.
+ */
+function withdrawableLamports(account) {
+  let locked = 0n;
+  if (account.activationEpoch !== null) {
+    locked = account.deactivationEpoch === null || account.epoch < account.deactivationEpoch
+      ? account.delegatedStake
+      : account.effectiveStake;
+  }
+  if (locked === 0n) {
+    return account.lamports;
+  }
+  const free = account.lamports - locked - account.rentExemptReserve;
+  return free > 0n ? free : 0n;
+}
+
+/**
+ * JSON-friendly view of a parsed stake account, amounts in SOL
+ */
+function describeStakeAccount(account) {
+  const sol = lamports => toUi(lamports, SOL_DECIMALS);
+  const withdrawable = withdrawableLamports(account);
+  return {
+    address: account.address,
+    lamports: Number(account.lamports),
+    sol: sol(account.lamports),
+    state: account.state,
+    validator: account.voter,
+    activationEpoch: account.activationEpoch,
+    deactivationEpoch: account.deactivationEpoch,
+    stake: {
+      delegated: sol(account.delegatedStake),
+      effective: sol(account.effectiveStake),
+      activating: sol(account.activatingStake),
+      deactivating: sol(account.deactivatingStake)
+    },
+    withdrawable: sol(withdrawable),
+    withdrawableRaw: withdrawable.toString()
+  };
+}
+
+/**
+ * Directory details reported with a delegation; null for a forced unknown vote account
+ */
+function validatorInfo(entry) {
+  if (entry.unknown) {
+    return null;
+  }
+  return {
+    name: entry.name,
+    commission: entry.commission,
+    score: entry.score,
+    delinquent: entry.delinquent
+  };
+}
+
+/**
+ * Annualized yield in percent from per-epoch reward rates, compounding every epoch
+ */
+function estimateApy(rewards, epochsPerYear) {
+  const rates = rewards
+    .map(r => ({ reward: BigInt(r.amountRaw), before: BigInt(r.postBalanceRaw) - BigInt(r.amountRaw) }))
+    .filter(r => r.before > 0n)
+    .map(r => Number(r.reward) / Number(r.before));
+  if (!rates.length) {
+    return null;
+  }
+  const mean = rates.reduce((sum, rate) => sum + rate, 0) / rates.length;
+  return Number((((1 + mean) ** epochsPerYear - 1) * 100).toFixed(2));
+}
 
 class Staking {
   constructor(wallet) {
     this.wallet = wallet;
+    this.validators = new ValidatorDirectory(wallet.connection);
+  }
+
+  /**
+   * Choose the vote account to delegate to: 'auto' picks the best-scoring
+   * healthy validator, names and addresses are checked against the live
+   * validator set
+   *
+   * @param {object} options - { force, maxCommission } force accepts unknown or delinquent vote accounts
+   * @returns {Promise<object>} validator directory entry
+   */
+  async selectValidator(validatorOrAddress, options = {}) {
+    if (validatorOrAddress.toLowerCase() === 'auto') {
+      return this.validators.pick(options);
+    }
+    return this.validators.resolve(validatorOrAddress, options);
+  }
+
+  /**
+   * Read a stake account's balances, authorities, delegation and activation
+   *
+   * @returns {Promise<object>} See parseStakeAccount
+   * @throws {StakeError} STAKE_ACCOUNT_NOT_FOUND or NOT_STAKE_ACCOUNT
+   */
+  async loadStakeAccount(address) {
+    const pubkey = new PublicKey(address);
+    const [{ value: account }, { epoch }, history] = await Promise.all([
+      this.wallet.connection.getParsedAccountInfo(pubkey),
+      this.wallet.connection.getEpochInfo(),
+      getStakeHistory(this.wallet.connection)
+    ]);
+    if (!account) {
+      throw new StakeError('STAKE_ACCOUNT_NOT_FOUND', `Stake account not found: ${pubkey.toBase58()}`,
+        { stakeAccount: pubkey.toBase58() });
+    }
+    return parseStakeAccount(pubkey, account, epoch, history);
   }
 
   /**
-   * Resolve validator name or vote account address
+   * Require this wallet to be the account's staker or withdrawer
    */
-  resolveValidator(validatorOrAddress) {
-    if (VALIDATORS[validatorOrAddress.toLowerCase()]) {
-      return VALIDATORS[validatorOrAddress.toLowerCase()];
+  requireAuthority(account, role) {
+    if (account[role] !== this.wallet.address) {
+      throw new StakeError('NOT_AUTHORIZED', `This wallet is not the ${role} of ${account.address}`,
+        { stakeAccount: account.address, [role]: account[role] });
     }
-    return validatorOrAddress;
+  }
+
+  /**
+   * Apply the priority fee, then simulate (dryRun) or sign and send
+   *
+   * @param {object} fields - Operation details merged into the result
+   */
+  async execute(transaction, signers, options, fields) {
+    const priorityFee = await applyPriorityFee(
+      this.wallet.connection,
+      transaction,
+      this.wallet.keypair.publicKey,
+      options
+    );
+
+    if (options.dryRun) {
+      const simulation = await simulateTransaction(this.wallet, transaction);
+      return { ...simulation, priorityFee, ...fields };
+    }
+
+    const { signature, status, slot } = await signAndSendTransaction(
+      this.wallet,
+      transaction,
+      signers,
+      options
+    );
+
+    return {
+      signature,
+      ...fields,
+      status,
+      slot,
+      priorityFee,
+      explorerUrl: `https://solscan.io/tx/${signature}`
+    };
   }
 
   /**
    * Create a stake account and delegate to a validator
+   *
+   * @param {string} validatorVoteAccount - Vote account, known validator name or 'auto'
+   * @param {string|number|bigint} amountSol - SOL amount, e.g. 1.5, "1.5 SOL" or "raw:1500000000"
+   * @param {object} options - { force, maxCommission, dryRun, priorityFee, maxPriorityFee, computeUnits,
+   *   maxAttempts, onSent }
    */
-  async stake(validatorVoteAccount, amountSol) {
-    const voteAccount = new PublicKey(this.resolveValidator(validatorVoteAccount));
-    const lamports = Math.floor(amountSol * LAMPORTS_PER_SOL);
+  async stake(validatorVoteAccount, amountSol, options = {}) {
+    const selected = await this.selectValidator(validatorVoteAccount, options);
+    const voteAccount = new PublicKey(selected.votePubkey);
+    const amount = await resolveAmount(this.wallet.connection, amountSol, 'SOL');
+    const lamports = amount.raw;
 
     // Create a new stake account keypair
     const stakeAccount = Keypair.generate();
@@ -52,135 +263,464 @@ class Staking {
       StakeProgram.space
     );
 
-    const totalLamports = lamports + rentExemption;
+    const totalLamports = lamports + BigInt(rentExemption);
 
-    // Create stake account
-    const createStakeAccountTx = StakeProgram.createAccount({
-      fromPubkey: this.wallet.keypair.publicKey,
-      stakePubkey: stakeAccount.publicKey,
-      authorized: new Authorized(
-        this.wallet.keypair.publicKey, // staker
-        this.wallet.keypair.publicKey  // withdrawer
-      ),
-      lockup: new Lockup(0, 0, this.wallet.keypair.publicKey),
-      lamports: totalLamports
-    });
+    const intent = { action: 'stake', mint: 'SOL', amount: totalLamports };
+    const reservation = await this.wallet.enforcePolicy(intent);
 
-    // Delegate stake
-    const delegateTx = StakeProgram.delegate({
-      stakePubkey: stakeAccount.publicKey,
-      authorizedPubkey: this.wallet.keypair.publicKey,
-      votePubkey: voteAccount
-    });
+    try {
+      // Create stake account
+      const createStakeAccountTx = StakeProgram.createAccount({
+        fromPubkey: this.wallet.keypair.publicKey,
+        stakePubkey: stakeAccount.publicKey,
+        authorized: new Authorized(
+          this.wallet.keypair.publicKey, // staker
+          this.wallet.keypair.publicKey  // withdrawer
+        ),
+        lockup: new Lockup(0, 0, this.wallet.keypair.publicKey),
+        lamports: Number(totalLamports)
+      });
 
-    // Combine transactions
-    const transaction = new Transaction()
-      .add(createStakeAccountTx)
-      .add(delegateTx);
+      // Delegate stake
+      const delegateTx = StakeProgram.delegate({
+        stakePubkey: stakeAccount.publicKey,
+        authorizedPubkey: this.wallet.keypair.publicKey,
+        votePubkey: voteAccount
+      });
 
-    const signature = await sendAndConfirmTransaction(
-      this.wallet.connection,
-      transaction,
-      [this.wallet.keypair, stakeAccount]
-    );
+      // Combine transactions
+      const transaction = new Transaction()
+        .add(createStakeAccountTx)
+        .add(delegateTx);
 
-    return {
-      signature,
-      stakeAccount: stakeAccount.publicKey.toBase58(),
-      validator: voteAccount.toBase58(),
-      amount: amountSol,
-      explorerUrl: `https://solscan.io/tx/${signature}`
-    };
+      const result = await this.execute(transaction, [this.wallet.keypair, stakeAccount], options, {
+        stakeAccount: stakeAccount.publicKey.toBase58(),
+        validator: voteAccount.toBase58(),
+        validatorInfo: validatorInfo(selected),
+        amount: amount.ui,
+        amountRaw: lamports.toString()
+      });
+      if (result.signature) {
+        this.wallet.recordSpend(intent, result.signature, reservation);
+      }
+      return result;
+    } catch (e) {
+      this.wallet.settleSpend(intent, reservation, e);
+      throw e;
+    } finally {
+      this.wallet.releaseSpend(reservation);
+    }
   }
 
   /**
-   * Get all stake accounts for this wallet
+   * Get all stake accounts for this wallet with their activation state and
+   * what can be withdrawn now
    */
   async getStakeAccounts() {
-    const stakeAccounts = await this.wallet.connection.getParsedProgramAccounts(
-      StakeProgram.programId,
-      {
-        filters: [
-          {
-            memcmp: {
-              offset: 12, // Authorized staker offset
-              bytes: this.wallet.keypair.publicKey.toBase58()
+    const [stakeAccounts, { epoch }, history] = await Promise.all([
+      this.wallet.connection.getParsedProgramAccounts(
+        StakeProgram.programId,
+        {
+          filters: [
+            {
+              memcmp: {
+                offset: 12, // Authorized staker offset
+                bytes: this.wallet.keypair.publicKey.toBase58()
+              }
             }
-          }
-        ]
+          ]
+        }
+      ),
+      this.wallet.connection.getEpochInfo(),
+      getStakeHistory(this.wallet.connection)
+    ]);
+
+    return stakeAccounts
+      .filter(({ account }) => ['initialized', 'delegated'].includes(account.data.parsed?.type))
+      .map(({ pubkey, account }) => describeStakeAccount(parseStakeAccount(pubkey, account, epoch, history)));
+  }
+
+  /**
+   * Stake accounts with the inflation rewards they earned over recent epochs
+   * and an APY estimated from them
+   *
+   * @param {object} options - { epochs } completed epochs to look back over (default 5, max 20)
+   * @returns {Promise<object>} { epoch, epochs, stakeAccounts, totalRewards, totalRewardsRaw }
+   */
+  async getStakeRewards({ epochs = DEFAULT_REWARD_EPOCHS } = {}) {
+    const count = Math.min(Math.max(parseInt(epochs, 10) || DEFAULT_REWARD_EPOCHS, 1), MAX_REWARD_EPOCHS);
+    const [accounts, epochInfo, samples] = await Promise.all([
+      this.getStakeAccounts(),
+      this.wallet.connection.getEpochInfo(),
+      this.wallet.connection.getRecentPerformanceSamples(60)
+    ]);
+
+    const addresses = accounts.map(a => new PublicKey(a.address));
+    const rewards = new Map(accounts.map(a => [a.address, []]));
+    const covered = [];
+    for (let epoch = epochInfo.epoch - 1; addresses.length && epoch >= epochInfo.epoch - count && epoch >= 0; epoch--) {
+      let results;
+      try {
+        results = await this.wallet.connection.getInflationReward(addresses, epoch);
+      } catch (e) {
+        // RPC nodes without the older blocks stop the look-back early
+        if (covered.length) {
+          break;
+        }
+        throw e;
       }
-    );
+      covered.push(epoch);
+      results.forEach((reward, i) => {
+        if (reward) {
+          rewards.get(accounts[i].address).push({
+            epoch: reward.epoch,
+            amount: toUi(reward.amount, SOL_DECIMALS),
+            amountRaw: reward.amount.toString(),
+            postBalance: toUi(reward.postBalance, SOL_DECIMALS),
+            postBalanceRaw: reward.postBalance.toString(),
+            commission: reward.commission ?? null
+          });
+        }
+      });
+    }
+
+    const slots = samples.reduce((sum, s) => sum + s.numSlots, 0);
+    const seconds = samples.reduce((sum, s) => sum + s.samplePeriodSecs, 0);
+    const slotSeconds = slots ? seconds / slots : DEFAULT_SLOT_SECONDS;
+    const epochsPerYear = SECONDS_PER_YEAR / (epochInfo.slotsInEpoch * slotSeconds);
 
-    return stakeAccounts.map(({ pubkey, account }) => {
-      const data = account.data.parsed.info;
+    let total = 0n;
+    const stakeAccounts = accounts.map(account => {
+      const earned = rewards.get(account.address);
+      const sum = earned.reduce((acc, r) => acc + BigInt(r.amountRaw), 0n);
+      total += sum;
       return {
-        address: pubkey.toBase58(),
-        lamports: account.lamports,
-        sol: account.lamports / LAMPORTS_PER_SOL,
-        state: data.stake?.delegation ? 'delegated' : 'inactive',
-        validator: data.stake?.delegation?.voter || null,
-        activationEpoch: data.stake?.delegation?.activationEpoch || null
+        ...account,
+        rewards: earned,
+        totalRewards: toUi(sum, SOL_DECIMALS),
+        estimatedApy: estimateApy(earned, epochsPerYear)
       };
     });
+
+    return {
+      epoch: epochInfo.epoch,
+      epochs: covered,
+      stakeAccounts,
+      totalRewards: toUi(total, SOL_DECIMALS),
+      totalRewardsRaw: total.toString()
+    };
   }
 
   /**
-   * Deactivate a stake account (start unstaking)
+   * Deactivate a stake account (start unstaking). With options.amount only
+   * that much is split off into a new account and deactivated.
+   *
+   * @param {object} options - { amount, dryRun, priorityFee, maxPriorityFee, computeUnits, maxAttempts, onSent }
    */
-  async unstake(stakeAccountAddress) {
-    const stakeAccount = new PublicKey(stakeAccountAddress);
+  async unstake(stakeAccountAddress, options = {}) {
+    if (options.amount != null) {
+      return this.split(stakeAccountAddress, options.amount, { ...options, deactivate: true });
+    }
+
+    const account = await this.loadStakeAccount(stakeAccountAddress);
+    this.requireAuthority(account, 'staker');
+    if (!['active', 'activating'].includes(account.state)) {
+      throw new StakeError('INVALID_STAKE_STATE', `Stake account ${account.address} is ${account.state}, not delegated`,
+        { stakeAccount: account.address, state: account.state });
+    }
 
     const transaction = new Transaction().add(
       StakeProgram.deactivate({
-        stakePubkey: stakeAccount,
+        stakePubkey: new PublicKey(account.address),
         authorizedPubkey: this.wallet.keypair.publicKey
       })
     );
 
-    const signature = await sendAndConfirmTransaction(
-      this.wallet.connection,
-      transaction,
-      [this.wallet.keypair]
-    );
+    return this.execute(transaction, [this.wallet.keypair], options, {
+      stakeAccount: account.address,
+      stakeStatus: 'deactivating',
+      note: 'Stake is usually withdrawable after the current epoch ends; check withdrawable in stake list'
+    });
+  }
 
-    return {
-      signature,
-      stakeAccount: stakeAccountAddress,
-      status: 'deactivating',
-      note: 'Stake will be withdrawable after the current epoch ends',
-      explorerUrl: `https://solscan.io/tx/${signature}`
-    };
+  /**
+   * Move part of a stake account into a new stake account with the same
+   * authorities and delegation. The wallet funds the new account's rent.
+   *
+   * @param {string|number|bigint} amountSol - SOL to move, e.g. 1.5, "1.5 SOL" or "raw:1500000000"
+   * @param {object} options - { deactivate, dryRun, priorityFee, maxPriorityFee, computeUnits, maxAttempts, onSent }
+   *   deactivate starts unstaking the new account in the same transaction
+   */
+  async split(stakeAccountAddress, amountSol, options = {}) {
+    const account = await this.loadStakeAccount(stakeAccountAddress);
+    this.requireAuthority(account, 'staker');
+    const amount = await resolveAmount(this.wallet.connection, amountSol, 'SOL');
+    const lamports = amount.raw;
+
+    if (options.deactivate && !['active', 'activating'].includes(account.state)) {
+      throw new StakeError('INVALID_STAKE_STATE',
+        `Stake account ${account.address} is ${account.state}; only delegated stake can be unstaked`,
+        { stakeAccount: account.address, state: account.state });
+    }
+    const splittable = account.lamports - account.rentExemptReserve;
+    if (lamports <= 0n || lamports > splittable) {
+      throw new StakeError('INSUFFICIENT_STAKE',
+        `Can split between 0 and ${toUi(splittable, SOL_DECIMALS)} SOL from ${account.address}`,
+        { stakeAccount: account.address, requested: amount.ui, available: toUi(splittable, SOL_DECIMALS) });
+    }
+    if (account.state !== 'inactive') {
+      // Both halves of a delegated account must stay above the minimum delegation
+      const { value: minimum } = await this.wallet.connection.getStakeMinimumDelegation();
+      const remaining = splittable - lamports;
+      if (lamports < BigInt(minimum) || remaining < BigInt(minimum)) {
+        throw new StakeError('INSUFFICIENT_STAKE',
+          `Both accounts must keep at least ${toUi(minimum, SOL_DECIMALS)} SOL delegated`,
+          { stakeAccount: account.address, requested: amount.ui, remaining: toUi(remaining, SOL_DECIMALS),
+            minimumDelegation: toUi(minimum, SOL_DECIMALS) });
+      }
+    }
+
+    const rentExemption = BigInt(await this.wallet.connection.getMinimumBalanceForRentExemption(
+      StakeProgram.space
+    ));
+    const intent = { action: 'stake', mint: 'SOL', amount: rentExemption };
+    const reservation = await this.wallet.enforcePolicy(intent);
+
+    try {
+      const splitAccount = Keypair.generate();
+      const transaction = StakeProgram.split({
+        stakePubkey: new PublicKey(account.address),
+        authorizedPubkey: this.wallet.keypair.publicKey,
+        splitStakePubkey: splitAccount.publicKey,
+        lamports: Number(lamports)
+      }, Number(rentExemption));
+
+      if (options.deactivate) {
+        transaction.add(StakeProgram.deactivate({
+          stakePubkey: splitAccount.publicKey,
+          authorizedPubkey: this.wallet.keypair.publicKey
+        }));
+      }
+
+      const result = await this.execute(transaction, [this.wallet.keypair, splitAccount], options, {
+        stakeAccount: account.address,
+        splitStakeAccount: splitAccount.publicKey.toBase58(),
+        validator: account.voter,
+        amount: amount.ui,
+        amountRaw: lamports.toString(),
+        stakeStatus: options.deactivate ? 'deactivating' : account.state,
+        ...(options.deactivate && {
+          note: 'Split stake is usually withdrawable after the current epoch ends; check withdrawable in stake list'
+        })
+      });
+      if (result.signature) {
+        this.wallet.recordSpend(intent, result.signature, reservation);
+      }
+      return result;
+    } catch (e) {
+      this.wallet.settleSpend(intent, reservation, e);
+      throw e;
+    } finally {
+      this.wallet.releaseSpend(reservation);
+    }
+  }
+
+  /**
+   * Merge the source stake account into the destination; the source is closed.
+   * Both must share authorities and lockup, and be inactive, or delegated to
+   * the same validator and both active or both activating in the same epoch
+   * (an inactive source may also merge into an activating destination).
+   *
+   * @param {object} options - { dryRun, priorityFee, maxPriorityFee, computeUnits, maxAttempts, onSent }
+   */
+  async merge(destinationAddress, sourceAddress, options = {}) {
+    const [destination, source] = await Promise.all([
+      this.loadStakeAccount(destinationAddress),
+      this.loadStakeAccount(sourceAddress)
+    ]);
+    this.requireAuthority(destination, 'staker');
+    this.requireAuthority(source, 'staker');
+
+    const incompatible = reason => new StakeError('INCOMPATIBLE_STAKE_ACCOUNTS',
+      `Cannot merge ${source.address} into ${destination.address}: ${reason}`, {
+        destination: { address: destination.address, state: destination.state, validator: destination.voter },
+        source: { address: source.address, state: source.state, validator: source.voter }
+      });
+
+    if (destination.address === source.address) {
+      throw incompatible('same account');
+    }
+    if (destination.withdrawer !== source.withdrawer ||
+      JSON.stringify(destination.lockup) !== JSON.stringify(source.lockup)) {
+      throw incompatible('authorities or lockup differ');
+    }
+    const states = [destination.state, source.state];
+    if (states.includes('deactivating')) {
+      throw incompatible('deactivating accounts cannot be merged until cooldown ends');
+    }
+    const bothInactive = states.every(s => s === 'inactive');
+    const inactiveIntoActivating = destination.state === 'activating' && source.state === 'inactive';
+    if (!bothInactive && !inactiveIntoActivating) {
+      if (destination.state !== source.state) {
+        throw incompatible(`${destination.state} and ${source.state} stake cannot be merged`);
+      }
+      if (destination.voter !== source.voter) {
+        throw incompatible('delegated to different validators');
+      }
+      if (destination.state === 'activating' && destination.activationEpoch !== source.activationEpoch) {
+        throw incompatible('activating in different epochs');
+      }
+    }
+
+    const transaction = StakeProgram.merge({
+      stakePubkey: new PublicKey(destination.address),
+      sourceStakePubKey: new PublicKey(source.address),
+      authorizedPubkey: this.wallet.keypair.publicKey
+    });
+
+    return this.execute(transaction, [this.wallet.keypair], options, {
+      stakeAccount: destination.address,
+      mergedFrom: source.address,
+      validator: destination.voter,
+      amount: toUi(source.lamports, SOL_DECIMALS),
+      amountRaw: source.lamports.toString(),
+      stakeStatus: destination.state
+    });
   }
 
   /**
-   * Withdraw from a deactivated stake account
+   * Switch a stake account to another validator. The stake program's
+   * Redelegate instruction is disabled, so delegated stake is deactivated
+   * first; call again once it is inactive to delegate to the new validator.
+   *
+   * @param {object} options - { force, maxCommission, dryRun, priorityFee, maxPriorityFee, computeUnits,
+   *   maxAttempts, onSent }
+   * @returns {Promise<object>} stage is 'deactivating' or 'delegated'
    */
-  async withdraw(stakeAccountAddress) {
-    const stakeAccount = new PublicKey(stakeAccountAddress);
-    
-    const stakeBalance = await this.wallet.connection.getBalance(stakeAccount);
+  async redelegate(stakeAccountAddress, validatorVoteAccount, options = {}) {
+    const account = await this.loadStakeAccount(stakeAccountAddress);
+    this.requireAuthority(account, 'staker');
+    const selected = await this.selectValidator(validatorVoteAccount, options);
+    const voteAccount = new PublicKey(selected.votePubkey);
+    const validator = voteAccount.toBase58();
+    const details = { stakeAccount: account.address, state: account.state, validator: account.voter };
+
+    if (account.voter === validator && account.state !== 'inactive') {
+      throw new StakeError('INVALID_STAKE_STATE', `Stake account ${account.address} is already delegated to ${validator}`,
+        details);
+    }
+    if (account.state === 'deactivating') {
+      throw new StakeError('INVALID_STAKE_STATE',
+        `Stake account ${account.address} is cooling down; redelegate once stake list shows it inactive`,
+        {
+          ...details,
+          deactivationEpoch: account.deactivationEpoch,
+          deactivating: toUi(account.deactivatingStake, SOL_DECIMALS)
+        });
+    }
+
+    const stakePubkey = new PublicKey(account.address);
+    if (account.state === 'inactive') {
+      const transaction = StakeProgram.delegate({
+        stakePubkey,
+        authorizedPubkey: this.wallet.keypair.publicKey,
+        votePubkey: voteAccount
+      });
+      return this.execute(transaction, [this.wallet.keypair], options, {
+        stakeAccount: account.address,
+        previousValidator: account.voter,
+        validator,
+        validatorInfo: validatorInfo(selected),
+        stage: 'delegated',
+        stakeStatus: 'activating'
+      });
+    }
+
+    const transaction = StakeProgram.deactivate({
+      stakePubkey,
+      authorizedPubkey: this.wallet.keypair.publicKey
+    });
+    return this.execute(transaction, [this.wallet.keypair], options, {
+      stakeAccount: account.address,
+      previousValidator: account.voter,
+      validator,
+      validatorInfo: validatorInfo(selected),
+      stage: 'deactivating',
+      stakeStatus: 'deactivating',
+      note: `Run redelegate again after epoch ${account.epoch} ends to delegate to ${validator}`
+    });
+  }
+
+  /**
+   * Withdraw from a stake account: the full balance of an inactive account
+   * (closing it), or options.amount up to what is withdrawable now
+   *
+   * @param {object} options - { amount, dryRun, priorityFee, maxPriorityFee, computeUnits, maxAttempts, onSent }
+   */
+  async withdraw(stakeAccountAddress, options = {}) {
+    const account = await this.loadStakeAccount(stakeAccountAddress);
+    this.requireAuthority(account, 'withdrawer');
+
+    const { unixTimestamp, epoch, custodian } = account.lockup;
+    const lockedUp = unixTimestamp > Date.now() / 1000 || epoch > account.epoch;
+    if (lockedUp && custodian !== this.wallet.address) {
+      throw new StakeError('LOCKUP_IN_FORCE', `Stake account ${account.address} is locked up`,
+        { stakeAccount: account.address, lockup: account.lockup });
+    }
+
+    const available = withdrawableLamports(account);
+    const details = {
+      stakeAccount: account.address,
+      state: account.state,
+      withdrawable: toUi(available, SOL_DECIMALS)
+    };
+    let lamports = account.lamports;
+    if (options.amount == null) {
+      if (account.state !== 'inactive') {
+        throw new StakeError('INVALID_STAKE_STATE',
+          `Stake account ${account.address} is ${account.state}; unstake it and wait for cooldown to finish, ` +
+          'or withdraw a partial amount', details);
+      }
+    } else {
+      lamports = (await resolveAmount(this.wallet.connection, options.amount, 'SOL')).raw;
+      if (lamports <= 0n || lamports > available) {
+        throw new StakeError('INSUFFICIENT_STAKE',
+          `Can withdraw at most ${details.withdrawable} SOL from ${account.address} now`, details);
+      }
+      // A partial withdrawal must leave the account rent exempt
+      if (lamports < account.lamports && account.lamports - lamports < account.rentExemptReserve) {
+        throw new StakeError('INSUFFICIENT_STAKE',
+          `Withdrawing ${toUi(lamports, SOL_DECIMALS)} SOL would leave ${account.address} below its rent reserve; ` +
+          'withdraw the full balance to close it', details);
+      }
+    }
+
+    // Withdrawals flow back into the wallet, so only allow/deny rules apply
+    await this.wallet.enforcePolicy({
+      action: 'withdraw',
+      mint: 'SOL',
+      amount: lamports,
+      recipient: this.wallet.address,
+      outflow: false
+    });
 
     const transaction = new Transaction().add(
       StakeProgram.withdraw({
-        stakePubkey: stakeAccount,
+        stakePubkey: new PublicKey(account.address),
         authorizedPubkey: this.wallet.keypair.publicKey,
         toPubkey: this.wallet.keypair.publicKey,
-        lamports: stakeBalance
+        lamports: Number(lamports),
+        // The stake program only lets a locked-up account go with the custodian's signature
+        ...(lockedUp && { custodianPubkey: this.wallet.keypair.publicKey })
       })
     );
 
-    const signature = await sendAndConfirmTransaction(
-      this.wallet.connection,
-      transaction,
-      [this.wallet.keypair]
-    );
-
-    return {
-      signature,
-      stakeAccount: stakeAccountAddress,
-      withdrawn: stakeBalance / LAMPORTS_PER_SOL,
-      explorerUrl: `https://solscan.io/tx/${signature}`
-    };
+    return this.execute(transaction, [this.wallet.keypair], options, {
+      stakeAccount: account.address,
+      withdrawn: toUi(lamports, SOL_DECIMALS),
+      withdrawnRaw: lamports.toString(),
+      closed: lamports === account.lamports
+    });
   }
 
   /**
@@ -191,4 +731,4 @@ class Staking {
   }
 }
 
-module.exports = { Staking, VALIDATORS };
+module.exports = { Staking, StakeError, VALIDATORS };
@@ -1,142 +1,466 @@
 /**
- * Solana Agent Kit - Token Swaps via Jupiter
- * Allows AI agents to swap tokens using Jupiter aggregator
+ * Solana Agent Kit - Token Swaps
+ * Allows AI agents to swap tokens at the best quote across the configured
+ * swap providers (Jupiter, AgentDEX)
  */
 
-const { Connection, VersionedTransaction, PublicKey } = require('@solana/web3.js');
+const { simulateTransaction } = require('./simulate');
+const { getMintInfo, associatedTokenAddress } = require('./mint');
+const { sendAndConfirm, waitForSignature, TransactionExpiredError, TransactionUnconfirmedError,
+  DEFAULT_MAX_ATTEMPTS } = require('./sender');
+const { TOKENS, resolveMint } = require('./registry');
+const { resolveAmount, getDecimals, toUi } = require('./amount');
+const { defaultProviders, SwapProviderError } = require('./providers');
+const { resolveGuards, checkQuote, fetchReferencePrices } = require('./guards');
+const { resolvePrice, PythPriceSource, QuotePriceSource } = require('./prices');
 
-const JUPITER_API = 'https://quote-api.jup.ag/v6';
+const SWAP_MODES = ['ExactIn', 'ExactOut'];
 
-// Common token mints
-const TOKENS = {
-  SOL: 'So11111111111111111111111111111111111111112',
-  USDC: 'EPjFWdd5AufqSSqeM2qN1xzybapC8G4wEGGkZwyTDt1v',
-  USDT: 'Es9vMFrzaCERmJfrF4H2FYD4KCoNkY11McCe8BenwNYB',
-  BONK: 'DezXAZ8z7PnrnRJjz3wXBoRgixCa6xjnB7YaB1pPB263',
-  JUP: 'JUPyiwrYJFskUPiHa7hkeR8VUtAeFoSYbKedZNsDvCN',
-  WIF: 'EKpQGSJtjMFqKZ9KQanSqYXRcF8fBopzLHYxdM65zcjm',
-  PYTH: 'HZ1JovNiVvGrGNiiYvEozEVgZ58xaU3RKwX8eACQBCt3'
-};
+/**
+ * Normalize the swap mode and routing options
+ *
+ * @param {object} options - { swapMode, onlyDirectRoutes, dexes, excludeDexes, maxAccounts, dynamicSlippage }
+ *   dexes and excludeDexes take arrays or comma-separated DEX labels
+ * @returns {{ swapMode: string, routing: object }}
+ * @throws {SwapProviderError} INVALID_SWAP_OPTIONS
+ */
+function resolveRouting(options = {}) {
+  const mode = String(options.swapMode || 'ExactIn');
+  const swapMode = SWAP_MODES.find(m => m.toLowerCase() === mode.toLowerCase());
+  if (!swapMode) {
+    throw new SwapProviderError('INVALID_SWAP_OPTIONS', `Invalid swap mode ${mode}: use ExactIn or ExactOut`,
+      { swapMode: mode });
+  }
+
+  const list = value => (Array.isArray(value) ? value : String(value || '').split(','))
+    .map(d => d.trim())
+    .filter(Boolean);
+  const flag = value => value === true || value === 'true';
+  const routing = {
+    onlyDirectRoutes: flag(options.onlyDirectRoutes),
+    dexes: list(options.dexes),
+    excludeDexes: list(options.excludeDexes),
+    maxAccounts: options.maxAccounts != null ? Number(options.maxAccounts) : null,
+    dynamicSlippage: flag(options.dynamicSlippage)
+  };
+  if (routing.maxAccounts !== null && !(Number.isInteger(routing.maxAccounts) && routing.maxAccounts > 0)) {
+    throw new SwapProviderError('INVALID_SWAP_OPTIONS', `Invalid max accounts: ${options.maxAccounts}`,
+      { maxAccounts: options.maxAccounts });
+  }
+  if (routing.dexes.length && routing.excludeDexes.length) {
+    throw new SwapProviderError('INVALID_SWAP_OPTIONS', 'Use either dexes or excludeDexes, not both',
+      { dexes: routing.dexes, excludeDexes: routing.excludeDexes });
+  }
+  return { swapMode, routing };
+}
+
+/**
+ * Mode and limits a swap ran with, for results
+ */
+function swapLimits(quote, slippageBps = quote.slippageBps) {
+  return {
+    swapMode: quote.swapMode,
+    slippageBps,
+    minOutAmount: quote.minOutAmount,
+    minOutAmountUi: quote.minOutAmountUi,
+    maxInAmount: quote.maxInAmount,
+    maxInAmountUi: quote.maxInAmountUi,
+    routing: quote.routing
+  };
+}
 
 class Swapper {
-  constructor(wallet) {
+  /**
+   * @param {Wallet} wallet
+   * @param {object} options - { providers, getPrices, pyth } provider instances (default: defaultProviders()),
+   *   the reference price source for swap guards (default: Jupiter price API) and the Pyth price source
+   *   for getPrice (default: one on the wallet's connection)
+   */
+  constructor(wallet, { providers, getPrices, pyth } = {}) {
     this.wallet = wallet;
+    this.providers = providers || defaultProviders();
+    this.getPrices = getPrices || fetchReferencePrices;
+    this.priceSources = {
+      pyth: pyth || new PythPriceSource(wallet.connection),
+      quote: new QuotePriceSource(this)
+    };
   }
 
   /**
    * Resolve token symbol or mint address to mint address
    */
   resolveMint(tokenOrMint) {
-    if (TOKENS[tokenOrMint.toUpperCase()]) {
-      return TOKENS[tokenOrMint.toUpperCase()];
+    return resolveMint(tokenOrMint);
+  }
+
+  /**
+   * The configured providers that build transactions for this wallet, or only the named one.
+   * Remote providers execute swaps from their own account, so they are never picked unasked.
+   *
+   * @throws {SwapProviderError} UNKNOWN_PROVIDER when the name isn't configured, or no
+   *   provider builds transactions
+   */
+  selectProviders(name) {
+    if (!name) {
+      const local = this.providers.filter(p => p.buildSwap);
+      if (!local.length) {
+        throw new SwapProviderError('UNKNOWN_PROVIDER',
+          'No configured swap provider builds transactions for this wallet; name a remote one with provider',
+          { available: this.providers.map(p => p.name) });
+      }
+      return local;
+    }
+    const provider = this.providers.find(p => p.name === name.toLowerCase());
+    if (!provider) {
+      const available = this.providers.map(p => p.name);
+      throw new SwapProviderError('UNKNOWN_PROVIDER',
+        `Swap provider ${name} is not configured; available: ${available.join(', ')}`,
+        { provider: name, available });
     }
-    // Assume it's already a mint address
-    return tokenOrMint;
+    return [provider];
   }
 
   /**
-   * Get a quote for a swap
+   * Get a quote for a swap from every provider in parallel and keep the one
+   * with the highest output (for ExactOut, the lowest input)
+   *
+   * @param {string|number|bigint} amount - Input amount, e.g. 1.5, "1.5 SOL" or "raw:1500000000";
+   *   the output amount for ExactOut
+   * @param {object} options - { provider, swapMode, onlyDirectRoutes, dexes, excludeDexes, maxAccounts,
+   *   dynamicSlippage } provider only asks that provider; see resolveRouting for the rest
+   * @returns {Promise<object>} best quote, with the other providers' amounts (or errors) in alternatives
+   * @throws {SwapProviderError} NO_QUOTE when every provider fails
    */
-  async getQuote(inputMint, outputMint, amount, slippageBps = 50) {
+  async getQuote(inputMint, outputMint, amount, slippageBps = 50, options = {}) {
     const inputMintAddr = this.resolveMint(inputMint);
     const outputMintAddr = this.resolveMint(outputMint);
+    const providers = this.selectProviders(options.provider);
+    const { swapMode, routing } = resolveRouting(options);
+    const exactOut = swapMode === 'ExactOut';
+    const bps = Number(slippageBps);
+    if (!Number.isInteger(bps) || bps < 0 || bps > 10000) {
+      throw new SwapProviderError('INVALID_SWAP_OPTIONS', `Invalid slippage: ${slippageBps} (basis points, 0-10000)`,
+        { slippageBps });
+    }
+    slippageBps = bps;
+    const { raw } = await resolveAmount(this.wallet.connection, amount, exactOut ? outputMintAddr : inputMintAddr);
+    const [inDecimals, outDecimals] = await Promise.all([
+      getDecimals(this.wallet.connection, inputMintAddr),
+      getDecimals(this.wallet.connection, outputMintAddr)
+    ]);
 
-    const params = new URLSearchParams({
-      inputMint: inputMintAddr,
-      outputMint: outputMintAddr,
-      amount: amount.toString(),
-      slippageBps: slippageBps.toString()
+    const { dynamicSlippage, ...routeOptions } = routing;
+    const request = { inputMint: inputMintAddr, outputMint: outputMintAddr, amount: raw, slippageBps, swapMode, ...routeOptions };
+    const settled = await Promise.allSettled(providers.map(p => p.getQuote(request)));
+    const quotes = [];
+    const errors = [];
+    settled.forEach((result, i) => {
+      if (result.status === 'fulfilled') {
+        quotes.push({ provider: providers[i].name, ...result.value });
+      } else {
+        errors.push({ provider: providers[i].name, error: result.reason.message });
+      }
     });
-
-    const response = await fetch(`${JUPITER_API}/quote?${params}`);
-    if (!response.ok) {
-      const error = await response.text();
-      throw new Error(`Quote failed: ${error}`);
+    if (!quotes.length) {
+      throw new SwapProviderError('NO_QUOTE',
+        `Quote failed: ${errors.map(e => `${e.provider}: ${e.error}`).join('; ')}`, { errors });
     }
 
-    const quote = await response.json();
+    // Providers quote amounts net of their own fees, so the largest output
+    // (or smallest input for ExactOut) wins
+    const best = quotes.reduce((a, b) => (exactOut
+      ? (BigInt(b.inAmount) < BigInt(a.inAmount) ? b : a)
+      : (BigInt(b.outAmount) > BigInt(a.outAmount) ? b : a)));
+    // Worst case once slippage is applied: slippage moves the output for
+    // ExactIn and the input for ExactOut
+    const minOutAmount = exactOut
+      ? best.outAmount
+      : (BigInt(best.outAmount) * BigInt(10000 - slippageBps) / 10000n).toString();
+    const maxInAmount = exactOut
+      ? (BigInt(best.inAmount) * BigInt(10000 + slippageBps) / 10000n).toString()
+      : best.inAmount;
     return {
+      provider: best.provider,
       inputMint: inputMintAddr,
       outputMint: outputMintAddr,
-      inAmount: quote.inAmount,
-      outAmount: quote.outAmount,
-      priceImpactPct: quote.priceImpactPct,
-      routePlan: quote.routePlan,
-      raw: quote
+      inAmount: best.inAmount,
+      outAmount: best.outAmount,
+      inAmountUi: toUi(best.inAmount, inDecimals),
+      outAmountUi: toUi(best.outAmount, outDecimals),
+      minOutAmount,
+      minOutAmountUi: toUi(minOutAmount, outDecimals),
+      maxInAmount,
+      maxInAmountUi: toUi(maxInAmount, inDecimals),
+      priceImpactPct: best.priceImpactPct,
+      routePlan: best.routePlan,
+      swapMode,
+      slippageBps,
+      routing,
+      quotedAt: Date.now(),
+      alternatives: [
+        ...quotes.filter(q => q !== best).map(q => ({
+          provider: q.provider,
+          inAmount: q.inAmount,
+          inAmountUi: toUi(q.inAmount, inDecimals),
+          outAmount: q.outAmount,
+          outAmountUi: toUi(q.outAmount, outDecimals)
+        })),
+        ...errors
+      ],
+      raw: best.raw
     };
   }
 
   /**
-   * Execute a swap
+   * Build a signed-ready swap transaction for a quote with its provider
+   *
+   * @returns {Promise<{ transaction: VersionedTransaction, lastValidBlockHeight, priorityFee, slippageBps }>}
    */
-  async swap(inputMint, outputMint, amount, slippageBps = 50) {
-    // Get quote first
-    const quote = await this.getQuote(inputMint, outputMint, amount, slippageBps);
-
-    // Get swap transaction
-    const swapResponse = await fetch(`${JUPITER_API}/swap`, {
-      method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify({
-        quoteResponse: quote.raw,
-        userPublicKey: this.wallet.address,
-        wrapAndUnwrapSol: true
-      })
+  async buildSwapTransaction(quote, options = {}) {
+    const [provider] = this.selectProviders(quote.provider);
+    const built = await provider.buildSwap(quote, {
+      connection: this.wallet.connection,
+      userPublicKey: this.wallet.keypair.publicKey,
+      options
     });
 
-    if (!swapResponse.ok) {
-      const error = await swapResponse.text();
-      throw new Error(`Swap transaction failed: ${error}`);
-    }
-
-    const { swapTransaction } = await swapResponse.json();
-
-    // Deserialize and sign
-    const txBuffer = Buffer.from(swapTransaction, 'base64');
-    const transaction = VersionedTransaction.deserialize(txBuffer);
-    transaction.sign([this.wallet.keypair]);
+    return {
+      ...built,
+      // Swap transactions use a recent blockhash, valid for about 150 blocks
+      lastValidBlockHeight: built.lastValidBlockHeight ||
+        (await this.wallet.connection.getBlockHeight('confirmed')) + 150
+    };
+  }
 
-    // Send transaction
-    const signature = await this.wallet.connection.sendTransaction(transaction, {
-      maxRetries: 3,
-      skipPreflight: false
-    });
+  /**
+   * Whether a provider executes swaps itself instead of building a transaction for the wallet
+   */
+  isRemote(providerName) {
+    return !this.selectProviders(providerName)[0].buildSwap;
+  }
 
-    // Confirm
-    const confirmation = await this.wallet.connection.confirmTransaction(signature, 'confirmed');
-    
-    if (confirmation.value.err) {
-      throw new Error(`Transaction failed: ${JSON.stringify(confirmation.value.err)}`);
+  /**
+   * Execute a quote with a provider that sends the swap itself, then wait
+   * for its transaction to confirm
+   *
+   * @throws {TransactionUnconfirmedError} when the provider's transaction isn't confirmed in time
+   */
+  async executeRemote(provider, quote, options) {
+    const result = await provider.execute(quote, { slippageBps: quote.slippageBps });
+    if (options.onSent) {
+      options.onSent(result.signature, {});
+    }
+    const confirmed = await waitForSignature(this.wallet.connection, result.signature);
+    if (confirmed.status === 'unconfirmed') {
+      throw new TransactionUnconfirmedError(result.signature);
     }
 
+    const [inDecimals, outDecimals] = await Promise.all([
+      getDecimals(this.wallet.connection, quote.inputMint),
+      getDecimals(this.wallet.connection, quote.outputMint)
+    ]);
     return {
-      signature,
+      signature: result.signature,
+      provider: provider.name,
       inputMint: quote.inputMint,
       outputMint: quote.outputMint,
-      inAmount: quote.inAmount,
-      outAmount: quote.outAmount,
-      explorerUrl: `https://solscan.io/tx/${signature}`
+      inAmount: result.inAmount,
+      outAmount: result.outAmount,
+      inAmountUi: toUi(result.inAmount, inDecimals),
+      outAmountUi: result.outAmount != null ? toUi(result.outAmount, outDecimals) : null,
+      ...swapLimits(quote),
+      // Nothing here was read from chain or enforced by a transaction this wallet signed
+      note: `Executed by ${provider.name} from its own account; amounts are as it reports them and ` +
+        'minOutAmount is enforced on its side, if at all',
+      status: confirmed.status,
+      slot: confirmed.slot,
+      attempts: 1,
+      priorityFee: null,
+      explorerUrl: `https://solscan.io/tx/${result.signature}`
     };
   }
 
   /**
-   * Get price of a token in USDC
+   * Execute a swap. If the transaction expires before landing, a fresh quote
+   * and transaction are fetched and sent (up to maxAttempts).
+   *
+   * Every quote is checked by the swap guards right before it is signed (or
+   * simulated); see resolveGuards for the limits and their defaults.
+   *
+   * For ExactOut the input isn't known until quoted, so the spending policy
+   * is checked against the quote's maximum input (after slippage).
+   *
+   * @param {string|number|bigint} amount - Input amount, e.g. 1.5, "1.5 SOL" or "raw:1500000000";
+   *   the output amount for ExactOut
+   * @param {object} options - { provider, quote, minOutput, maxPriceImpact, maxQuoteAge, maxPriceDeviation,
+   *   dryRun, priorityFee, maxPriorityFee, maxAttempts, onSent } plus the getQuote routing options; quote
+   *   is one from getQuote to execute instead of fetching a new one; minOutput is in output tokens
+   * @throws {SwapGuardError} SWAP_REJECTED with the failed checks in details.reasons
+   * @throws {TransactionUnconfirmedError} when a remote provider's transaction isn't confirmed in time
    */
-  async getPrice(tokenMint) {
-    const mint = this.resolveMint(tokenMint);
-    
-    // Get quote for 1 token worth to USDC
-    const decimals = mint === TOKENS.SOL ? 9 : 6; // Assume 6 for most tokens
-    const amount = Math.pow(10, decimals);
-    
+  async swap(inputMint, outputMint, amount, slippageBps = 50, options = {}) {
+    const exactOut = resolveRouting(options).swapMode === 'ExactOut';
+    const { raw } = await resolveAmount(this.wallet.connection, amount,
+      this.resolveMint(exactOut ? outputMint : inputMint));
+    const intent = {
+      action: 'swap',
+      mint: this.resolveMint(inputMint),
+      outputMint: this.resolveMint(outputMint),
+      amount: raw,
+      // A remote provider swaps from its own account, so only the token lists apply, not
+      // the limits and reserve of this wallet; remote providers are only used when named
+      ...(options.provider && this.isRemote(options.provider) && { outflow: false })
+    };
+    let reservation = exactOut ? null : await this.wallet.enforcePolicy(intent);
+
     try {
-      const quote = await this.getQuote(mint, 'USDC', amount.toString());
-      const price = Number(quote.outAmount) / 1e6; // USDC has 6 decimals
-      return price;
+      const guards = resolveGuards(options);
+      if (options.minOutput != null) {
+        guards.minOutput = (await resolveAmount(this.wallet.connection, options.minOutput, intent.outputMint)).raw;
+      }
+      const outDecimals = await getDecimals(this.wallet.connection, intent.outputMint);
+
+      const { quote: supplied } = options;
+      if (supplied && (supplied.inputMint !== intent.mint || supplied.outputMint !== intent.outputMint ||
+        (supplied.swapMode || 'ExactIn') !== (exactOut ? 'ExactOut' : 'ExactIn') ||
+        BigInt(exactOut ? supplied.outAmount : supplied.inAmount) !== BigInt(raw))) {
+        throw new SwapProviderError('QUOTE_MISMATCH',
+          'Quote does not match the swap: quote again for these tokens, amount and mode',
+          { inputMint: intent.mint, outputMint: intent.outputMint, amount: raw.toString(),
+            swapMode: exactOut ? 'ExactOut' : 'ExactIn' });
+      }
+
+      const maxAttempts = options.maxAttempts || DEFAULT_MAX_ATTEMPTS;
+      for (let attempt = 1; ; attempt++) {
+        // A supplied quote is only used once; retries after expiry need a fresh one
+        const quote = attempt === 1 && options.quote
+          ? options.quote
+          : await this.getQuote(inputMint, outputMint, raw, slippageBps, options);
+        const [provider] = this.selectProviders(quote.provider);
+        if (exactOut) {
+          intent.amount = quote.maxInAmount;
+          this.wallet.releaseSpend(reservation);
+          reservation = await this.wallet.enforcePolicy(intent);
+        }
+        const guardChecks = () => checkQuote(quote, guards, { outDecimals, getPrices: this.getPrices });
+
+        if (!provider.buildSwap) {
+          if (!options.provider) {
+            throw new SwapProviderError('INVALID_SWAP_OPTIONS',
+              `${provider.name} executes swaps from its own account; name it with provider to use it`,
+              { provider: provider.name });
+          }
+          if (guards.minOutput != null) {
+            throw new SwapProviderError('INVALID_SWAP_OPTIONS',
+              `${provider.name} executes swaps itself, so minOutput can't be enforced`, { provider: provider.name });
+          }
+          const checks = await guardChecks();
+          if (options.dryRun) {
+            return {
+              success: true,
+              simulated: false,
+              note: `${provider.name} executes swaps itself, so there is no transaction to simulate`,
+              provider: provider.name,
+              inputMint: quote.inputMint,
+              outputMint: quote.outputMint,
+              inAmount: quote.inAmount,
+              outAmount: quote.outAmount,
+              inAmountUi: quote.inAmountUi,
+              outAmountUi: quote.outAmountUi,
+              ...swapLimits(quote),
+              guards: checks
+            };
+          }
+          return { ...(await this.executeRemote(provider, quote, options)), guards: checks };
+        }
+
+        const { transaction, lastValidBlockHeight, priorityFee, slippageBps: usedSlippage } =
+          await this.buildSwapTransaction(quote, options);
+        const checks = await guardChecks();
+
+        if (options.dryRun) {
+          // Derived with each mint's token program so Token-2022 accounts are found
+          const tokenAccounts = await Promise.all([quote.inputMint, quote.outputMint]
+            .filter(mint => mint !== TOKENS.SOL)
+            .map(async mint => ({
+              address: associatedTokenAddress(await getMintInfo(this.wallet.connection, mint),
+                this.wallet.keypair.publicKey),
+              mint
+            })));
+          const simulation = await simulateTransaction(this.wallet, transaction, { tokenAccounts });
+          return {
+            ...simulation,
+            priorityFee,
+            provider: quote.provider,
+            inputMint: quote.inputMint,
+            outputMint: quote.outputMint,
+            inAmount: quote.inAmount,
+            outAmount: quote.outAmount,
+            inAmountUi: quote.inAmountUi,
+            outAmountUi: quote.outAmountUi,
+            ...swapLimits(quote, usedSlippage),
+            guards: checks
+          };
+        }
+
+        transaction.sign([this.wallet.keypair]);
+
+        let result;
+        try {
+          result = await sendAndConfirm(this.wallet.connection, transaction, {
+            lastValidBlockHeight,
+            onSent: options.onSent
+          });
+        } catch (e) {
+          if (e instanceof TransactionExpiredError && attempt < maxAttempts) {
+            continue;
+          }
+          throw e;
+        }
+        // ExactOut records the maximum input, since the exact amount spent depends on execution
+        this.wallet.recordSpend({ ...intent, amount: exactOut ? quote.maxInAmount : quote.inAmount }, result.signature,
+          reservation);
+
+        return {
+          signature: result.signature,
+          provider: quote.provider,
+          inputMint: quote.inputMint,
+          outputMint: quote.outputMint,
+          inAmount: quote.inAmount,
+          outAmount: quote.outAmount,
+          inAmountUi: quote.inAmountUi,
+          outAmountUi: quote.outAmountUi,
+          ...swapLimits(quote, usedSlippage),
+          status: result.status,
+          slot: result.slot,
+          attempts: attempt,
+          priorityFee,
+          guards: checks,
+          explorerUrl: `https://solscan.io/tx/${result.signature}`
+        };
+      }
     } catch (e) {
-      throw new Error(`Could not get price for ${tokenMint}: ${e.message}`);
+      this.wallet.settleSpend(intent, reservation, e);
+      throw e;
+    } finally {
+      this.wallet.releaseSpend(reservation);
     }
   }
+
+  /**
+   * Get price of a token in USDC (or another quote token)
+   *
+   * @param {object} options - { source } pyth (on-chain oracle), quote (a quote for one whole token
+   *   across providers) or best (Pyth when fresh and precise, else the quote); default
+   *   SOLANA_PRICE_SOURCE or best
+   * @returns {Promise<object>} { price, source, confidence, publishTime, divergence } divergence compares
+   *   the Pyth and quote prices when best got both
+   * @throws {PriceError}
+   */
+  async getPrice(tokenMint, quoteMint = 'USDC', { source } = {}) {
+    return resolvePrice(this.priceSources, this.resolveMint(tokenMint), this.resolveMint(quoteMint),
+      source || process.env.SOLANA_PRICE_SOURCE || 'best');
+  }
 }
 
 module.exports = { Swapper, TOKENS };
@@ -6,18 +6,29 @@
 const { 
   PublicKey, 
   Transaction, 
-  SystemProgram, 
-  LAMPORTS_PER_SOL,
-  sendAndConfirmTransaction
+  SystemProgram,
+  ComputeBudgetProgram,
+  PACKET_DATA_SIZE
 } = require('@solana/web3.js');
 const { 
-  getAssociatedTokenAddress, 
-  createAssociatedTokenAccountInstruction,
-  createTransferInstruction,
+  createAssociatedTokenAccountIdempotentInstruction,
+  createTransferCheckedInstruction,
+  createTransferCheckedWithTransferHookInstruction,
   getAccount,
-  TOKEN_PROGRAM_ID,
   ASSOCIATED_TOKEN_PROGRAM_ID
 } = require('@solana/spl-token');
+const { simulateTransaction } = require('./simulate');
+const { applyPriorityFee } = require('./fees');
+const { signAndSendTransaction, TransactionExpiredError, TransactionFailedError } = require('./sender');
+const { getMintInfo, transferFeeFor, associatedTokenAddress } = require('./mint');
+const { resolveAmount, toUi } = require('./amount');
+const { TOKENS } = require('./registry');
+
+// Room reserved in every batch for the priority fee instructions
+const BUDGET_PLACEHOLDERS = [
+  ComputeBudgetProgram.setComputeUnitLimit({ units: 0 }),
+  ComputeBudgetProgram.setComputeUnitPrice({ microLamports: 0 })
+];
 
 class Transfer {
   constructor(wallet) {
@@ -26,98 +37,424 @@ class Transfer {
 
   /**
    * Send SOL to an address
+   *
+   * @param {string|number|bigint} amountSol - SOL amount, e.g. 0.1, "0.1 SOL" or "raw:100000000"
+   * @param {object} options - { dryRun, priorityFee, maxPriorityFee, computeUnits, maxAttempts, onSent }
    */
-  async sendSol(toAddress, amountSol) {
+  async sendSol(toAddress, amountSol, options = {}) {
     const toPubkey = new PublicKey(toAddress);
-    const lamports = Math.floor(amountSol * LAMPORTS_PER_SOL);
-
-    const transaction = new Transaction().add(
-      SystemProgram.transfer({
-        fromPubkey: this.wallet.keypair.publicKey,
-        toPubkey: toPubkey,
-        lamports: lamports
-      })
-    );
-
-    const signature = await sendAndConfirmTransaction(
-      this.wallet.connection,
-      transaction,
-      [this.wallet.keypair]
-    );
-
-    return {
-      signature,
-      from: this.wallet.address,
-      to: toAddress,
-      amount: amountSol,
-      unit: 'SOL',
-      explorerUrl: `https://solscan.io/tx/${signature}`
-    };
-  }
+    const amount = await resolveAmount(this.wallet.connection, amountSol, 'SOL');
+    const lamports = amount.raw;
 
-  /**
-   * Send SPL token to an address
-   */
-  async sendToken(toAddress, amount, mintAddress) {
-    const toPubkey = new PublicKey(toAddress);
-    const mintPubkey = new PublicKey(mintAddress);
+    const intent = { action: 'transfer', mint: 'SOL', amount: lamports, recipient: toAddress };
+    const reservation = await this.wallet.enforcePolicy(intent);
 
-    // Get source ATA
-    const sourceAta = await getAssociatedTokenAddress(
-      mintPubkey,
-      this.wallet.keypair.publicKey
-    );
+    try {
+      const transaction = new Transaction().add(
+        SystemProgram.transfer({
+          fromPubkey: this.wallet.keypair.publicKey,
+          toPubkey: toPubkey,
+          lamports: lamports
+        })
+      );
 
-    // Get destination ATA
-    const destAta = await getAssociatedTokenAddress(
-      mintPubkey,
-      toPubkey
-    );
+      const priorityFee = await applyPriorityFee(
+        this.wallet.connection,
+        transaction,
+        this.wallet.keypair.publicKey,
+        options
+      );
+
+      if (options.dryRun) {
+        const simulation = await simulateTransaction(this.wallet, transaction);
+        return {
+          ...simulation,
+          priorityFee,
+          from: this.wallet.address,
+          to: toAddress,
+          amount: amount.ui,
+          amountRaw: lamports.toString(),
+          unit: 'SOL'
+        };
+      }
 
-    const transaction = new Transaction();
+      const { signature, status, slot } = await signAndSendTransaction(
+        this.wallet,
+        transaction,
+        [this.wallet.keypair],
+        options
+      );
+      this.wallet.recordSpend(intent, signature, reservation);
+
+      return {
+        signature,
+        from: this.wallet.address,
+        to: toAddress,
+        amount: amount.ui,
+        amountRaw: lamports.toString(),
+        unit: 'SOL',
+        status,
+        slot,
+        priorityFee,
+        explorerUrl: `https://solscan.io/tx/${signature}`
+      };
+    } catch (e) {
+      this.wallet.settleSpend(intent, reservation, e);
+      throw e;
+    } finally {
+      this.wallet.releaseSpend(reservation);
+    }
+  }
+
+  /**
+   * Instructions for a transferChecked to an owner, creating their associated
+   * token account first if it doesn't exist yet
+   *
+   * @returns {Promise<{ createAta: TransactionInstruction|null, destAta: PublicKey, transfer: TransactionInstruction }>}
+   */
+  async tokenTransferInstructions(toPubkey, mintInfo, amount) {
+    const { programId, decimals } = mintInfo;
+    const mintPubkey = new PublicKey(mintInfo.address);
+    const sourceAta = associatedTokenAddress(mintInfo, this.wallet.keypair.publicKey);
+    const destAta = associatedTokenAddress(mintInfo, toPubkey);
 
     // Check if destination ATA exists, create if not
+    let createAta = null;
     try {
-      await getAccount(this.wallet.connection, destAta);
+      await getAccount(this.wallet.connection, destAta, 'confirmed', programId);
     } catch (e) {
       if (e.name === 'TokenAccountNotFoundError') {
-        transaction.add(
-          createAssociatedTokenAccountInstruction(
-            this.wallet.keypair.publicKey, // payer
-            destAta, // ata
-            toPubkey, // owner
-            mintPubkey // mint
-          )
+        createAta = createAssociatedTokenAccountIdempotentInstruction(
+          this.wallet.keypair.publicKey, // payer
+          destAta, // ata
+          toPubkey, // owner
+          mintPubkey, // mint
+          programId,
+          ASSOCIATED_TOKEN_PROGRAM_ID
         );
       } else {
         throw e;
       }
     }
 
-    // Add transfer instruction
-    transaction.add(
-      createTransferInstruction(
+    // Transfer-hook mints need the hook program's extra accounts
+    const transfer = mintInfo.transferHook
+      ? await createTransferCheckedWithTransferHookInstruction(
+        this.wallet.connection,
         sourceAta,
+        mintPubkey,
         destAta,
         this.wallet.keypair.publicKey,
-        BigInt(amount)
+        amount,
+        decimals,
+        [],
+        'confirmed',
+        programId
       )
-    );
-
-    const signature = await sendAndConfirmTransaction(
-      this.wallet.connection,
-      transaction,
-      [this.wallet.keypair]
-    );
-
-    return {
-      signature,
-      from: this.wallet.address,
-      to: toAddress,
-      amount: amount.toString(),
-      mint: mintAddress,
-      explorerUrl: `https://solscan.io/tx/${signature}`
+      : createTransferCheckedInstruction(
+        sourceAta,
+        mintPubkey,
+        destAta,
+        this.wallet.keypair.publicKey,
+        amount,
+        decimals,
+        [],
+        programId
+      );
+
+    return { createAta, destAta, transfer };
+  }
+
+  /**
+   * Send SPL Token or Token-2022 tokens to an address with transferChecked.
+   * For mints with a transfer fee, the result reports the fee withheld from
+   * the recipient.
+   *
+   * @param {string|number|bigint} tokenAmount - e.g. 1.5, "1.5 USDC" or "raw:1500000"
+   * @param {string} [mintAddress] - Mint or symbol; optional when the amount names the token
+   * @param {object} options - { dryRun, priorityFee, maxPriorityFee, computeUnits, maxAttempts, onSent }
+   */
+  async sendToken(toAddress, tokenAmount, mintAddress, options = {}) {
+    const toPubkey = new PublicKey(toAddress);
+    const resolved = await resolveAmount(this.wallet.connection, tokenAmount, mintAddress);
+    const mint = resolved.mint;
+    const mintPubkey = new PublicKey(mint);
+    const amount = resolved.raw;
+
+    const intent = { action: 'transfer', mint, amount, recipient: toAddress };
+    const reservation = await this.wallet.enforcePolicy(intent);
+
+    try {
+      const mintInfo = await getMintInfo(this.wallet.connection, mintPubkey);
+      const { decimals } = mintInfo;
+      const sourceAta = associatedTokenAddress(mintInfo, this.wallet.keypair.publicKey);
+
+      const { createAta, transfer } = await this.tokenTransferInstructions(toPubkey, mintInfo, amount);
+      const transaction = new Transaction();
+      if (createAta) {
+        transaction.add(createAta);
+      }
+      transaction.add(transfer);
+
+      let transferFee = null;
+      if (mintInfo.transferFee) {
+        const { epoch } = await this.wallet.connection.getEpochInfo();
+        const withheld = transferFeeFor(mintInfo, amount, epoch);
+        transferFee = {
+          ...mintInfo.transferFee,
+          withheld: withheld.toString(),
+          withheldUi: toUi(withheld, decimals),
+          received: (amount - withheld).toString(),
+          receivedUi: toUi(amount - withheld, decimals)
+        };
+      }
+
+      const priorityFee = await applyPriorityFee(
+        this.wallet.connection,
+        transaction,
+        this.wallet.keypair.publicKey,
+        options
+      );
+
+      if (options.dryRun) {
+        const simulation = await simulateTransaction(this.wallet, transaction, {
+          tokenAccounts: [{ address: sourceAta, mint: mintPubkey }]
+        });
+        return {
+          ...simulation,
+          priorityFee,
+          from: this.wallet.address,
+          to: toAddress,
+          amount: resolved.ui,
+          amountRaw: amount.toString(),
+          mint,
+          program: mintInfo.program,
+          transferFee
+        };
+      }
+
+      const { signature, status, slot } = await signAndSendTransaction(
+        this.wallet,
+        transaction,
+        [this.wallet.keypair],
+        options
+      );
+      this.wallet.recordSpend(intent, signature, reservation);
+
+      return {
+        signature,
+        from: this.wallet.address,
+        to: toAddress,
+        amount: resolved.ui,
+        amountRaw: amount.toString(),
+        mint,
+        program: mintInfo.program,
+        transferFee,
+        status,
+        slot,
+        priorityFee,
+        explorerUrl: `https://solscan.io/tx/${signature}`
+      };
+    } catch (e) {
+      this.wallet.settleSpend(intent, reservation, e);
+      throw e;
+    } finally {
+      this.wallet.releaseSpend(reservation);
+    }
+  }
+
+  /**
+   * Resolve one payout and check it against the policy. The payout's
+   * reservation must be recorded or released by the caller.
+   *
+   * @param {object} recipient - { to, amount, mint? } mint omitted (or SOL) for native SOL
+   */
+  async preparePayout(recipient) {
+    const toPubkey = new PublicKey(recipient.to);
+    const resolved = await resolveAmount(this.wallet.connection, recipient.amount, recipient.mint || 'SOL');
+    const isSol = resolved.mint === TOKENS.SOL;
+    const mint = isSol ? 'SOL' : resolved.mint;
+    const intent = {
+      action: 'transfer',
+      mint,
+      amount: resolved.raw,
+      recipient: recipient.to
     };
+    const reservation = await this.wallet.enforcePolicy(intent);
+
+    if (isSol) {
+      return {
+        intent,
+        reservation,
+        resolved,
+        instructions: [SystemProgram.transfer({
+          fromPubkey: this.wallet.keypair.publicKey,
+          toPubkey,
+          lamports: resolved.raw
+        })]
+      };
+    }
+
+    try {
+      const mintInfo = await getMintInfo(this.wallet.connection, resolved.mint);
+      const { createAta, destAta, transfer } = await this.tokenTransferInstructions(toPubkey, mintInfo, resolved.raw);
+      return { intent, reservation, resolved, createAta, ataKey: destAta.toBase58(), instructions: [transfer] };
+    } catch (e) {
+      this.wallet.releaseSpend(reservation);
+      throw e;
+    }
+  }
+
+  /**
+   * Whether instructions fit in one transaction signed by the wallet alone,
+   * leaving room for the priority fee instructions
+   */
+  fitsInTransaction(instructions) {
+    const transaction = new Transaction().add(...BUDGET_PLACEHOLDERS, ...instructions);
+    transaction.feePayer = this.wallet.keypair.publicKey;
+    transaction.recentBlockhash = PublicKey.default.toBase58();
+    try {
+      // compact-u16 signature count + one signature + message
+      return 1 + 64 + transaction.serializeMessage().length <= PACKET_DATA_SIZE;
+    } catch (e) {
+      // Too many accounts or an oversized message
+      return false;
+    }
+  }
+
+  /**
+   * Send SOL and tokens to many recipients, packing the transfers (and any
+   * ATA creation) into as few transactions as fit the size limit
+   *
+   * @param {Array} recipients - [{ to, amount, mint? }] mint omitted for SOL
+   * @param {object} options - { dryRun, priorityFee, maxPriorityFee, computeUnits, maxAttempts,
+   *   onProgress({ type: 'sent' | 'result', rows, results, signature, lastValidBlockHeight, status, error }) }
+   *   'sent' comes as soon as a batch is signed, before it is broadcast, so the signature can be stored first
+   * @returns {Promise<Array>} one result per recipient, in input order:
+   *   { index, to, amount, amountRaw, mint, status, signature?, error?, code? }
+   *   status is confirmed, failed, expired, rejected, unknown (may have landed) or simulated
+   */
+  async sendMany(recipients, options = {}) {
+    const onProgress = options.onProgress || (() => {});
+    const results = recipients.map((r, index) => ({
+      index,
+      to: r.to,
+      amount: String(r.amount),
+      amountRaw: null,
+      mint: r.mint || 'SOL',
+      status: null
+    }));
+
+    // Resolve and policy-check every row before anything is sent; each row's
+    // reservation counts against the limits of the rows after it
+    const prepared = [];
+    for (const [index, recipient] of recipients.entries()) {
+      try {
+        const payout = await this.preparePayout(recipient);
+        Object.assign(results[index], {
+          amount: payout.resolved.ui,
+          amountRaw: payout.resolved.raw.toString(),
+          mint: payout.intent.mint
+        });
+        prepared.push({ index, ...payout });
+      } catch (e) {
+        Object.assign(results[index], { status: 'rejected', error: e.message, code: e.code });
+      }
+    }
+
+    // Greedily pack rows into transactions, creating each ATA once per transaction
+    const batches = [];
+    for (const payout of prepared) {
+      const current = batches[batches.length - 1];
+      if (current) {
+        const needsAta = payout.createAta && !current.atas.has(payout.ataKey);
+        const candidate = [...current.instructions, ...(needsAta ? [payout.createAta] : []), ...payout.instructions];
+        if (this.fitsInTransaction(candidate)) {
+          current.instructions = candidate;
+          current.payouts.push(payout);
+          if (needsAta) {
+            current.atas.add(payout.ataKey);
+          }
+          continue;
+        }
+      }
+      const instructions = [...(payout.createAta ? [payout.createAta] : []), ...payout.instructions];
+      if (!this.fitsInTransaction(instructions)) {
+        this.wallet.releaseSpend(payout.reservation);
+        Object.assign(results[payout.index], { status: 'rejected', error: 'Transfer does not fit in a transaction' });
+        continue;
+      }
+      batches.push({ instructions, payouts: [payout], atas: new Set(payout.createAta ? [payout.ataKey] : []) });
+    }
+
+    for (const batch of batches) {
+      const rows = batch.payouts.map(p => p.index);
+      const transaction = new Transaction().add(...batch.instructions);
+      let signature = null;
+      try {
+        const priorityFee = await applyPriorityFee(
+          this.wallet.connection,
+          transaction,
+          this.wallet.keypair.publicKey,
+          options
+        );
+
+        if (options.dryRun) {
+          const simulation = await simulateTransaction(this.wallet, transaction);
+          for (const index of rows) {
+            Object.assign(results[index], {
+              status: 'simulated',
+              batch: batches.indexOf(batch),
+              simulation: { success: simulation.success, error: simulation.error, fee: simulation.fee, priorityFee }
+            });
+          }
+          continue;
+        }
+
+        const result = await signAndSendTransaction(this.wallet, transaction, [this.wallet.keypair], {
+          ...options,
+          onSigned: (signed, { lastValidBlockHeight }) => {
+            onProgress({ type: 'sent', rows, results: rows.map(i => results[i]), signature: signed, lastValidBlockHeight });
+          },
+          onSent: sent => {
+            signature = sent;
+          }
+        });
+        for (const payout of batch.payouts) {
+          this.wallet.recordSpend(payout.intent, result.signature, payout.reservation);
+          Object.assign(results[payout.index], { status: 'confirmed', signature: result.signature, slot: result.slot });
+        }
+      } catch (e) {
+        let status = 'failed';
+        if (e instanceof TransactionExpiredError) {
+          status = 'expired';
+        } else if (signature && !(e instanceof TransactionFailedError)) {
+          // Sent but the outcome is unknown; it may still land, so it keeps counting against the limits
+          status = 'unknown';
+          for (const payout of batch.payouts) {
+            this.wallet.recordSpend(payout.intent, signature, payout.reservation, { unconfirmed: true });
+          }
+        }
+        for (const index of rows) {
+          Object.assign(results[index], { status, signature, error: e.message, code: e.code });
+        }
+      } finally {
+        for (const payout of batch.payouts) {
+          this.wallet.releaseSpend(payout.reservation);
+        }
+      }
+      const [first] = rows.map(i => results[i]);
+      onProgress({
+        type: 'result',
+        rows,
+        results: rows.map(i => results[i]),
+        signature: first.signature || null,
+        status: first.status,
+        error: first.error || null
+      });
+    }
+
+    return results;
   }
 }
 
@@ -0,0 +1,229 @@
+/**
+ * Solana Agent Kit - Validator Directory
+ * Live vote account data from getVoteAccounts and getEpochInfo, scored so
+ * delegations go to healthy, low-commission validators
+ */
+
+const { PublicKey } = require('@solana/web3.js');
+const { toUi, SOL_DECIMALS } = require('./amount');
+
+// Popular validators (can be expanded)
+const VALIDATORS = {
+  'jito': 'J1to1yufRnoWn81KYg1XkTWzmKjnYSnmE2VY8DGUJ9Qv',
+  'marinade': 'mrgn28BhocwdAUEenen3Sw2MR9cPKDpLkDvzDdR7DBD',
+  'solflare': 'SoLFLaReRVNagJzYYGppSkqzkhmHZ5ZR8EUpzqLEAaL',
+  'everstake': 'EverSFw9uN5t1V8kS3ficHUcKffSjwpGzUSGd7mgmSks'
+};
+
+const CACHE_TTL_MS = 60 * 1000;
+
+// Completed epochs averaged for vote credits
+const CREDIT_EPOCHS = 4;
+
+// Slots behind the tip at which a validator's voting counts as fully lagging
+const MAX_VOTE_LAG = 150;
+
+const DEFAULT_MAX_COMMISSION = 10;
+
+// Sort keys for list(); true sorts descending
+const SORTS = {
+  score: ['score', true],
+  commission: ['commission', false],
+  stake: ['activatedStakeRaw', true],
+  credits: ['averageCredits', true],
+  lag: ['voteLag', false]
+};
+
+/**
+ * A vote account is unknown or unhealthy, or no validator qualifies
+ */
+class ValidatorError extends Error {
+  /**
+   * @param {string} code - UNKNOWN_VALIDATOR, DELINQUENT_VALIDATOR, NO_ELIGIBLE_VALIDATOR or INVALID_SORT
+   */
+  constructor(code, message, details = {}) {
+    super(message);
+    this.name = 'ValidatorError';
+    this.code = code;
+    this.details = details;
+  }
+}
+
+/**
+ * Score a validator from 0 to 100: vote credits relative to the best
+ * performer (50%), commission (30%) and vote lag (20%). Delinquent
+ * validators score 0.
+ */
+function scoreValidator(validator, maxCredits) {
+  if (validator.delinquent) {
+    return 0;
+  }
+  const credits = maxCredits ? Math.min(validator.averageCredits / maxCredits, 1) : 0;
+  const fee = (100 - validator.commission) / 100;
+  const lag = Math.max(0, 1 - validator.voteLag / MAX_VOTE_LAG);
+  return Math.round((credits * 0.5 + fee * 0.3 + lag * 0.2) * 100);
+}
+
+/**
+ * Directory entry for a vote account from getVoteAccounts
+ */
+function describeVoteAccount(account, delinquent, epoch, slot) {
+  const names = Object.entries(VALIDATORS);
+  const credits = account.epochCredits
+    .filter(([e]) => e < epoch)
+    .slice(-CREDIT_EPOCHS)
+    .map(([e, total, previous]) => ({ epoch: e, credits: total - previous }));
+  const stake = BigInt(account.activatedStake);
+
+  return {
+    votePubkey: account.votePubkey,
+    nodePubkey: account.nodePubkey,
+    name: names.find(([, address]) => address === account.votePubkey)?.[0] || null,
+    commission: account.commission,
+    activatedStake: toUi(stake, SOL_DECIMALS),
+    activatedStakeRaw: stake.toString(),
+    lastVote: account.lastVote,
+    voteLag: Math.max(slot - account.lastVote, 0),
+    delinquent,
+    superminority: false,
+    epochCredits: credits,
+    averageCredits: credits.length
+      ? Math.round(credits.reduce((sum, c) => sum + c.credits, 0) / credits.length)
+      : 0,
+    score: 0
+  };
+}
+
+class ValidatorDirectory {
+  /**
+   * @param {Connection} connection
+   * @param {object} options - { ttlMs } how long a snapshot is reused
+   */
+  constructor(connection, { ttlMs = CACHE_TTL_MS } = {}) {
+    this.connection = connection;
+    this.ttlMs = ttlMs;
+    this.snapshot = null;
+  }
+
+  /**
+   * Current and delinquent validators with their scores, cached for ttlMs
+   *
+   * @returns {Promise<{ epoch: number, slot: number, fetchedAt: number, validators: Array }>}
+   */
+  async load({ refresh = false } = {}) {
+    if (!refresh && this.snapshot && Date.now() - this.snapshot.fetchedAt < this.ttlMs) {
+      return this.snapshot;
+    }
+
+    const [{ current, delinquent }, { epoch, absoluteSlot }] = await Promise.all([
+      this.connection.getVoteAccounts(),
+      this.connection.getEpochInfo()
+    ]);
+    const validators = [
+      ...current.map(v => describeVoteAccount(v, false, epoch, absoluteSlot)),
+      ...delinquent.map(v => describeVoteAccount(v, true, epoch, absoluteSlot))
+    ];
+
+    // The largest validators that together hold a third of the stake can halt
+    // the network; auto-selection avoids adding to them
+    const total = validators.reduce((sum, v) => sum + BigInt(v.activatedStakeRaw), 0n);
+    let cumulative = 0n;
+    const byStake = [...validators].sort((a, b) => Number(BigInt(b.activatedStakeRaw) - BigInt(a.activatedStakeRaw)));
+    for (const v of byStake) {
+      if (cumulative * 3n >= total) {
+        break;
+      }
+      v.superminority = true;
+      cumulative += BigInt(v.activatedStakeRaw);
+    }
+
+    const maxCredits = Math.max(0, ...validators.filter(v => !v.delinquent).map(v => v.averageCredits));
+    for (const v of validators) {
+      v.score = scoreValidator(v, maxCredits);
+    }
+
+    this.snapshot = { epoch, slot: absoluteSlot, fetchedAt: Date.now(), validators };
+    return this.snapshot;
+  }
+
+  /**
+   * Sorted, optionally truncated validator list
+   *
+   * @param {object} options - { sort: score|commission|stake|credits|lag, limit, includeDelinquent }
+   */
+  async list({ sort = 'score', limit, includeDelinquent = false } = {}) {
+    const order = SORTS[sort || 'score'];
+    if (!order) {
+      throw new ValidatorError('INVALID_SORT', `Unknown sort ${sort}: use ${Object.keys(SORTS).join(', ')}`, { sort });
+    }
+    const [key, descending] = order;
+    const value = v => (key === 'activatedStakeRaw' ? Number(v[key]) : v[key]);
+
+    const { epoch, slot, validators } = await this.load();
+    const sorted = validators
+      .filter(v => includeDelinquent || !v.delinquent)
+      .sort((a, b) => (descending ? value(b) - value(a) : value(a) - value(b)) || b.score - a.score);
+    const count = parseInt(limit, 10);
+    return { epoch, slot, validators: count > 0 ? sorted.slice(0, count) : sorted };
+  }
+
+  /**
+   * Resolve a validator name or vote account and check it is safe to delegate to
+   *
+   * @param {object} options - { force } accept unknown or delinquent vote accounts
+   * @returns {Promise<object>} directory entry, or { votePubkey, unknown: true } when forced
+   * @throws {ValidatorError} UNKNOWN_VALIDATOR or DELINQUENT_VALIDATOR
+   */
+  async resolve(nameOrAddress, { force = false } = {}) {
+    const address = VALIDATORS[nameOrAddress.toLowerCase()] || nameOrAddress;
+    try {
+      new PublicKey(address);
+    } catch (e) {
+      throw new ValidatorError('UNKNOWN_VALIDATOR',
+        `Unknown validator ${nameOrAddress}: use a vote account address, auto or one of ${Object.keys(VALIDATORS).join(', ')}`,
+        { validator: nameOrAddress });
+    }
+
+    const { validators } = await this.load();
+    const entry = validators.find(v => v.votePubkey === address);
+    if (!entry) {
+      if (force) {
+        return { votePubkey: address, unknown: true };
+      }
+      throw new ValidatorError('UNKNOWN_VALIDATOR', `${address} is not a vote account in the current validator set`,
+        { validator: address });
+    }
+    if (entry.delinquent && !force) {
+      throw new ValidatorError('DELINQUENT_VALIDATOR', `Validator ${entry.name || address} is delinquent`, {
+        validator: address,
+        lastVote: entry.lastVote,
+        voteLag: entry.voteLag
+      });
+    }
+    return entry;
+  }
+
+  /**
+   * Highest-scoring healthy validator outside the superminority
+   *
+   * @param {object} options - { maxCommission } default 10 (percent)
+   * @throws {ValidatorError} NO_ELIGIBLE_VALIDATOR
+   */
+  async pick({ maxCommission = DEFAULT_MAX_COMMISSION } = {}) {
+    const limit = Number(maxCommission ?? DEFAULT_MAX_COMMISSION);
+    const { validators } = await this.list({ sort: 'score' });
+    const best = validators.find(v => !v.superminority && v.commission <= limit && v.voteLag < MAX_VOTE_LAG);
+    if (!best) {
+      throw new ValidatorError('NO_ELIGIBLE_VALIDATOR', `No healthy validator with commission at most ${limit}%`,
+        { maxCommission: limit });
+    }
+    return best;
+  }
+}
+
+module.exports = {
+  ValidatorDirectory,
+  ValidatorError,
+  scoreValidator,
+  VALIDATORS
+};
@@ -3,11 +3,18 @@
  * Allows AI agents to create, import, and manage Solana wallets
  */
 
-const { Keypair, Connection, PublicKey, LAMPORTS_PER_SOL } = require('@solana/web3.js');
-const { getAssociatedTokenAddress, getAccount } = require('@solana/spl-token');
+const { Keypair, Connection, LAMPORTS_PER_SOL } = require('@solana/web3.js');
+const { getAccount } = require('@solana/spl-token');
 const bs58 = require('bs58');
+const bip39 = require('bip39');
+const { derivePath } = require('ed25519-hd-key');
 const fs = require('fs');
 const path = require('path');
+const { isKeystore, encryptSecretKey, decryptKeystore } = require('./keystore');
+const { getMintInfo, associatedTokenAddress, programName, TOKEN_PROGRAMS } = require('./mint');
+const { TokenRegistry } = require('./registry');
+const { getHistory } = require('./history');
+const { TransactionExpiredError, TransactionFailedError } = require('./sender');
 
 const DEFAULT_RPC = 'https://api.mainnet-beta.solana.com';
 
@@ -15,6 +22,7 @@ class Wallet {
   constructor(keypair, rpcUrl = DEFAULT_RPC) {
     this.keypair = keypair;
     this.connection = new Connection(rpcUrl, 'confirmed');
+    this.policy = null;
   }
 
   /**
@@ -43,13 +51,67 @@ class Wallet {
   }
 
   /**
-   * Import wallet from JSON file (solana-keygen format)
+   * Standard Solana BIP44 derivation path (m/44'/501'/account'/change')
    */
-  static fromFile(filePath, rpcUrl = DEFAULT_RPC) {
+  static derivationPath(account = 0, change = 0) {
+    return `m/44'/501'/${account}'/${change}'`;
+  }
+
+  /**
+   * Derive a wallet from a BIP39 mnemonic phrase
+   *
+   * @param {string} mnemonic - 12 or 24 word phrase
+   * @param {object} options - { account, change, passphrase } (BIP39 passphrase, not the keystore one)
+   */
+  static fromMnemonic(mnemonic, options = {}, rpcUrl = DEFAULT_RPC) {
+    const { account = 0, change = 0, passphrase = '' } = options;
+    const phrase = mnemonic.trim().toLowerCase().split(/\s+/).join(' ');
+    if (!bip39.validateMnemonic(phrase)) {
+      throw new Error('Invalid mnemonic phrase');
+    }
+    const seed = bip39.mnemonicToSeedSync(phrase, passphrase);
+    const derivation = Wallet.derivationPath(account, change);
+    const { key } = derivePath(derivation, seed.toString('hex'));
+
+    const wallet = new Wallet(Keypair.fromSeed(key), rpcUrl);
+    wallet.derivationPath = derivation;
+    return wallet;
+  }
+
+  /**
+   * Create a new wallet backed by a fresh mnemonic. The phrase is only returned here.
+   *
+   * @param {object} options - { words: 12 | 24, passphrase }
+   * @returns {{ wallet: Wallet, mnemonic: string }}
+   */
+  static createWithMnemonic(rpcUrl = DEFAULT_RPC, options = {}) {
+    const strength = options.words === 24 ? 256 : 128;
+    const mnemonic = bip39.generateMnemonic(strength);
+    const wallet = Wallet.fromMnemonic(mnemonic, { passphrase: options.passphrase }, rpcUrl);
+    return { wallet, mnemonic };
+  }
+
+  /**
+   * Import wallet from JSON file (solana-keygen format or encrypted keystore)
+   *
+   * @param {object} options - { passphrase } required for encrypted keystores
+   */
+  static fromFile(filePath, rpcUrl = DEFAULT_RPC, options = {}) {
     const data = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    if (isKeystore(data)) {
+      const secretKey = decryptKeystore(data, options.passphrase);
+      return new Wallet(Keypair.fromSecretKey(secretKey), rpcUrl);
+    }
     return Wallet.fromPrivateKey(data, rpcUrl);
   }
 
+  /**
+   * Check whether a wallet file is an encrypted keystore
+   */
+  static isEncryptedFile(filePath) {
+    return isKeystore(JSON.parse(fs.readFileSync(filePath, 'utf8')));
+  }
+
   /**
    * Get public key (address)
    */
@@ -68,18 +130,25 @@ class Wallet {
    * Get SOL balance
    */
   async getBalance() {
-    const balance = await this.connection.getBalance(this.keypair.publicKey);
+    const balance = await this.getLamports();
     return balance / LAMPORTS_PER_SOL;
   }
 
   /**
-   * Get token balance for a specific mint
+   * Get SOL balance in lamports
+   */
+  async getLamports() {
+    return this.connection.getBalance(this.keypair.publicKey);
+  }
+
+  /**
+   * Get token balance for a specific mint (SPL Token or Token-2022)
    */
   async getTokenBalance(mintAddress) {
     try {
-      const mint = new PublicKey(mintAddress);
-      const ata = await getAssociatedTokenAddress(mint, this.keypair.publicKey);
-      const account = await getAccount(this.connection, ata);
+      const mintInfo = await getMintInfo(this.connection, mintAddress);
+      const ata = associatedTokenAddress(mintInfo, this.keypair.publicKey);
+      const account = await getAccount(this.connection, ata, 'confirmed', mintInfo.programId);
       return Number(account.amount);
     } catch (e) {
       if (e.name === 'TokenAccountNotFoundError') {
@@ -90,34 +159,105 @@ class Wallet {
   }
 
   /**
-   * Get all token balances
+   * Get all token balances across the SPL Token and Token-2022 programs,
+   * with symbols from the token registry (null for unknown mints)
    */
   async getAllTokenBalances() {
-    const tokenAccounts = await this.connection.getParsedTokenAccountsByOwner(
-      this.keypair.publicKey,
-      { programId: new PublicKey('TokenkegQfeZyiNwAJbNbGKPFXCWuBvf9Ss623VQ5DA') }
-    );
+    const tokens = TokenRegistry.default();
+    const results = await Promise.all(TOKEN_PROGRAMS.map(programId =>
+      this.connection.getParsedTokenAccountsByOwner(this.keypair.publicKey, { programId })
+    ));
 
-    return tokenAccounts.value.map(({ account }) => {
+    return results.flatMap((tokenAccounts, i) => tokenAccounts.value.map(({ account }) => {
       const info = account.data.parsed.info;
+      const token = tokens.byMint(info.mint);
       return {
         mint: info.mint,
         amount: info.tokenAmount.uiAmount,
+        amountRaw: info.tokenAmount.amount,
         decimals: info.tokenAmount.decimals,
-        symbol: info.tokenAmount.uiAmountString
+        symbol: token?.symbol || null,
+        name: token?.name || null,
+        program: programName(TOKEN_PROGRAMS[i])
       };
-    }).filter(t => t.amount > 0);
+    })).filter(t => t.amount > 0);
+  }
+
+  /**
+   * Get parsed transaction history, newest first
+   *
+   * @param {object} options - { limit, before, until } before/until are signatures
+   * @returns {Promise<{ transactions, nextCursor }>} pass nextCursor as before for the next page
+   */
+  async getHistory(options = {}) {
+    return getHistory(this, options);
+  }
+
+  /**
+   * Attach a spending policy enforced by Transfer, Swapper and Staking
+   */
+  setPolicy(policy) {
+    this.policy = policy;
+    return this;
+  }
+
+  /**
+   * Check an intended operation against the policy (throws PolicyError)
+   *
+   * @returns {Promise<object|null>} reservation to pass to recordSpend, or to releaseSpend if
+   *   the operation doesn't complete
+   */
+  async enforcePolicy(intent) {
+    return this.policy ? this.policy.check(this, intent) : null;
+  }
+
+  /**
+   * Record a completed operation against the policy's daily limits
+   *
+   * @param {object} options - { unconfirmed } for one sent whose outcome is unknown
+   */
+  recordSpend(intent, signature, reservation, options = {}) {
+    if (this.policy) {
+      this.policy.record(this, intent, signature, reservation, options);
+    }
+  }
+
+  /**
+   * Settle the reservation of an operation that threw. One that was sent and
+   * may still land keeps counting, recorded as unconfirmed; one that never
+   * went out, expired or failed on chain is released.
+   */
+  settleSpend(intent, reservation, error) {
+    if (error?.signature && !(error instanceof TransactionExpiredError) && !(error instanceof TransactionFailedError)) {
+      this.recordSpend(intent, error.signature, reservation, { unconfirmed: true });
+    } else {
+      this.releaseSpend(reservation);
+    }
+  }
+
+  /**
+   * Release the reservation of an operation that won't be recorded (no-op once recorded)
+   */
+  releaseSpend(reservation) {
+    if (this.policy) {
+      this.policy.release(reservation);
+    }
   }
 
   /**
    * Save wallet to file
+   *
+   * @param {object} options - { passphrase } write an encrypted keystore instead of raw bytes
    */
-  save(filePath) {
+  save(filePath, options = {}) {
     const dir = path.dirname(filePath);
     if (!fs.existsSync(dir)) {
       fs.mkdirSync(dir, { recursive: true });
     }
-    fs.writeFileSync(filePath, JSON.stringify(Array.from(this.keypair.secretKey)));
+    const contents = options.passphrase
+      ? encryptSecretKey(this.keypair.secretKey, options.passphrase, this.address)
+      : Array.from(this.keypair.secretKey);
+    fs.writeFileSync(filePath, JSON.stringify(contents));
     fs.chmodSync(filePath, 0o600);
     return filePath;
   }
@@ -128,7 +268,8 @@ class Wallet {
   toJSON() {
     return {
       address: this.address,
-      publicKey: this.keypair.publicKey.toBase58()
+      publicKey: this.keypair.publicKey.toBase58(),
+      ...(this.derivationPath && { derivationPath: this.derivationPath })
     };
   }
 }
@@ -0,0 +1,432 @@
+/**
+ * Solana Agent Kit - Account Watcher
+ * RPC websocket subscriptions to a wallet's SOL account, token accounts,
+ * stake accounts and transactions, turned into normalized events. A periodic
+ * resync over HTTP reports anything the stream missed and resubscribes when
+ * the stream has gone quiet.
+ */
+
+const { EventEmitter } = require('events');
+const { Connection, PublicKey, StakeProgram } = require('@solana/web3.js');
+const { AccountLayout, ACCOUNT_SIZE } = require('@solana/spl-token');
+const { toUi, getDecimals, SOL_DECIMALS } = require('./amount');
+const { TOKEN_PROGRAMS, programName } = require('./mint');
+const { TokenRegistry } = require('./registry');
+const { Staking } = require('./stake');
+
+// How often state is re-read over HTTP to catch missed notifications
+const RESYNC_MS = 30 * 1000;
+
+// Stake notifications arrive in bursts; the accounts are re-read once they settle
+const STAKE_DEBOUNCE_MS = 1000;
+
+// Delay before retrying a failed subscribe, doubling up to the maximum
+const RETRY_MS = 1000;
+const MAX_RETRY_MS = 60 * 1000;
+
+// Events kept for clients that reconnect with the last id they saw
+const REPLAY_EVENTS = 100;
+
+// Token account owner in the SPL token account layout
+const TOKEN_OWNER_OFFSET = 32;
+
+// Authorized staker in the stake account layout
+const STAKER_OFFSET = 12;
+
+/**
+ * Watches one wallet. Listeners get events as { id, type, wallet, timestamp, source, slot, ... }:
+ *   balance_changed      SOL balance: balance, change (and *Raw)
+ *   token_received       token balance went up: mint, symbol, tokenAccount, amount, balance (and *Raw)
+ *   token_sent           token balance went down: same fields
+ *   stake_changed        stake account created, closed or changed state: stakeAccount, state,
+ *                        previousState (null when created; state is null when closed), sol, validator
+ *   signature_confirmed  a transaction mentioning the wallet confirmed: signature, success, error
+ *   watching, resubscribed, error   stream status
+ * source is 'subscription' or 'resync' (found by the periodic re-read).
+ */
+class AccountWatcher extends EventEmitter {
+  /**
+   * @param {Wallet} wallet
+   * @param {object} options - { staking, commitment, wsEndpoint, resyncMs } wsEndpoint defaults to
+   *   SOLANA_WS_URL or the RPC URL's websocket endpoint
+   */
+  constructor(wallet, { staking, commitment = 'confirmed', wsEndpoint = process.env.SOLANA_WS_URL,
+    resyncMs = RESYNC_MS } = {}) {
+    super();
+    this.wallet = wallet;
+    this.owner = new PublicKey(wallet.address);
+    this.staking = staking || new Staking(wallet);
+    this.commitment = commitment;
+    this.wsEndpoint = wsEndpoint || undefined;
+    this.resyncMs = resyncMs;
+    this.tokens = TokenRegistry.default();
+
+    this.running = false;
+    this.starting = null;
+    this.clients = 0;
+    this.connection = null;
+    this.subscriptions = [];
+    this.timers = {};
+    this.retryMs = RETRY_MS;
+    this.notifiedSinceResync = false;
+
+    this.sequence = 0;
+    this.recent = [];
+    this.state = { lamports: null, lamportsSlot: 0, tokens: new Map(), stake: new Map() };
+  }
+
+  emitEvent(type, fields = {}) {
+    const event = {
+      id: ++this.sequence,
+      type,
+      wallet: this.wallet.address,
+      timestamp: new Date().toISOString(),
+      ...fields
+    };
+    this.recent = [...this.recent, event].slice(-REPLAY_EVENTS);
+    this.emit('event', event);
+    return event;
+  }
+
+  /**
+   * Read the SOL balance, token accounts and stake accounts over HTTP
+   */
+  async readState() {
+    const [balance, tokenResults, stakeAccounts] = await Promise.all([
+      this.wallet.connection.getBalanceAndContext(this.owner, this.commitment),
+      Promise.all(TOKEN_PROGRAMS.map(programId =>
+        this.wallet.connection.getParsedTokenAccountsByOwner(this.owner, { programId }, this.commitment))),
+      this.staking.getStakeAccounts()
+    ]);
+
+    const tokens = new Map();
+    tokenResults.forEach((result, i) => {
+      for (const { pubkey, account } of result.value) {
+        const { mint, tokenAmount } = account.data.parsed.info;
+        tokens.set(pubkey.toBase58(), {
+          mint,
+          decimals: tokenAmount.decimals,
+          amountRaw: BigInt(tokenAmount.amount),
+          program: programName(TOKEN_PROGRAMS[i]),
+          slot: result.context.slot
+        });
+      }
+    });
+    return {
+      lamports: BigInt(balance.value),
+      lamportsSlot: balance.context.slot,
+      tokens,
+      stake: new Map(stakeAccounts.map(a => [a.address, a]))
+    };
+  }
+
+  /**
+   * Record a SOL balance, emitting balance_changed when it moved
+   */
+  applyLamports(lamports, slot, source) {
+    if (slot < this.state.lamportsSlot) {
+      return;
+    }
+    const previous = this.state.lamports;
+    this.state.lamports = lamports;
+    this.state.lamportsSlot = slot;
+    if (previous !== null && lamports !== previous) {
+      const change = lamports - previous;
+      this.emitEvent('balance_changed', {
+        source,
+        slot,
+        balance: toUi(lamports, SOL_DECIMALS),
+        balanceRaw: lamports.toString(),
+        change: (change < 0n ? '-' : '') + toUi(change < 0n ? -change : change, SOL_DECIMALS),
+        changeRaw: change.toString()
+      });
+    }
+  }
+
+  /**
+   * Record a token account balance, emitting token_received or token_sent when it moved
+   */
+  applyToken(address, entry, source) {
+    const previous = this.state.tokens.get(address);
+    if (previous && entry.slot < previous.slot) {
+      return;
+    }
+    this.state.tokens.set(address, entry);
+    const before = previous?.amountRaw ?? 0n;
+    if (entry.amountRaw === before) {
+      return;
+    }
+    const change = entry.amountRaw - before;
+    const amount = change < 0n ? -change : change;
+    this.emitEvent(change > 0n ? 'token_received' : 'token_sent', {
+      source,
+      slot: entry.slot,
+      mint: entry.mint,
+      symbol: this.tokens.byMint(entry.mint)?.symbol || null,
+      tokenAccount: address,
+      amount: toUi(amount, entry.decimals),
+      amountRaw: amount.toString(),
+      balance: toUi(entry.amountRaw, entry.decimals),
+      balanceRaw: entry.amountRaw.toString()
+    });
+  }
+
+  /**
+   * Compare stake accounts with the last known ones, emitting stake_changed for each difference
+   */
+  applyStake(accounts, source) {
+    for (const [address, account] of accounts) {
+      const previous = this.state.stake.get(address);
+      if (!previous || previous.state !== account.state || previous.lamports !== account.lamports) {
+        this.emitEvent('stake_changed', {
+          source,
+          stakeAccount: address,
+          state: account.state,
+          previousState: previous?.state || null,
+          sol: account.sol,
+          validator: account.validator
+        });
+      }
+    }
+    for (const [address, previous] of this.state.stake) {
+      if (!accounts.has(address)) {
+        this.emitEvent('stake_changed', {
+          source,
+          stakeAccount: address,
+          state: null,
+          previousState: previous.state,
+          sol: '0',
+          validator: previous.validator
+        });
+      }
+    }
+    this.state.stake = accounts;
+  }
+
+  async onTokenAccount(pubkey, account, slot) {
+    this.notifiedSinceResync = true;
+    const address = pubkey.toBase58();
+    if (account.data.length < ACCOUNT_SIZE) {
+      // Closed: whatever was left in it is gone
+      const previous = this.state.tokens.get(address);
+      if (previous) {
+        this.applyToken(address, { ...previous, amountRaw: 0n, slot }, 'subscription');
+      }
+      return;
+    }
+    const decoded = AccountLayout.decode(account.data.subarray(0, ACCOUNT_SIZE));
+    if (!decoded.owner.equals(this.owner)) {
+      return;
+    }
+    const mint = decoded.mint.toBase58();
+    const programId = TOKEN_PROGRAMS.find(p => p.equals(account.owner));
+    this.applyToken(address, {
+      mint,
+      decimals: this.state.tokens.get(address)?.decimals ?? await getDecimals(this.wallet.connection, mint),
+      amountRaw: decoded.amount,
+      program: programId ? programName(programId) : null,
+      slot
+    }, 'subscription');
+  }
+
+  /**
+   * Re-read stake accounts shortly after the last stake notification
+   */
+  onStakeAccount() {
+    this.notifiedSinceResync = true;
+    clearTimeout(this.timers.stake);
+    this.timers.stake = setTimeout(async () => {
+      try {
+        const accounts = await this.staking.getStakeAccounts();
+        this.applyStake(new Map(accounts.map(a => [a.address, a])), 'subscription');
+      } catch (e) {
+        this.emitEvent('error', { error: e.message });
+      }
+    }, STAKE_DEBOUNCE_MS);
+  }
+
+  /**
+   * Open the websocket subscriptions on a fresh connection
+   */
+  async subscribe() {
+    // web3.js only connects later, where a bad URL would throw uncaught
+    if (this.wsEndpoint && !/^wss?:\/\/[^/]/.test(this.wsEndpoint)) {
+      throw new Error(`Invalid websocket endpoint: ${this.wsEndpoint}`);
+    }
+    const connection = new Connection(this.wallet.connection.rpcEndpoint, {
+      commitment: this.commitment,
+      wsEndpoint: this.wsEndpoint
+    });
+    this.connection = connection;
+    const handle = promise => Promise.resolve(promise)
+      .catch(e => this.emitEvent('error', { error: e.message }));
+    const config = filters => ({ commitment: this.commitment, encoding: 'base64', filters });
+
+    this.subscriptions = [
+      ['removeAccountChangeListener', connection.onAccountChange(this.owner, (account, { slot }) => {
+        this.notifiedSinceResync = true;
+        this.applyLamports(BigInt(account.lamports), slot, 'subscription');
+      }, { commitment: this.commitment })],
+      ...TOKEN_PROGRAMS.map(programId => ['removeProgramAccountChangeListener', connection.onProgramAccountChange(
+        programId,
+        ({ accountId, accountInfo }, { slot }) => handle(this.onTokenAccount(accountId, accountInfo, slot)),
+        config([{ memcmp: { offset: TOKEN_OWNER_OFFSET, bytes: this.owner.toBase58() } }])
+      )]),
+      ['removeProgramAccountChangeListener', connection.onProgramAccountChange(
+        StakeProgram.programId,
+        () => this.onStakeAccount(),
+        config([{ memcmp: { offset: STAKER_OFFSET, bytes: this.owner.toBase58() } }])
+      )],
+      ['removeOnLogsListener', connection.onLogs(this.owner, ({ signature, err }, { slot }) => {
+        this.notifiedSinceResync = true;
+        this.emitEvent('signature_confirmed', { source: 'subscription', slot, signature, success: !err,
+          error: err || null });
+      }, this.commitment)]
+    ];
+  }
+
+  async unsubscribe() {
+    const { connection, subscriptions } = this;
+    this.subscriptions = [];
+    this.connection = null;
+    await Promise.all(subscriptions.map(([remove, id]) => connection[remove](id).catch(() => {})));
+  }
+
+  /**
+   * Drop the subscriptions and open them again, retrying with backoff
+   */
+  async resubscribe(reason) {
+    clearTimeout(this.timers.retry);
+    await this.unsubscribe();
+    if (!this.running) {
+      return;
+    }
+    try {
+      await this.subscribe();
+      this.retryMs = RETRY_MS;
+      this.emitEvent('resubscribed', { reason });
+    } catch (e) {
+      this.emitEvent('error', { error: `Subscribe failed, retrying in ${this.retryMs / 1000}s: ${e.message}` });
+      this.timers.retry = setTimeout(() => this.resubscribe(reason), this.retryMs);
+      this.retryMs = Math.min(this.retryMs * 2, MAX_RETRY_MS);
+    }
+  }
+
+  /**
+   * Re-read everything over HTTP and report what changed. Changes the stream
+   * should have delivered, with no notification since the last resync, mean
+   * it has gone quiet, so the subscriptions are reopened.
+   */
+  async resync() {
+    let state;
+    try {
+      state = await this.readState();
+    } catch (e) {
+      this.emitEvent('error', { error: `Resync failed: ${e.message}` });
+      return;
+    }
+    if (!this.running) {
+      return;
+    }
+    const before = this.sequence;
+    this.applyLamports(state.lamports, state.lamportsSlot, 'resync');
+    for (const [address, entry] of state.tokens) {
+      this.applyToken(address, entry, 'resync');
+    }
+    for (const [address, previous] of this.state.tokens) {
+      if (!state.tokens.has(address)) {
+        this.applyToken(address, { ...previous, amountRaw: 0n, slot: state.lamportsSlot }, 'resync');
+        this.state.tokens.delete(address);
+      }
+    }
+    const missed = this.sequence > before;
+    // Stake activation moves at epoch boundaries without any account write, so it isn't a missed notification
+    this.applyStake(state.stake, 'resync');
+
+    if (missed && !this.notifiedSinceResync) {
+      await this.resubscribe('Missed account changes');
+    }
+    this.notifiedSinceResync = false;
+  }
+
+  /**
+   * Read the current state, subscribe and start resyncing
+   */
+  async start() {
+    if (this.running) {
+      return this;
+    }
+    if (!this.starting) {
+      this.starting = (async () => {
+        const state = await this.readState();
+        Object.assign(this.state, state);
+        try {
+          await this.subscribe();
+        } catch (e) {
+          // Leave nothing half-open so the next start() tries again
+          await this.stop();
+          throw e;
+        }
+        this.running = true;
+        this.timers.resync = setInterval(() => this.resync(), this.resyncMs);
+        this.emitEvent('watching', {
+          balance: toUi(state.lamports, SOL_DECIMALS),
+          tokenAccounts: state.tokens.size,
+          stakeAccounts: state.stake.size
+        });
+      })().finally(() => {
+        this.starting = null;
+      });
+    }
+    await this.starting;
+    return this;
+  }
+
+  async stop() {
+    this.running = false;
+    for (const timer of Object.values(this.timers)) {
+      clearTimeout(timer);
+      clearInterval(timer);
+    }
+    this.timers = {};
+    await this.unsubscribe();
+  }
+
+  /**
+   * Add a listener, starting the watcher for the first one
+   *
+   * @param {function} listener - Called with each event
+   * @param {object} options - { since } replay buffered events with a greater id first; without it,
+   *   only events from now on (including watching when this starts the watcher)
+   * @returns {Promise<function>} call to remove the listener; the watcher stops after the last one
+   */
+  async subscribeEvents(listener, { since } = {}) {
+    const from = since != null ? Number(since) : this.sequence;
+    this.clients += 1;
+    try {
+      await this.start();
+    } catch (e) {
+      this.clients -= 1;
+      throw e;
+    }
+    for (const event of this.recent.filter(e => e.id > from)) {
+      listener(event);
+    }
+    this.on('event', listener);
+
+    let removed = false;
+    return async () => {
+      if (removed) {
+        return;
+      }
+      removed = true;
+      this.off('event', listener);
+      this.clients -= 1;
+      if (this.clients === 0) {
+        await this.stop();
+      }
+    };
+  }
+}
+
+module.exports = { AccountWatcher };